@@ -6,14 +6,18 @@ import {
 import {
   TrendingUp, Database, AlertTriangle, CheckCircle, BarChart3, Brain, Download, RefreshCw, Activity
 } from "lucide-react";
+import { cleanData } from "../lib/cleaning";
+import { generateScenario, DEFAULT_SCENARIO } from "../lib/scenarios";
+import { withIndicators, DEFAULT_INDICATORS } from "../lib/indicators";
+import { fitPolynomial } from "../lib/regression";
 
 /**
  * This component:
- * - Generates synthetic daily OHLCV data for GOOGL (weekdays 2020-01-01..2025-11-11)
- * - Injects typical data issues (nulls, dups, outliers)
+ * - Generates seeded synthetic daily OHLCV data for GOOGL (NYSE trading days 2020-01-01..2025-11-11)
+ * - Injects typical data issues (nulls, dups, outliers) at seeded positions
  * - Cleans data (dedupe, ffill nulls, robust outlier fix)
  * - Computes SMA10/20/50, RSI(14), Bollinger Bands (20, 2σ)
- * - Trains very simple Linear & Quadratic (2nd-order) regressors on index vs close
+ * - Fits Linear & Quadratic (2nd-order) least-squares trends on index vs close
  * - Evaluates metrics, visualizes price/indicators, model comparison, and 30-day forecast
  */
 
@@ -29,171 +33,19 @@ export default function GoogleStockAnalysis() {
   const [isLoading, setIsLoading] = useState(true);
 
   // ---------- 1) Simulate raw stock data + inject issues ----------
-  const generateStockData = () => {
-    const dataArray = [];
-    const startDate = new Date("2020-01-01");
-    const endDate = new Date("2025-11-11");
-    let price = 68;
-
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      // weekdays only
-      if (d.getDay() !== 0 && d.getDay() !== 6) {
-        const momentum = Math.random() * 0.003 - 0.0005;
-        const meanReversion = (100 - price) * 0.0001;
-        const volatility = Math.random() * 3 - 1.5;
-
-        price = price * (1 + momentum + meanReversion) + volatility;
-        price = Math.max(50, Math.min(200, price));
-
-        const open = price + (Math.random() * 2 - 1);
-        const high = Math.max(open, price) + Math.random() * 2;
-        const low = Math.min(open, price) - Math.random() * 2;
-        const volume = Math.floor(18_000_000 + Math.random() * 22_000_000);
-
-        dataArray.push({
-          date: d.toISOString().split("T")[0],
-          open: +open.toFixed(2),
-          high: +high.toFixed(2),
-          low: +low.toFixed(2),
-          close: +price.toFixed(2),
-          volume,
-        });
-      }
-    }
-
-    // clone to inject issues
-    const issuesData = [...dataArray];
-
-    // 1) missing values
-    if (issuesData[100]) issuesData[100].close = null;
-    if (issuesData[250]) issuesData[250].volume = null;
-
-    // 2) duplicate row
-    if (issuesData[500]) issuesData.push(issuesData[500]);
-
-    // 3) outliers
-    if (issuesData[300]) issuesData[300].close = issuesData[300].close * 2.8;
-    if (issuesData[600]) issuesData[600].volume = issuesData[600].volume * 12;
-
-    return issuesData;
-  };
-
-  // ---------- 2) Clean data ----------
-  const cleanData = (rawData) => {
-    let cleaned = [...rawData];
-    const issues = { nulls: 0, duplicates: 0, outliers: 0 };
-
-    // remove duplicates by date
-    const seen = new Set();
-    cleaned = cleaned.filter((row) => {
-      if (seen.has(row.date)) {
-        issues.duplicates++;
-        return false;
-      }
-      seen.add(row.date);
-      return true;
-    });
-
-    // forward-fill close/volume nulls
-    for (let i = 0; i < cleaned.length; i++) {
-      if (cleaned[i].close == null && i > 0) {
-        cleaned[i].close = cleaned[i - 1].close;
-        issues.nulls++;
-      }
-      if (cleaned[i].volume == null && i > 0) {
-        cleaned[i].volume = cleaned[i - 1].volume;
-        issues.nulls++;
-      }
-    }
+  // Seeded via lib/scenarios, so every load shows the same series and defects
+  const generateStockData = () => generateScenario(DEFAULT_SCENARIO).rows;
 
-    // robust outlier fix on close using MAD
-    const closes = cleaned.map((d) => d.close);
-    const sorted = [...closes].sort((a, b) => a - b);
-    const median = sorted[Math.floor(sorted.length / 2)];
-    const deviations = closes.map((v) => Math.abs(v - median));
-    const mad = [...deviations].sort((a, b) => a - b)[Math.floor(deviations.length / 2)] || 1;
-
-    cleaned = cleaned.map((row, idx) => {
-      const z = Math.abs((row.close - median) / mad);
-      if (z > 3.5) {
-        issues.outliers++;
-        const win = cleaned.slice(Math.max(0, idx - 2), Math.min(cleaned.length, idx + 3));
-        const winMedian = [...win.map((d) => d.close)].sort((a, b) => a - b)[Math.floor(win.length / 2)];
-        return { ...row, close: winMedian };
-      }
-      return row;
-    });
-
-    return { cleaned, issues };
-  };
+  // ---------- 2) Clean data: shared pipeline in lib/cleaning ----------
 
   // ---------- 3) Indicators ----------
-  const calculateTechnicalIndicators = (arr) =>
-    arr.map((row, i) => {
-      const out = { ...row };
-
-      // SMA
-      if (i >= 9) out.sma10 = arr.slice(i - 9, i + 1).reduce((s, d) => s + d.close, 0) / 10;
-      if (i >= 19) out.sma20 = arr.slice(i - 19, i + 1).reduce((s, d) => s + d.close, 0) / 20;
-      if (i >= 49) out.sma50 = arr.slice(i - 49, i + 1).reduce((s, d) => s + d.close, 0) / 50;
-
-      // RSI(14)
-      if (i >= 14) {
-        const changes = arr.slice(i - 13, i + 1).map((d, j, win) => (j ? d.close - win[j - 1].close : 0));
-        const gains = changes.filter((c) => c > 0);
-        const losses = changes.filter((c) => c < 0).map((c) => -c);
-        const avgGain = gains.length ? gains.reduce((a, b) => a + b, 0) / 14 : 0;
-        const avgLoss = losses.length ? losses.reduce((a, b) => a + b, 0) / 14 : 0;
-        const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-        out.rsi = 100 - 100 / (1 + rs);
-      }
-
-      // Bollinger (20, 2σ)
-      if (i >= 19 && out.sma20) {
-        const vals = arr.slice(i - 19, i + 1).map((d) => d.close);
-        const mu = out.sma20;
-        const variance = vals.reduce((s, v) => s + (v - mu) ** 2, 0) / 20;
-        const std = Math.sqrt(variance);
-        out.upperBand = mu + 2 * std;
-        out.lowerBand = mu - 2 * std;
-        out.volatility = std;
-      }
-
-      return out;
-    });
-
-  // ---------- 4) Tiny regression helpers ----------
-  const trainLinearRegression = (X, y) => {
-    const n = X.length;
-    const sumX = X.reduce((a, b) => a + b, 0);
-    const sumY = y.reduce((a, b) => a + b, 0);
-    const sumXY = X.reduce((s, x, i) => s + x * y[i], 0);
-    const sumX2 = X.reduce((s, x) => s + x * x, 0);
+  // Shared streaming engine in lib/indicators (Wilder RSI, population-σ Bollinger)
+  const calculateTechnicalIndicators = (arr) => withIndicators(arr, DEFAULT_INDICATORS);
 
-    const denom = n * sumX2 - sumX * sumX || 1;
-    const slope = (n * sumXY - sumX * sumY) / denom;
-    const intercept = (sumY - slope * sumX) / n;
-
-    return { slope, intercept, predict: (x) => slope * x + intercept };
-  };
-
-  // Quadratic: y = a x^2 + b x + c (normal eqns for sums)
-  const trainPolynomialRegression = (X, y) => {
-    const n = X.length;
-    let sx = 0, sx2 = 0, sx3 = 0, sx4 = 0, sy = 0, sxy = 0, sx2y = 0;
-    for (let i = 0; i < n; i++) {
-      const x = X[i], yi = y[i];
-      const x2 = x * x, x3 = x2 * x, x4 = x2 * x2;
-      sx += x; sx2 += x2; sx3 += x3; sx4 += x4;
-      sy += yi; sxy += x * yi; sx2y += x2 * yi;
-    }
-    // Solve a,b,c from normal equations (2x2 reduced approach)
-    const denom = sx2 * sx2 - n * sx4 || 1;
-    const a = (sx2y * sx2 - sxy * sx3) / denom;
-    const b = (sxy - a * sx2) / (sx || 1);
-    const c = (sy - b * sx - a * sx2) / n;
-    return { a, b, c, predict: (x) => a * x * x + b * x + c };
-  };
+  // ---------- 4) Regression ----------
+  // Linear and quadratic trend fits via lib/regression (centered/scaled bar index, QR)
+  const trainLinearRegression = (X, y) => fitPolynomial(X, y, { degree: 1 });
+  const trainPolynomialRegression = (X, y) => fitPolynomial(X, y, { degree: 2 });
 
   const evaluateModel = (actual, predicted) => {
     const n = actual.length;
@@ -0,0 +1,211 @@
+import React, { useState } from "react";
+import { ReferenceLine, ReferenceArea, ReferenceDot } from "recharts";
+import { Trash2, Download, Upload, X } from "lucide-react";
+import {
+  ANNOTATION_TOOLS, SNAP_FIELDS, fibLevels, barIndexAt, annotationsToJson, parseAnnotationsJson,
+} from "../lib/annotations";
+import { downloadFile } from "../lib/download";
+
+const COLOR = "#f97316";
+const FIB_COLOR = "#a855f7";
+const fmt = (v) => v.toFixed(2);
+
+const describe = (a) =>
+  a.type === "text"
+    ? `“${a.text}” ${a.points[0].date}`
+    : a.points.map((p) => `${p.date} @ ${fmt(p.price)}`).join(" → ");
+
+/**
+ * Drawing toolbar for the price charts. `draw` is { tool, snap, note, points }:
+ * the active tool (or ""), which bar value clicks snap to, the text for notes,
+ * and the anchors clicked so far. Also lists, exports and imports the symbol's
+ * annotations.
+ */
+export default function AnnotationToolbar({ symbol, annotations, onChange, draw, onDrawChange }) {
+  const [message, setMessage] = useState(null); // { text, error }
+  const set = (patch) => onDrawChange({ ...draw, ...patch });
+  const needed = draw.tool ? ANNOTATION_TOOLS[draw.tool].points : 0;
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const { symbol: from, annotations: list, skipped } = parseAnnotationsJson(await file.text());
+      const known = new Set(annotations.map((a) => a.id));
+      const added = list.filter((a) => !known.has(a.id));
+      onChange([...annotations, ...added]);
+      setMessage({
+        text:
+          `Imported ${added.length} annotation(s)` +
+          (from && from !== symbol ? ` from a ${from} export` : "") +
+          (list.length > added.length ? `, ${list.length - added.length} already present` : "") +
+          (skipped ? `, ${skipped} invalid skipped` : ""),
+      });
+    } catch (e) {
+      setMessage({ text: `Import failed: ${e.message}`, error: true });
+    }
+  };
+
+  return (
+    <div className="text-sm mb-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-600">Draw:</span>
+        {Object.entries(ANNOTATION_TOOLS).map(([id, t]) => (
+          <button
+            key={id}
+            onClick={() => set({ tool: draw.tool === id ? "" : id, points: [] })}
+            className={`px-2 py-1 rounded border ${draw.tool === id ? "bg-orange-500 text-white border-orange-500" : "hover:bg-gray-50"}`}
+          >
+            {t.label}
+          </button>
+        ))}
+        <select value={draw.snap} onChange={(e) => set({ snap: e.target.value })} className="border rounded px-2 py-1" title="Price a click anchors to">
+          {Object.entries(SNAP_FIELDS).map(([id, label]) => (
+            <option key={id} value={id}>
+              Snap to {label.toLowerCase()}
+            </option>
+          ))}
+        </select>
+        {draw.tool === "text" && (
+          <input value={draw.note} onChange={(e) => set({ note: e.target.value })} placeholder="Note text" className="border rounded px-2 py-1" />
+        )}
+      </div>
+      {draw.tool && (
+        <p className="text-gray-600">
+          Click {needed === 1 ? "a bar" : `${needed} bars`} on the chart ({draw.points.length}/{needed})
+          {draw.tool === "text" && !draw.note.trim() && " after entering the note text"}.{" "}
+          <button onClick={() => set({ tool: "", points: [] })} className="text-blue-600 hover:underline">
+            Cancel
+          </button>
+        </p>
+      )}
+
+      <details>
+        <summary className="cursor-pointer text-gray-700">Annotations for {symbol} ({annotations.length})</summary>
+        <div className="mt-2 space-y-1">
+          {annotations.map((a) => (
+            <div key={a.id} className="flex items-center gap-2">
+              <span className="w-40 text-gray-600">{ANNOTATION_TOOLS[a.type].label}</span>
+              <span className="font-mono text-xs flex-1">{describe(a)}</span>
+              <button onClick={() => onChange(annotations.filter((x) => x.id !== a.id))} className="text-red-600" title="Delete">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          {!annotations.length && <p className="text-gray-500">None yet. Pick a tool and click the chart.</p>}
+          <div className="flex flex-wrap gap-2 pt-2">
+            <button
+              onClick={() => downloadFile(`${symbol.toLowerCase()}_annotations.json`, annotationsToJson(symbol, annotations), "application/json")}
+              disabled={!annotations.length}
+              className="flex items-center gap-1 px-2 py-1 rounded border hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Download size={14} /> Export JSON
+            </button>
+            <label className="flex items-center gap-1 px-2 py-1 rounded border hover:bg-gray-50 cursor-pointer">
+              <Upload size={14} /> Import JSON
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  importFile(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            <button
+              onClick={() => onChange([])}
+              disabled={!annotations.length}
+              className="flex items-center gap-1 px-2 py-1 rounded border text-red-600 hover:bg-red-50 disabled:opacity-50"
+            >
+              <X size={14} /> Clear all
+            </button>
+          </div>
+          {message && <p className={message.error ? "text-red-600" : "text-green-700"}>{message.text}</p>}
+        </div>
+      </details>
+    </div>
+  );
+}
+
+/**
+ * Recharts elements for the annotations over the visible window. `rows` are all
+ * analysed bars (annotation dates resolve against them) and `chartData` the
+ * visible slice starting at row `first`, whose `barDate` is the x key.
+ * Anything outside the window is clipped; trendlines need both anchors within
+ * the loaded bars since bar spacing beyond them is unknown.
+ */
+export function annotationLayer(annotations, { rows, chartData, first, pending = [] }) {
+  if (!chartData.length) return [];
+  const last = first + chartData.length - 1;
+  const indexOf = (date) => (date < rows[0].date ? -1 : barIndexAt(rows, date));
+  const x = (i) => chartData[i - first].barDate;
+  const clip = (i) => Math.min(last, Math.max(first, i));
+  const out = [];
+
+  for (const a of annotations) {
+    const [p, q] = a.points;
+    const i = indexOf(p.date);
+    if (a.type === "hline") {
+      out.push(
+        <ReferenceLine key={a.id} y={p.price} stroke={COLOR} ifOverflow="hidden" label={{ value: fmt(p.price), position: "insideTopRight", fontSize: 10, fill: COLOR }} />
+      );
+    } else if (a.type === "text") {
+      if (i < first || i > last) continue;
+      out.push(
+        <ReferenceDot key={a.id} x={x(i)} y={p.price} r={3} fill={COLOR} stroke="none" ifOverflow="hidden" label={{ value: a.text, position: "top", fontSize: 11, fill: COLOR }} />
+      );
+    } else if (a.type === "trendline") {
+      let [s, e] = [{ i, price: p.price }, { i: indexOf(q.date), price: q.price }];
+      if (e.i < s.i) [s, e] = [e, s];
+      if (s.i < 0 || e.i >= rows.length) continue;
+      const lo = Math.max(s.i, first);
+      const hi = Math.min(e.i, last);
+      if (lo > hi) continue;
+      const at = (k) => (e.i === s.i ? (k === lo ? s.price : e.price) : s.price + ((e.price - s.price) * (k - s.i)) / (e.i - s.i));
+      out.push(
+        <ReferenceLine key={a.id} segment={[{ x: x(lo), y: at(lo) }, { x: x(hi), y: at(hi) }]} stroke={COLOR} strokeWidth={2} ifOverflow="hidden" />
+      );
+    } else if (a.type === "rect") {
+      const j = indexOf(q.date);
+      const lo = Math.min(i, j);
+      const hi = Math.max(i, j);
+      if (hi < first || lo > last) continue;
+      out.push(
+        <ReferenceArea
+          key={a.id}
+          x1={x(clip(lo))}
+          x2={x(clip(hi))}
+          y1={Math.min(p.price, q.price)}
+          y2={Math.max(p.price, q.price)}
+          fill={COLOR}
+          fillOpacity={0.1}
+          stroke={COLOR}
+          ifOverflow="hidden"
+        />
+      );
+    } else if (a.type === "fib") {
+      // levels run from the earlier anchor to the right edge
+      const start = Math.min(i, indexOf(q.date));
+      if (start > last) continue;
+      for (const { ratio, price } of fibLevels(a)) {
+        out.push(
+          <ReferenceLine
+            key={`${a.id}-${ratio}`}
+            segment={[{ x: x(clip(start)), y: price }, { x: x(last), y: price }]}
+            stroke={FIB_COLOR}
+            strokeDasharray={ratio === 0 || ratio === 1 ? undefined : "4 3"}
+            ifOverflow="hidden"
+            label={{ value: `${(ratio * 100).toFixed(1)}% ${fmt(price)}`, position: "insideTopLeft", fontSize: 10, fill: FIB_COLOR }}
+          />
+        );
+      }
+    }
+  }
+
+  // anchors of the annotation being drawn
+  pending.forEach((p, k) => {
+    const i = indexOf(p.date);
+    if (i >= first && i <= last) out.push(<ReferenceDot key={`pending-${k}`} x={x(i)} y={p.price} r={4} fill="none" stroke={COLOR} />);
+  });
+  return out;
+}
@@ -0,0 +1,172 @@
+import React from "react";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+import { Panel, NumberField } from "./ui";
+import { ARIMA_CRITERIA, arimaLabel } from "../lib/arima";
+
+const num = (v, d = 4) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+
+// Correlogram with the ±1.96/√n white-noise band
+function Correlogram({ title, values, n }) {
+  const band = 1.96 / Math.sqrt(n);
+  return (
+    <div>
+      <p className="text-sm font-semibold text-gray-700 mb-1">{title}</p>
+      <ResponsiveContainer width="100%" height={180}>
+        <BarChart data={values.map((value, i) => ({ lag: i + 1, value }))}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="lag" />
+          <YAxis domain={[-1, 1]} />
+          <Tooltip formatter={(v) => v.toFixed(3)} />
+          <ReferenceLine y={band} stroke="#ef4444" strokeDasharray="4 4" />
+          <ReferenceLine y={-band} stroke="#ef4444" strokeDasharray="4 4" />
+          <Bar dataKey="value" fill="#6366f1" isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/**
+ * ARIMA settings and diagnostics for the Models tab (lib/arima): the fitted
+ * order and coefficients, the order-selection grid, ACF/PACF of log returns and
+ * residuals, and the Ljung-Box residual test. `analysis` is from analyzeArima().
+ */
+export default function ArimaPanel({ settings, onChange, analysis, error }) {
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+  const order = (key, label) => (
+    <NumberField label={label} value={settings[key]} step={1} onChange={(v) => set(key, Math.min(5, Math.round(v)))} />
+  );
+  const model = analysis?.model;
+  const lb = analysis?.ljungBox;
+
+  return (
+    <Panel title="ARIMA on Log Prices">
+      <div className="flex flex-wrap items-end gap-4 text-sm mb-4">
+        <label className="flex items-center gap-2 pb-1">
+          <input type="checkbox" checked={settings.auto} onChange={() => set("auto", !settings.auto)} />
+          Select order automatically
+        </label>
+        {settings.auto ? (
+          <>
+            {order("maxP", "Max AR order p")}
+            {order("maxQ", "Max MA order q")}
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-600">Criterion</span>
+              <select value={settings.criterion} onChange={(e) => set("criterion", e.target.value)} className="border rounded px-2 py-1">
+                {Object.entries(ARIMA_CRITERIA).map(([id, label]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </>
+        ) : (
+          <>
+            {order("p", "AR order p")}
+            {order("q", "MA order q")}
+          </>
+        )}
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Differencing d</span>
+          <select value={settings.d} onChange={(e) => set("d", +e.target.value)} className="border rounded px-2 py-1">
+            <option value={0}>0 (log prices)</option>
+            <option value={1}>1 (log returns)</option>
+            <option value={2}>2</option>
+          </select>
+        </label>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {model && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="overflow-x-auto">
+              <h3 className="font-semibold text-gray-800 mb-1">{arimaLabel(model)}</h3>
+              <p className="text-xs text-gray-500 mb-2">
+                Conditional least squares on {model.nEff} bars · σ {num(Math.sqrt(model.sigma2), 5)} · log-lik {num(model.loglik, 1)} · AIC{" "}
+                {num(model.aic, 1)} · BIC {num(model.bic, 1)} · {model.iterations} iterations{model.converged ? "" : " (not converged)"}
+              </p>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-gray-600">
+                    <th className="text-left p-2">Term</th>
+                    <th className="text-right p-2">Estimate</th>
+                    <th className="text-right p-2">Std. error</th>
+                    <th className="text-right p-2">t</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {model.coefficients.map((c) => (
+                    <tr key={c.name} className="border-b">
+                      <td className="p-2 font-mono">{c.name}</td>
+                      <td className="p-2 text-right font-mono">{num(c.value, 5)}</td>
+                      <td className="p-2 text-right font-mono">{c.se === null ? "n/a" : num(c.se, 5)}</td>
+                      <td className="p-2 text-right font-mono">{c.t === null ? "—" : num(c.t, 2)}</td>
+                    </tr>
+                  ))}
+                  {!model.coefficients.length && (
+                    <tr>
+                      <td colSpan={4} className="p-2 text-gray-500">
+                        No parameters: a pure random walk on log prices.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+              <p className={`text-sm mt-3 ${lb.pValue < 0.05 ? "text-red-700" : "text-green-700"}`}>
+                Ljung-Box Q({lb.lags}) = {num(lb.q, 2)}, df {lb.df}, p = {num(lb.pValue, 3)}:{" "}
+                {lb.pValue < 0.05 ? "residuals are still autocorrelated" : "no significant residual autocorrelation"}.
+              </p>
+            </div>
+
+            {analysis.candidates.length > 0 && (
+              <div className="overflow-x-auto">
+                <h3 className="font-semibold text-gray-800 mb-1">{ARIMA_CRITERIA[settings.criterion]} by order (d = {model.d})</h3>
+                <table className="text-sm">
+                  <thead>
+                    <tr className="border-b text-gray-600">
+                      <th className="p-2">p \ q</th>
+                      {[...new Set(analysis.candidates.map((c) => c.q))].map((q) => (
+                        <th key={q} className="text-right p-2">
+                          {q}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...new Set(analysis.candidates.map((c) => c.p))].map((p) => (
+                      <tr key={p} className="border-b">
+                        <td className="p-2 text-gray-600">{p}</td>
+                        {analysis.candidates
+                          .filter((c) => c.p === p)
+                          .map((c) => (
+                            <td
+                              key={c.q}
+                              className={`p-2 text-right font-mono ${c.p === model.p && c.q === model.q ? "bg-blue-50 font-semibold" : ""}`}
+                              title={c.error || undefined}
+                            >
+                              {c.error ? "—" : num(c[settings.criterion], 1)}
+                            </td>
+                          ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">All orders are conditioned on the same bars so the criteria compare.</p>
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <Correlogram title="ACF of log returns" values={analysis.returns.acf} n={model.nEff} />
+            <Correlogram title="PACF of log returns" values={analysis.returns.pacf} n={model.nEff} />
+            <Correlogram title="ACF of residuals" values={analysis.residuals.acf} n={model.residuals.length} />
+            <Correlogram title="PACF of residuals" values={analysis.residuals.pacf} n={model.residuals.length} />
+          </div>
+          <p className="text-xs text-gray-500">Dashed lines: ±1.96/√n, the approximate 95% band for white noise.</p>
+        </div>
+      )}
+    </Panel>
+  );
+}
@@ -0,0 +1,392 @@
+import React, { useMemo, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceDot } from "recharts";
+import { Download } from "lucide-react";
+import { Panel, IssueCard, Step, NumberField } from "./ui";
+import {
+  cleanData, describeCleaning, IMPUTATION_METHODS, OUTLIER_METHODS, CLEANING_FIELDS, DEFAULT_CLEANING, AUDIT_RULES,
+} from "../lib/cleaning";
+import { formatBarLabel } from "../lib/resample";
+import { downloadFile, toCsv } from "../lib/download";
+import { DEFECT_TYPES } from "../lib/scenarios";
+
+const fmtValue = (v) => (v === null ? "—" : Number.isInteger(v) ? v.toLocaleString() : v.toFixed(4));
+
+// Which audit entries count as catching an injected scenario defect
+const CATCHES = {
+  missingClose: (x) => x.field === "close" || x.rule === "drop",
+  missingVolume: (x) => x.field === "volume" || x.rule === "drop",
+  duplicate: (x) => x.rule === "duplicate",
+  priceSpike: (x) => x.field === "close" && OUTLIER_METHODS[x.rule],
+  volumeSpike: (x) => x.field === "volume" && OUTLIER_METHODS[x.rule],
+};
+
+const IMPUTATION_NOTE = {
+  ffill: "Handled using forward-fill imputation",
+  linear: "Interpolated linearly between neighbouring bars",
+  drop: "Rows with missing values dropped",
+};
+
+/**
+ * "Cleaning" tab: strategy configuration for the active pipeline plus a
+ * side-by-side run of every outlier detector on the same input bars.
+ * `input` is the adjusted, not yet cleaned series at the download interval;
+ * `audit` is the change log of the active configuration; `injected` lists the
+ * defects of a synthetic scenario, if that is the current source.
+ */
+export default function DataCleaning({ stats, config, onConfigChange, input, interval, audit, symbol, injected }) {
+  const [compareWith, setCompareWith] = useState("hampel");
+  const method = OUTLIER_METHODS[config.outlier];
+  const params = { ...DEFAULT_CLEANING.params[config.outlier], ...config.params?.[config.outlier] };
+
+  const setParam = (key, value) =>
+    onConfigChange({
+      ...config,
+      params: { ...config.params, [config.outlier]: { ...params, [key]: value } },
+    });
+
+  const toggleField = (field) => {
+    const fields = config.fields.includes(field)
+      ? config.fields.filter((f) => f !== field)
+      : CLEANING_FIELDS.filter((f) => f === field || config.fields.includes(f));
+    onConfigChange({ ...config, fields });
+  };
+
+  // every detector with the current imputation and its own thresholds
+  const comparison = useMemo(
+    () =>
+      Object.keys(OUTLIER_METHODS).map((id) => {
+        const opts = { ...config, outlier: id };
+        const { cleaned, issues } = cleanData(input, opts);
+        return { id, opts, cleaned, issues };
+      }),
+    [input, config]
+  );
+
+  const chartData = useMemo(() => {
+    const active = comparison.find((c) => c.id === config.outlier)?.cleaned || [];
+    const other = comparison.find((c) => c.id === compareWith)?.cleaned || [];
+    const byDate = (rows) => new Map(rows.map((r) => [r.date, r.close]));
+    const A = byDate(active);
+    const B = byDate(other);
+    return input.slice(-250).map((r) => ({
+      rawDate: r.date,
+      date: formatBarLabel(r.date, interval),
+      input: Number.isFinite(r.close) ? r.close : null,
+      active: A.get(r.date),
+      compare: B.get(r.date),
+    }));
+  }, [comparison, compareWith, input, interval, config.outlier]);
+
+  // changed closes inside the charted window
+  const fixes = useMemo(() => {
+    const points = new Map(chartData.map((d) => [d.rawDate, d]));
+    return audit.filter((x) => x.field === "close" && points.has(x.date)).map((x) => ({ ...x, point: points.get(x.date) }));
+  }, [audit, chartData]);
+
+  return (
+    <div className="space-y-6">
+      <Panel title="Cleaning Strategy">
+        <div className="flex flex-wrap items-end gap-4 text-sm">
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Imputation</span>
+            <select
+              value={config.imputation}
+              onChange={(e) => onConfigChange({ ...config, imputation: e.target.value })}
+              className="border rounded px-2 py-1"
+            >
+              {Object.entries(IMPUTATION_METHODS).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Outlier detection</span>
+            <select
+              value={config.outlier}
+              onChange={(e) => onConfigChange({ ...config, outlier: e.target.value })}
+              className="border rounded px-2 py-1"
+            >
+              {Object.entries(OUTLIER_METHODS).map(([id, m]) => (
+                <option key={id} value={id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {params.threshold !== undefined && (
+            <NumberField label="Threshold" value={params.threshold} step={0.1} onChange={(v) => setParam("threshold", v)} />
+          )}
+          {params.window !== undefined && (
+            <NumberField
+              label="Window (bars)"
+              value={params.window}
+              step={1}
+              onChange={(v) => setParam("window", Math.max(3, Math.round(v)))}
+            />
+          )}
+          <div className="flex flex-col gap-1">
+            <span className="text-gray-600">Apply to</span>
+            <div className="flex gap-3 py-1">
+              {CLEANING_FIELDS.map((f) => (
+                <label key={f} className="flex items-center gap-1 text-gray-700">
+                  <input type="checkbox" checked={config.fields.includes(f)} onChange={() => toggleField(f)} />
+                  {f}
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+        {method.note && <p className="text-xs text-gray-500 mt-2">{method.note}</p>}
+        {config.outlier === "none" && (
+          <p className="text-xs text-gray-500 mt-2">
+            No reported price or volume is replaced until you pick a detector; the comparison below shows what each would change.
+          </p>
+        )}
+      </Panel>
+
+      <Panel title="Data Quality Issues Detected & Resolved">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <IssueCard color="red" title="Missing Values" count={stats.issues?.nulls} note={IMPUTATION_NOTE[config.imputation]} />
+          <IssueCard color="yellow" title="Duplicate Records" count={stats.issues?.duplicates} note="Removed based on date uniqueness" />
+          <IssueCard color="orange" title="Outliers" count={stats.issues?.outliers} note={`Corrected using ${method.label}`} />
+        </div>
+      </Panel>
+
+      <Panel title="Strategy Comparison">
+        <p className="text-sm text-gray-600 mb-3">
+          All detectors run on the same {input.length} bars with {IMPUTATION_METHODS[config.imputation].toLowerCase()}.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-gray-600">
+                <th className="p-2">Strategy</th>
+                <th className="p-2">Missing</th>
+                <th className="p-2">Close outliers</th>
+                <th className="p-2">Volume outliers</th>
+                <th className="p-2">Clean records</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.map((c) => (
+                <tr key={c.id} className={`border-t ${c.id === config.outlier ? "bg-blue-50" : ""}`}>
+                  <td className="p-2">{describeCleaning(c.opts)}</td>
+                  <td className="p-2">{c.issues.nulls}</td>
+                  <td className="p-2">{c.issues.byField.close?.outliers ?? "—"}</td>
+                  <td className="p-2">{c.issues.byField.volume?.outliers ?? "—"}</td>
+                  <td className="p-2">{c.cleaned.length}</td>
+                  <td className="p-2">
+                    {c.id === config.outlier ? (
+                      <span className="text-blue-600">active</span>
+                    ) : (
+                      <button onClick={() => onConfigChange({ ...config, outlier: c.id })} className="text-blue-600 hover:underline">
+                        use
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Panel>
+
+      <Panel title="Close: Input vs Cleaned (Last 250 Bars)">
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+          Compare {method.label} with
+          <select value={compareWith} onChange={(e) => setCompareWith(e.target.value)} className="border rounded px-2 py-1">
+            {Object.entries(OUTLIER_METHODS).map(([id, m]) => (
+              <option key={id} value={id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <ResponsiveContainer width="100%" height={350}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" />
+            <YAxis domain={["auto", "auto"]} />
+            <Tooltip />
+            <Legend />
+            <Line type="monotone" dataKey="input" stroke="#9ca3af" name="Input" dot={false} />
+            <Line type="monotone" dataKey="active" stroke="#2563eb" name={method.label} dot={false} strokeWidth={2} />
+            <Line
+              type="monotone"
+              dataKey="compare"
+              stroke="#f59e0b"
+              name={OUTLIER_METHODS[compareWith].label}
+              dot={false}
+              strokeDasharray="5 5"
+            />
+            {fixes.map((x) => (
+              <ReferenceDot key={`${x.rule}-${x.date}`} x={x.point.date} y={x.value} r={4} fill="#ef4444" stroke="none" />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+        {fixes.length > 0 && (
+          <p className="text-xs text-gray-500 mt-2">Red dots: {fixes.length} close value(s) changed by the active strategy.</p>
+        )}
+      </Panel>
+
+      {injected?.length > 0 && <DetectionReport injected={injected} audit={audit} />}
+
+      <AuditTrail audit={audit} symbol={symbol} />
+
+      <Panel title="Data Cleaning Pipeline">
+        <Step title="1. Duplicate Removal" text={`Identified and removed ${stats.issues?.duplicates} duplicate entries based on date field.`} />
+        <Step
+          title="2. Missing Value Imputation"
+          text={`${stats.issues?.nulls} missing values in ${config.fields.join(" / ") || "no fields"} — ${IMPUTATION_METHODS[config.imputation].toLowerCase()}.`}
+        />
+        <Step
+          title="3. Outlier Correction"
+          text={`Replaced ${stats.issues?.outliers} extreme values using ${describeCleaning(config)}.`}
+        />
+      </Panel>
+    </div>
+  );
+}
+
+function DetectionReport({ injected, audit }) {
+  const types = Object.keys(DEFECT_TYPES).filter((t) => injected.some((d) => d.type === t));
+  const caught = (d) => CATCHES[d.type] && audit.some((x) => x.date === d.date && CATCHES[d.type](x));
+  return (
+    <Panel title="Injected Defects vs Cleaning">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50">
+          <tr className="text-left text-gray-600">
+            <th className="p-2">Defect</th>
+            <th className="p-2">Injected</th>
+            <th className="p-2">Fixed by cleaning</th>
+            <th className="p-2">Dates</th>
+          </tr>
+        </thead>
+        <tbody>
+          {types.map((t) => {
+            const rows = injected.filter((d) => d.type === t);
+            return (
+              <tr key={t} className="border-t">
+                <td className="p-2">{DEFECT_TYPES[t]}</td>
+                <td className="p-2">{rows.length}</td>
+                <td className="p-2">{CATCHES[t] ? rows.filter(caught).length : "n/a (see Data Quality)"}</td>
+                <td className="p-2 text-gray-600">
+                  {rows.map((d, i) => (
+                    <span key={`${d.date}-${i}`} className={`mr-2 ${!CATCHES[t] || caught(d) ? "" : "text-red-600"}`}>
+                      {d.date}
+                    </span>
+                  ))}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </Panel>
+  );
+}
+
+function AuditTrail({ audit, symbol }) {
+  const [rule, setRule] = useState("all");
+  const [field, setField] = useState("all");
+  const [query, setQuery] = useState("");
+  const rules = [...new Set(audit.map((x) => x.rule))];
+  const fields = [...new Set(audit.map((x) => x.field))];
+  const shown = audit.filter(
+    (x) => (rule === "all" || x.rule === rule) && (field === "all" || x.field === field) && x.date.includes(query.trim())
+  );
+
+  const base = `${symbol.toLowerCase()}_cleaning_audit`;
+  const exportCsv = () =>
+    downloadFile(
+      `${base}.csv`,
+      toCsv(
+        ["Date", "Field", "Original", "New", "Rule", "Score"],
+        audit.map((x) => [x.date, x.field, x.original, x.value, x.rule, x.score])
+      )
+    );
+  const exportJson = () => downloadFile(`${base}.json`, JSON.stringify(audit, null, 2), "application/json");
+
+  return (
+    <Panel title={`Audit Trail (${audit.length} change${audit.length === 1 ? "" : "s"})`}>
+      <div className="flex flex-wrap items-end gap-4 text-sm mb-3">
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Rule</span>
+          <select value={rule} onChange={(e) => setRule(e.target.value)} className="border rounded px-2 py-1">
+            <option value="all">All</option>
+            {rules.map((r) => (
+              <option key={r} value={r}>
+                {AUDIT_RULES[r] || r}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Field</span>
+          <select value={field} onChange={(e) => setField(e.target.value)} className="border rounded px-2 py-1">
+            <option value="all">All</option>
+            {fields.map((f) => (
+              <option key={f} value={f}>
+                {f}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Date contains</span>
+          <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="2024-03" className="border rounded px-2 py-1 w-32" />
+        </label>
+        <button
+          onClick={exportCsv}
+          disabled={!audit.length}
+          className="flex items-center gap-2 px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-60"
+        >
+          <Download size={16} />
+          CSV
+        </button>
+        <button
+          onClick={exportJson}
+          disabled={!audit.length}
+          className="flex items-center gap-2 px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-60"
+        >
+          <Download size={16} />
+          JSON
+        </button>
+      </div>
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-600">No changes match the current filters.</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr className="text-left text-gray-600">
+                <th className="p-2">Date</th>
+                <th className="p-2">Field</th>
+                <th className="p-2">Original</th>
+                <th className="p-2">New</th>
+                <th className="p-2">Rule</th>
+                <th className="p-2">Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.slice(-500).reverse().map((x, i) => (
+                <tr key={`${x.date}-${x.field}-${x.rule}-${i}`} className="border-t">
+                  <td className="p-2">{x.date}</td>
+                  <td className="p-2">{x.field}</td>
+                  <td className="p-2">{fmtValue(x.original)}</td>
+                  <td className="p-2">{fmtValue(x.value)}</td>
+                  <td className="p-2">{AUDIT_RULES[x.rule] || x.rule}</td>
+                  <td className="p-2">{x.score === null ? "—" : x.score.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {shown.length > 500 && <p className="text-xs text-gray-500 mt-2">Showing the latest 500 of {shown.length} entries.</p>}
+        </div>
+      )}
+    </Panel>
+  );
+}
@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import { GitCompare } from "lucide-react";
+import { Panel, InfoCard, NumberField } from "./ui";
+import { describeProviderError } from "../lib/dataSources";
+import { VALIDATION_RULES } from "../lib/validation";
+
+const STATUS_LABEL = {
+  missingA: "missing in primary",
+  missingB: "missing in secondary",
+  close: "close differs",
+  volume: "volume differs",
+  "close+volume": "close & volume differ",
+};
+
+const SEVERITY_TONE = {
+  fatal: "border-red-500 text-red-600",
+  warning: "border-orange-500 text-orange-600",
+  info: "border-blue-500 text-blue-600",
+};
+
+const fmt = (v, d = 2) => (v === null || v === undefined ? "—" : (+v).toFixed(d));
+
+/**
+ * "Data Quality" tab: bar integrity / trading-calendar findings, the
+ * cross-provider reconciliation report and the switch that feeds the merged
+ * consensus series into the analysis.
+ */
+export default function DataQuality({
+  sources,
+  recon,
+  opts,
+  onOptsChange,
+  onRun,
+  running,
+  disabledReason,
+  useConsensus,
+  onUseConsensus,
+  validation,
+}) {
+  const [onlyBreaks, setOnlyBreaks] = useState(true);
+  const [a, b] = sources?.filter((s) => s.rows) || [];
+  const failed = sources?.filter((s) => s.error) || [];
+  const tableRows = recon ? recon.rows.filter((r) => !onlyBreaks || r.status !== "match") : [];
+
+  return (
+    <div className="space-y-6">
+      {validation && <IntegrityReport validation={validation} />}
+
+      <Panel title="Cross-Provider Reconciliation">
+        <div className="flex flex-wrap items-end gap-4 text-sm">
+          <NumberField
+            label="Close tolerance (%)"
+            value={opts.closeTolPct}
+            step={0.1}
+            onChange={(v) => onOptsChange({ ...opts, closeTolPct: v })}
+          />
+          <NumberField
+            label="Volume tolerance (%)"
+            value={opts.volumeTolPct}
+            step={1}
+            onChange={(v) => onOptsChange({ ...opts, volumeTolPct: v })}
+          />
+          <button
+            onClick={onRun}
+            disabled={running || !!disabledReason}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-60"
+          >
+            <GitCompare size={18} />
+            {running ? "Fetching all providers…" : "Run reconciliation"}
+          </button>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={useConsensus}
+              disabled={!recon}
+              onChange={(e) => onUseConsensus(e.target.checked)}
+            />
+            Use consensus series as analysis input
+          </label>
+        </div>
+        {disabledReason && <p className="text-xs text-gray-500 mt-2">{disabledReason}</p>}
+        <p className="text-xs text-gray-500 mt-2">
+          Each provider is fetched separately (this uses API quota). Bars are compared on the current adjustment
+          basis; Stooq is total-return adjusted, so use "Total return" for a like-for-like comparison.
+        </p>
+        {failed.map((f) => (
+          <p key={f.provider} className="text-sm text-red-600 mt-2">
+            {f.label} unavailable: {describeProviderError(f.error)}
+          </p>
+        ))}
+      </Panel>
+
+      {recon && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <InfoCard title="Overlapping bars" value={recon.summary.overlap} />
+            <InfoCard title={`Missing in ${a.label}`} value={recon.summary.missingInA} />
+            <InfoCard title={`Missing in ${b.label}`} value={recon.summary.missingInB} />
+            <InfoCard title="Close breaks" value={recon.summary.closeBreaks} />
+            <InfoCard title="Volume breaks" value={recon.summary.volumeBreaks} />
+            <InfoCard title="Mean |Δ close|" value={`${fmt(recon.summary.meanAbsCloseDiffPct, 3)}%`} />
+          </div>
+
+          <Panel title="Systematic Offsets">
+            {recon.offsets.length === 0 ? (
+              <p className="text-sm text-gray-600">No persistent price offsets between providers.</p>
+            ) : (
+              <ul className="text-sm space-y-2">
+                {recon.offsets.map((o) => (
+                  <li key={o.from} className="border-l-4 border-orange-500 pl-3">
+                    <strong>
+                      {o.from} → {o.to}
+                    </strong>{" "}
+                    ({o.bars} bars): {b.label} is {fmt(o.offsetPct)}% vs {a.label} — {o.note}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Panel>
+
+          <Panel title={`Reconciliation Table (${a.label} vs ${b.label})`}>
+            <p className="text-sm text-gray-600 mb-3">
+              {recon.summary.rangeStart} → {recon.summary.rangeEnd} •{" "}
+              <label className="inline-flex items-center gap-1">
+                <input type="checkbox" checked={onlyBreaks} onChange={(e) => setOnlyBreaks(e.target.checked)} />
+                only discrepancies
+              </label>
+            </p>
+            <div className="max-h-96 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-left text-gray-600">
+                    <th className="p-2">Date</th>
+                    <th className="p-2">{a.label} close</th>
+                    <th className="p-2">{b.label} close</th>
+                    <th className="p-2">Δ close %</th>
+                    <th className="p-2">{a.label} volume</th>
+                    <th className="p-2">{b.label} volume</th>
+                    <th className="p-2">Δ volume %</th>
+                    <th className="p-2">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tableRows.slice(-500).reverse().map((r) => (
+                    <tr key={r.date} className="border-t">
+                      <td className="p-2">{r.date}</td>
+                      <td className="p-2">{fmt(r.a?.close)}</td>
+                      <td className="p-2">{fmt(r.b?.close)}</td>
+                      <td className="p-2">{fmt(r.closeDiffPct, 3)}</td>
+                      <td className="p-2">{r.a ? r.a.volume.toLocaleString() : "—"}</td>
+                      <td className="p-2">{r.b ? r.b.volume.toLocaleString() : "—"}</td>
+                      <td className="p-2">{fmt(r.volumeDiffPct, 1)}</td>
+                      <td className={`p-2 ${r.status === "match" ? "text-green-600" : "text-orange-600"}`}>
+                        {STATUS_LABEL[r.status] || r.status}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {tableRows.length > 500 && (
+                <p className="text-xs text-gray-500 mt-2">Showing the latest 500 of {tableRows.length} rows.</p>
+              )}
+            </div>
+          </Panel>
+        </>
+      )}
+    </div>
+  );
+}
+
+function IntegrityReport({ validation }) {
+  const [type, setType] = useState("all");
+  const types = Object.keys(VALIDATION_RULES).filter((t) => validation.counts[t]);
+  const shown = validation.issues.filter((x) => type === "all" || x.type === type);
+
+  return (
+    <Panel title="Bar Integrity & Trading Calendar">
+      {types.length === 0 ? (
+        <p className="text-sm text-green-700">All bars passed the OHLC and calendar checks.</p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          {types.map((t) => (
+            <button
+              key={t}
+              onClick={() => setType(type === t ? "all" : t)}
+              className={`text-left border-l-4 pl-3 ${SEVERITY_TONE[VALIDATION_RULES[t].severity]} ${type === t ? "bg-gray-50" : ""}`}
+            >
+              <p className="text-2xl font-bold">{validation.counts[t]}</p>
+              <p className="text-sm text-gray-700">{VALIDATION_RULES[t].label}</p>
+              <p className="text-xs text-gray-500">{VALIDATION_RULES[t].severity}</p>
+            </button>
+          ))}
+        </div>
+      )}
+      {validation.fatal && (
+        <p className="text-sm text-red-600 mb-2">
+          {validation.fatalCount} fatal issue(s): model training is disabled until the data is fixed.
+        </p>
+      )}
+      {!validation.calendarChecked && (
+        <p className="text-xs text-gray-500 mb-2">
+          Calendar checks use the NYSE/Nasdaq calendar and only run for US listings on daily or intraday bars.
+        </p>
+      )}
+      {shown.length > 0 && (
+        <div className="max-h-80 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr className="text-left text-gray-600">
+                <th className="p-2">Date</th>
+                <th className="p-2">Check</th>
+                <th className="p-2">Severity</th>
+                <th className="p-2">Detail</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.slice(-500).reverse().map((x, i) => (
+                <tr key={`${x.date}-${x.type}-${i}`} className="border-t">
+                  <td className="p-2">{x.date}</td>
+                  <td className="p-2">{VALIDATION_RULES[x.type].label}</td>
+                  <td className={`p-2 ${SEVERITY_TONE[x.severity].split(" ")[1]}`}>{x.severity}</td>
+                  <td className="p-2">{x.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {shown.length > 500 && <p className="text-xs text-gray-500 mt-2">Showing the latest 500 of {shown.length} findings.</p>}
+        </div>
+      )}
+    </Panel>
+  );
+}
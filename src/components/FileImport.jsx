@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import { Upload } from "lucide-react";
+import { FIELDS, DATE_FORMATS, DELIMITERS, parseImportFile } from "../lib/fileImport";
+
+/**
+ * Drag-and-drop / file-picker import for local CSV or JSON bar data.
+ * Calls onImport({ name, rows, errors }) when at least one row parsed.
+ */
+export default function FileImport({ onImport }) {
+  const [file, setFile] = useState(null); // { name, text }
+  const [delimiter, setDelimiter] = useState("auto");
+  const [dateFormat, setDateFormat] = useState("YYYY-MM-DD");
+  const [mapping, setMapping] = useState({});
+  const [result, setResult] = useState(null);
+  const [dragging, setDragging] = useState(false);
+
+  const parse = (f = file, opts = {}) => {
+    if (!f) return;
+    const res = parseImportFile(f.name, f.text, { delimiter, dateFormat, mapping, ...opts });
+    setResult(res);
+    if (res.rows.length) onImport({ name: f.name, rows: res.rows, errors: res.errors });
+  };
+
+  const readFile = async (blob) => {
+    if (!blob) return;
+    const f = { name: blob.name, text: await blob.text() };
+    setFile(f);
+    parse(f);
+  };
+
+  const setColumn = (field, value) =>
+    setMapping((m) => {
+      const next = { ...m };
+      if (value === "auto") delete next[field];
+      else if (value === "none") next[field] = "";
+      else next[field] = /^\d+$/.test(value) ? Number(value) : value;
+      return next;
+    });
+
+  return (
+    <div className="space-y-4">
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          readFile(e.dataTransfer.files?.[0]);
+        }}
+        className={`flex flex-col items-center justify-center gap-2 border-2 border-dashed rounded-lg p-6 cursor-pointer transition-colors ${
+          dragging ? "border-blue-600 bg-blue-50" : "border-gray-300 hover:bg-gray-50"
+        }`}
+      >
+        <Upload className="text-blue-600" size={28} />
+        <span className="text-sm text-gray-700">
+          {file ? file.name : "Drop a CSV or JSON file here, or click to choose one"}
+        </span>
+        <input
+          type="file"
+          accept=".csv,.txt,.json,text/csv,application/json"
+          className="hidden"
+          onChange={(e) => readFile(e.target.files?.[0])}
+        />
+      </label>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <Select label="Delimiter" value={delimiter} onChange={setDelimiter} options={Object.entries(DELIMITERS)} />
+        <Select
+          label="Date format"
+          value={dateFormat}
+          onChange={setDateFormat}
+          options={DATE_FORMATS.map((f) => [f, f])}
+        />
+        {FIELDS.map((f) => (
+          <label key={f} className="flex flex-col gap-1">
+            <span className="text-gray-600 capitalize">{f} column</span>
+            <input
+              className="border rounded px-2 py-1"
+              placeholder="auto"
+              value={mapping[f] === "" ? "none" : mapping[f] ?? ""}
+              onChange={(e) => setColumn(f, e.target.value.trim() || "auto")}
+            />
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        Columns take a header name or a 0-based index. Leave blank to auto-detect, or type "none" to skip a field.
+      </p>
+
+      <button
+        onClick={() => parse()}
+        disabled={!file}
+        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-60"
+      >
+        Re-parse with these settings
+      </button>
+
+      {result && (
+        <div className="text-sm">
+          <p className="text-gray-700">
+            Imported <strong>{result.rows.length}</strong> rows
+            {result.errors.length > 0 && (
+              <>
+                , skipped <strong className="text-red-600">{result.errors.length}</strong> with errors
+              </>
+            )}
+            .
+          </p>
+          {result.errors.length > 0 && (
+            <ul className="mt-2 max-h-48 overflow-y-auto bg-red-50 text-red-700 rounded p-3 space-y-1">
+              {result.errors.slice(0, 200).map((e, i) => (
+                <li key={i}>
+                  Line {e.line}: {e.message}
+                </li>
+              ))}
+              {result.errors.length > 200 && <li>… {result.errors.length - 200} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Select({ label, value, onChange, options }) {
+  return (
+    <label className="flex flex-col gap-1">
+      <span className="text-gray-600">{label}</span>
+      <select className="border rounded px-2 py-1" value={value} onChange={(e) => onChange(e.target.value)}>
+        {options.map(([v, text]) => (
+          <option key={v} value={v}>
+            {text}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
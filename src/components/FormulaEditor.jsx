@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { LineChart, Line, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import { Plus, Trash2, Check } from "lucide-react";
+import { Panel } from "./ui";
+import { barAxis } from "./candles";
+import { compileFormula, isFormulaName, FORMULA_FUNCTIONS, FORMULA_OPERATORS } from "../lib/formula";
+import { createFormula } from "../lib/indicatorSettings";
+
+const COLORS = ["#0ea5e9", "#ec4899", "#84cc16", "#f59e0b", "#8b5cf6"];
+
+// Parse/name check against the columns and earlier formulas -> message or ""
+function checkDraft(name, expr, columns, earlier) {
+  if (!isFormulaName(name)) return "Name must be letters, digits or _ and not a function name";
+  if (columns.includes(name) || earlier.includes(name)) return `"${name}" is already a column`;
+  try {
+    compileFormula(expr, [...columns, ...earlier]);
+    return "";
+  } catch (e) {
+    return e.pos >= 0 ? `${e.message} (at character ${e.pos + 1})` : e.message;
+  }
+}
+
+/**
+ * Custom formula editor for the Technical tab. Formulas are evaluated in order
+ * by lib/formula over the enriched rows; each becomes a column that is plotted
+ * here, exported, and selectable as a custom signal rule.
+ * `errors` are the evaluation errors by formula id from the last pipeline run;
+ * `data` is the chart slice and `interval` labels its x axis.
+ */
+export default function FormulaEditor({ formulas, errors, columns, data, interval, onChange }) {
+  const [name, setName] = useState("");
+  const [expr, setExpr] = useState("");
+  const names = formulas.map((f) => f.name);
+  const draftError = name || expr ? checkDraft(name, expr, columns, names) : "";
+
+  const add = () => {
+    onChange([...formulas, createFormula(name, expr)]);
+    setName("");
+    setExpr("");
+  };
+  const update = (id, patch) => onChange(formulas.map((f) => (f.id === id ? { ...f, ...patch } : f)));
+  const remove = (id) => onChange(formulas.filter((f) => f.id !== id));
+
+  const plotted = formulas.filter((f) => !errors[f.id]);
+
+  return (
+    <div className="space-y-6">
+      <Panel title="Custom Formulas">
+        <div className="space-y-2 text-sm">
+          {formulas.map((f, i) => (
+            <FormulaRow
+              key={f.id}
+              formula={f}
+              error={errors[f.id]?.message}
+              check={(n, x) => checkDraft(n, x, columns, names.slice(0, i))}
+              onApply={(patch) => update(f.id, patch)}
+              onRemove={() => remove(f.id)}
+            />
+          ))}
+          {!formulas.length && <p className="text-gray-500">No formulas yet, e.g. z = (close - sma50) / volatility</p>}
+        </div>
+
+        <div className="flex flex-wrap items-end gap-2 mt-4 text-sm">
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Name</span>
+            <input value={name} onChange={(e) => setName(e.target.value.trim())} className="border rounded px-2 py-1 w-40" placeholder="spread" />
+          </label>
+          <label className="flex flex-col gap-1 flex-1 min-w-[16rem]">
+            <span className="text-gray-600">Expression</span>
+            <input
+              value={expr}
+              onChange={(e) => setExpr(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && name && expr && !draftError && add()}
+              className="border rounded px-2 py-1 font-mono"
+              placeholder="ema(close, 12) - ema(close, 26)"
+            />
+          </label>
+          <button
+            onClick={add}
+            disabled={!name || !expr || !!draftError}
+            className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Plus size={16} />
+            Add
+          </button>
+        </div>
+        {draftError && <p className="text-xs text-red-600 mt-1">{draftError}</p>}
+
+        <details className="mt-4 text-sm">
+          <summary className="cursor-pointer text-gray-700 font-semibold">Language reference</summary>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 mt-2">
+            {Object.values(FORMULA_FUNCTIONS).map((f) => (
+              <p key={f.signature}>
+                <code className="text-blue-700">{f.signature}</code> <span className="text-gray-600">— {f.help}</span>
+              </p>
+            ))}
+          </div>
+          <p className="mt-2 text-gray-600">
+            Operators: <code>{FORMULA_OPERATORS}</code>. Windows and shifts are whole numbers.
+          </p>
+          <p className="mt-1 text-gray-600">
+            Columns: <code className="break-words">{[...columns, ...names].join(", ")}</code>
+          </p>
+        </details>
+      </Panel>
+
+      {plotted.map((f, i) => (
+        <Panel key={f.id} title={`${f.name} = ${f.expr}`}>
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" />
+              {barAxis(interval)}
+              <YAxis domain={["auto", "auto"]} />
+              <Tooltip />
+              <Legend />
+              <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="3 3" />
+              <Line type="monotone" dataKey={f.name} stroke={COLORS[i % COLORS.length]} strokeWidth={2} name={f.name} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </Panel>
+      ))}
+    </div>
+  );
+}
+
+// One saved formula; edits are drafts until applied so the pipeline only reruns on valid input
+function FormulaRow({ formula, error, check, onApply, onRemove }) {
+  const [name, setName] = useState(formula.name);
+  const [expr, setExpr] = useState(formula.expr);
+  const dirty = name !== formula.name || expr !== formula.expr;
+  const draftError = dirty ? check(name, expr) : "";
+
+  return (
+    <div className="border rounded p-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input value={name} onChange={(e) => setName(e.target.value.trim())} className="border rounded px-2 py-1 w-40" />
+        <span className="text-gray-500">=</span>
+        <input
+          value={expr}
+          onChange={(e) => setExpr(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && dirty && !draftError && onApply({ name, expr })}
+          className="border rounded px-2 py-1 font-mono flex-1 min-w-[16rem]"
+        />
+        <button
+          onClick={() => onApply({ name, expr })}
+          disabled={!dirty || !!draftError}
+          title="Apply"
+          className="p-2 text-green-700 hover:bg-green-50 rounded disabled:opacity-40"
+        >
+          <Check size={16} />
+        </button>
+        <button onClick={onRemove} title="Remove" className="p-2 text-red-600 hover:bg-red-50 rounded">
+          <Trash2 size={16} />
+        </button>
+      </div>
+      {(draftError || (!dirty && error)) && <p className="text-xs text-red-600 mt-1">{draftError || error}</p>}
+    </div>
+  );
+}
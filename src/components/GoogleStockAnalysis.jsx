@@ -1,75 +1,51 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import {
-  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar
+  LineChart, Line, ComposedChart, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar,
+  ReferenceLine, ReferenceDot, ReferenceArea,
 } from "recharts";
 import {
-  TrendingUp, Database, AlertTriangle, CheckCircle, BarChart3, Brain, Download, RefreshCw, Activity
+  TrendingUp, Database, AlertTriangle, CheckCircle, BarChart3, Brain, Download, RefreshCw, Activity, Upload, FlaskConical
 } from "lucide-react";
-import { fetchRealData } from "../lib/dataSources";
+import { fetchRealData, fetchEachProvider, describeProviderError } from "../lib/dataSources";
+import { adjustBars, describeAction, ADJUSTMENT_MODES } from "../lib/corporateActions";
+import { lookupCompanyName } from "../lib/symbols";
+import { INTERVALS, isIntraday, sourceIntervalFor, resample } from "../lib/resample";
+import { Panel, InfoCard, Badge } from "./ui";
+import { reconcile } from "../lib/reconcile";
+import { cleanData, DEFAULT_CLEANING } from "../lib/cleaning";
+import { validateBars, VALIDATION_RULES } from "../lib/validation";
+import { downloadFile, toCsv } from "../lib/download";
+import {
+  withIndicators, buildIndicators, instanceColumns, instanceColumn, instanceKey, instanceLabel, LIBRARY_COLUMNS,
+} from "../lib/indicators";
+import { loadIndicatorSettings, saveIndicatorSettings, signalColumns } from "../lib/indicatorSettings";
+import { applyFormulas } from "../lib/formula";
+import { detectPatterns, latestPatterns, PATTERNS } from "../lib/patterns";
+import { analyzeLevels, levelsFrom, nearestLevels } from "../lib/levels";
+import { ANNOTATION_TOOLS, createAnnotation, loadAnnotations, saveAnnotations } from "../lib/annotations";
+import { fitPolynomial, describeRegressionError, trendModels, DEFAULT_MODEL_SETTINGS, TREND_MODELS } from "../lib/regression";
+import { DEFAULT_WALK_FORWARD, evaluateSplit, neweyWestLags } from "../lib/evaluation";
+import { baselineModels, BASELINES, DEFAULT_BASELINE_SETTINGS } from "../lib/baselines";
+import { analyzeArima, arimaModel, arimaLabel, describeArimaError, DEFAULT_ARIMA_SETTINGS } from "../lib/arima";
+import FileImport from "./FileImport";
+import ScenarioGenerator from "./ScenarioGenerator";
+import DataQuality from "./DataQuality";
+import DataCleaning from "./DataCleaning";
+import SymbolSearch from "./SymbolSearch";
+import QueueStatus from "./QueueStatus";
+import TechnicalIndicators from "./TechnicalIndicators";
+import IndicatorSettings from "./IndicatorSettings";
+import FormulaEditor from "./FormulaEditor";
+import PatternReport from "./PatternReport";
+import LevelsPanel from "./LevelsPanel";
+import { priceSeries, patternDots, barAxis, ChartModeSelect, ViewBarsSelect } from "./candles";
+import AnnotationToolbar, { annotationLayer } from "./Annotations";
+import RegressionPanel from "./RegressionPanel";
+import WalkForwardPanel from "./WalkForwardPanel";
+import ModelRanking from "./ModelRanking";
+import ArimaPanel from "./ArimaPanel";
 
 // ---------- helpers (unchanged or lightly tweaked) ----------
-const sma = (arr, n, i) =>
-  i >= n - 1 ? arr.slice(i - (n - 1), i + 1).reduce((s, v) => s + v, 0) / n : undefined;
-
-function indicators(data) {
-  return data.map((row, i) => {
-    const out = { ...row };
-    const closes = data.map((d) => d.close);
-
-    out.sma10 = sma(closes, 10, i);
-    out.sma20 = sma(closes, 20, i);
-    out.sma50 = sma(closes, 50, i);
-
-    if (i >= 14) {
-      const changes = data.slice(i - 13, i + 1).map((d, j, w) => (j ? d.close - w[j - 1].close : 0));
-      const gains = changes.filter((c) => c > 0);
-      const losses = changes.filter((c) => c < 0).map((c) => -c);
-      const avgGain = gains.length ? gains.reduce((a, b) => a + b, 0) / 14 : 0;
-      const avgLoss = losses.length ? losses.reduce((a, b) => a + b, 0) / 14 : 0;
-      const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-      out.rsi = 100 - 100 / (1 + rs);
-    }
-
-    if (i >= 19 && out.sma20) {
-      const window = data.slice(i - 19, i + 1).map((d) => d.close);
-      const mu = out.sma20;
-      const variance = window.reduce((s, x) => s + (x - mu) ** 2, 0) / 20;
-      const std = Math.sqrt(variance);
-      out.upperBand = mu + 2 * std;
-      out.lowerBand = mu - 2 * std;
-      out.volatility = std;
-    }
-    return out;
-  });
-}
-
-// tiny regressors
-const trainLinear = (X, y) => {
-  const n = X.length;
-  const sx = X.reduce((a, b) => a + b, 0);
-  const sy = y.reduce((a, b) => a + b, 0);
-  const sxy = X.reduce((s, x, i) => s + x * y[i], 0);
-  const sx2 = X.reduce((s, x) => s + x * x, 0);
-  const denom = n * sx2 - sx * sx || 1;
-  const slope = (n * sxy - sx * sy) / denom;
-  const intercept = (sy - slope * sx) / n;
-  return { slope, intercept, predict: (x) => slope * x + intercept };
-};
-
-const trainPoly2 = (X, y) => {
-  const n = X.length;
-  let sx = 0, sx2 = 0, sx3 = 0, sx4 = 0, sy = 0, sxy = 0, sx2y = 0;
-  for (let i = 0; i < n; i++) {
-    const x = X[i], yi = y[i], x2 = x * x, x3 = x2 * x, x4 = x2 * x2;
-    sx += x; sx2 += x2; sx3 += x3; sx4 += x4; sy += yi; sxy += x * yi; sx2y += x2 * yi;
-  }
-  const denom = sx2 * sx2 - n * sx4 || 1;
-  const a = (sx2y * sx2 - sxy * sx3) / denom;
-  const b = (sxy - a * sx2) / (sx || 1);
-  const c = (sy - b * sx - a * sx2) / n;
-  return { a, b, c, predict: (x) => a * x * x + b * x + c };
-};
-
 const evalModel = (actual, pred) => {
   const n = actual.length;
   const mse = actual.reduce((s, v, i) => s + (v - pred[i]) ** 2, 0) / n;
@@ -82,36 +58,122 @@ const evalModel = (actual, pred) => {
   return { mse: mse.toFixed(2), rmse: rmse.toFixed(2), r2: r2.toFixed(4), mae: mae.toFixed(2) };
 };
 
+// Real bars are de-duplicated and gaps filled, but no print is replaced as an
+// outlier until the user picks a detector in the Cleaning tab.
+const REAL_DATA_CLEANING = { ...DEFAULT_CLEANING, outlier: "none" };
+
+// indicator stage output before any bars are loaded
+const NO_INDICATORS = { data: [], formulaErrors: {}, formulaColumns: [], patternHits: [], levelAnalysis: null, signal: null };
+
+// Linear trend plus the configured polynomial, fitted on the first 80% of bars and
+// scored on the rest. A failed polynomial fit (e.g. too few bars for the degree)
+// leaves the linear model on its own; `error` describes the failure.
+const NO_TREND = { fits: null, metrics: {}, testSeries: { linear: [], polynomial: [] }, ensemble: null, error: "" };
+
+function fitTrendModels(rows, settings) {
+  const split = Math.floor(rows.length * 0.8);
+  const train = rows.slice(0, split);
+  const test = rows.slice(split);
+  const Xtr = train.map((_, i) => i);
+  const Ytr = train.map((d) => d.close);
+  const Xte = test.map((_, i) => split + i);
+  const Yte = test.map((d) => d.close);
+
+  let lin;
+  let poly = null;
+  let error = "";
+  try {
+    lin = fitPolynomial(Xtr, Ytr, { ...settings, degree: 1 });
+    poly = fitPolynomial(Xtr, Ytr, settings);
+  } catch (e) {
+    error = describeRegressionError(e.message);
+  }
+  if (!lin) return { ...NO_TREND, error };
+  const ensemble = (x) => (poly ? (lin.predict(x) + poly.predict(x)) / 2 : lin.predict(x));
+
+  const trLin = Xtr.map(lin.predict);
+  const teLin = Xte.map(lin.predict);
+  const trPoly = poly ? Xtr.map(poly.predict) : [];
+  const tePoly = poly ? Xte.map(poly.predict) : [];
+  return {
+    fits: { linear: lin, polynomial: poly },
+    metrics: {
+      splitIdx: split,
+      linear: { train: evalModel(Ytr, trLin), test: evalModel(Yte, teLin) },
+      polynomial: poly ? { train: evalModel(Ytr, trPoly), test: evalModel(Yte, tePoly) } : undefined,
+      ensemble: { train: evalModel(Ytr, Xtr.map(ensemble)), test: evalModel(Yte, Xte.map(ensemble)) },
+    },
+    testSeries: { linear: teLin, polynomial: tePoly },
+    ensemble,
+    error,
+  };
+}
+
 // ---------- NEW: simple signal engine + RTP ----------
-function generateSignal(rows) {
+const MAX_LEVEL_DISTANCE = 0.15; // levels further from price than this are ignored for stops/targets
+
+// `rules` are the user's signal settings with `columns` from signalColumns()
+function generateSignal(rows, rules) {
   const n = rows.length;
   const last = rows[n - 1];
   const prev = rows[n - 2];
+  const { columns: col, buyBelow, sellAbove } = rules;
+  const at = (row, c) => (c ? row[c.key] : undefined);
+  const rsi = at(last, col.rsi);
+  const [fast, slow, prevFast, prevSlow] = [at(last, col.fast), at(last, col.slow), at(prev, col.fast), at(prev, col.slow)];
+  // custom formula rules vote when their latest value is non-zero
+  const [buyRule, sellRule] = [at(last, col.buyRule), at(last, col.sellRule)];
 
   // rules
-  const rsiBuy = last.rsi !== undefined && last.rsi < 35;
-  const rsiSell = last.rsi !== undefined && last.rsi > 65;
-  const smaBull = last.sma20 && last.sma50 && last.sma20 > last.sma50 && prev.sma20 <= prev.sma50;
-  const smaBear = last.sma20 && last.sma50 && last.sma20 < last.sma50 && prev.sma20 >= prev.sma50;
+  const rsiBuy = rsi !== undefined && rsi < buyBelow;
+  const rsiSell = rsi !== undefined && rsi > sellAbove;
+  const smaBull = fast && slow && fast > slow && prevFast <= prevSlow;
+  const smaBear = fast && slow && fast < slow && prevFast >= prevSlow;
+
+  const ruleBuy = !!buyRule;
+  const ruleSell = !!sellRule;
+  // candlestick patterns completed on the last bar
+  const { bullish = [], bearish = [] } = rules.patterns ? rules.latest || {} : {};
+  const patternBuy = bullish.length > 0;
+  const patternSell = bearish.length > 0;
 
   let action = "HOLD";
-  if (smaBull || rsiBuy) action = "BUY";
-  if (smaBear || rsiSell) action = "SELL";
+  if (smaBull || rsiBuy || ruleBuy || patternBuy) action = "BUY";
+  if (smaBear || rsiSell || ruleSell || patternSell) action = "SELL";
 
   // fake “probability” from agreement
-  const votes = [rsiBuy || rsiSell, smaBull || smaBear].filter(Boolean).length;
+  const votes = [rsiBuy || rsiSell, smaBull || smaBear, ruleBuy || ruleSell, patternBuy || patternSell].filter(Boolean).length;
   const probability = Math.min(90, 50 + votes * 20); // 50/70/90
 
   // Risk/Target as % of close, scaled by recent volatility
-  const vol = last.volatility || 1;
-  const riskPct = Math.min(3, Math.max(1, vol * 0.5));  // 1–3%
-  const targetPct = riskPct * 2;                         // 1R:2R
+  const vol = at(last, col.volatility) || 1;
+  const flatRisk = Math.min(3, Math.max(1, vol * 0.5));  // 1–3%
 
   const price = last.close;
-  const stop = action === "BUY" ? +(price * (1 - riskPct / 100)).toFixed(2)
-                                : +(price * (1 + riskPct / 100)).toFixed(2);
-  const target = action === "BUY" ? +(price * (1 + targetPct / 100)).toFixed(2)
-                                  : +(price * (1 - targetPct / 100)).toFixed(2);
+  const long = action === "BUY";
+  let stop = long ? +(price * (1 - flatRisk / 100)).toFixed(2)
+                  : +(price * (1 + flatRisk / 100)).toFixed(2);
+  let target = long ? +(price * (1 + (flatRisk * 2) / 100)).toFixed(2)  // 1R:2R
+                    : +(price * (1 - (flatRisk * 2) / 100)).toFixed(2);
+  let stopBasis = "flat %";
+  let targetBasis = "flat %";
+
+  // Level-based: stop just beyond the nearest level behind the trade, target at the
+  // nearest level ahead; levels further than MAX_LEVEL_DISTANCE keep the flat %
+  const { below, above } = nearestLevels(price, rules.levels || []);
+  const buffer = Number.isFinite(last.atr) ? 0.25 * last.atr : price * 0.002;
+  const near = (l) => l && Math.abs(l.price - price) / price <= MAX_LEVEL_DISTANCE;
+  const [stopLevel, targetLevel] = long ? [below, above] : [above, below];
+  if (near(stopLevel)) {
+    stop = +(long ? stopLevel.low - buffer : stopLevel.high + buffer).toFixed(2);
+    stopBasis = stopLevel.label;
+  }
+  if (near(targetLevel)) {
+    target = +targetLevel.price.toFixed(2);
+    targetBasis = targetLevel.label;
+  }
+  const riskPct = +((Math.abs(price - stop) / price) * 100).toFixed(2);
+  const targetPct = +((Math.abs(target - price) / price) * 100).toFixed(2);
 
   return {
     action,
@@ -121,138 +183,429 @@ function generateSignal(rows) {
     price,
     stop,
     target,
-    notes: {
-      rsi: last.rsi?.toFixed(1),
-      sma20: last.sma20?.toFixed(2),
-      sma50: last.sma50?.toFixed(2),
-    },
+    stopBasis,
+    targetBasis,
+    // "RSI(14) 52.3" style readouts of the inputs that are configured
+    notes: [
+      [col.rsi, rsi?.toFixed(1)],
+      [col.fast, fast?.toFixed(2)],
+      [col.slow, slow?.toFixed(2)],
+      [col.buyRule, buyRule?.toFixed(2)],
+      [col.sellRule, sellRule?.toFixed(2)],
+    ]
+      .filter(([c]) => c)
+      .map(([c, v]) => `${c.label} ${v ?? "—"}`)
+      .concat([...bullish, ...bearish].map((t) => PATTERNS[t].label)),
   };
 }
 
+const TAB_LABELS = { quality: "Data Quality" };
+
+// Line colours for user-configured indicator instances
+const PALETTE = ["#f59e0b", "#10b981", "#ef4444", "#8b5cf6", "#0ea5e9", "#ec4899", "#84cc16"];
+
 export default function GoogleStockAnalysis() {
-  const [symbol] = useState("GOOGL");
+  const [symbol, setSymbol] = useState("GOOGL");
+  const [company, setCompany] = useState(lookupCompanyName("GOOGL"));
   const [raw, setRaw] = useState([]);
-  const [data, setData] = useState([]);
   const [stats, setStats] = useState({});
-  const [metrics, setMetrics] = useState({});
-  const [pred, setPred] = useState([]);
-  const [testSeries, setTestSeries] = useState({ linear: [], polynomial: [] });
-  const [signal, setSignal] = useState(null);
   const [activeTab, setActiveTab] = useState("overview");
   const [isLoading, setIsLoading] = useState(true);
   const [err, setErr] = useState("");
+  const [provenance, setProvenance] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showScenario, setShowScenario] = useState(false);
+  const [bars, setBars] = useState([]); // source bars before split/dividend adjustment
+  const [adjMode, setAdjMode] = useState("total");
+  const [actions, setActions] = useState([]);
+  const [barInterval, setBarInterval] = useState("daily");
+  const fetchInterval = sourceIntervalFor(barInterval);
+  const [reconSources, setReconSources] = useState(null); // per-provider rows for reconciliation
+  const [reconOpts, setReconOpts] = useState({ closeTolPct: 0.5, volumeTolPct: 5 });
+  const [reconRunning, setReconRunning] = useState(false);
+  const reconCtrl = useRef(null); // aborts a reconciliation run for a previous symbol
+  const [useConsensus, setUseConsensus] = useState(false);
+  const [cleaning, setCleaning] = useState(REAL_DATA_CLEANING);
+  const [cleanInput, setCleanInput] = useState([]); // adjusted bars before cleaning, for the strategy comparison
+  const [validation, setValidation] = useState(null);
+  const [audit, setAudit] = useState([]); // cleaning changes, one entry per modified value/row
+  // instances, signal rules, library periods and definitions; persisted in localStorage
+  const [indicatorSettings, setIndicatorSettings] = useState(loadIndicatorSettings);
+  const [chartMode, setChartMode] = useState("line"); // line | candle | ohlc
+  const [shownPatterns, setShownPatterns] = useState({ hammer: true, bullishEngulfing: true, bearishEngulfing: true, morningStar: true, eveningStar: true });
+  const [viewBars, setViewBars] = useState(100); // bars shown on the price charts
+  const [annotations, setAnnotations] = useState([]); // drawings for `symbol`, loaded per symbol
+  const [draw, setDraw] = useState({ tool: "", snap: "close", note: "", points: [] });
+  const [modelSettings, setModelSettings] = useState(DEFAULT_MODEL_SETTINGS); // polynomial trend fit options
+  const [evalMode, setEvalMode] = useState("split"); // split | walkForward
+  const [walkSettings, setWalkSettings] = useState(DEFAULT_WALK_FORWARD);
+  const [baselineSettings, setBaselineSettings] = useState(DEFAULT_BASELINE_SETTINGS); // naive baselines + ranking
+  const [arimaSettings, setArimaSettings] = useState(DEFAULT_ARIMA_SETTINGS);
+
+  // Stats for a set of cleaned rows, whichever source they came from (network,
+  // cache or a local file). Indicators, the signal and the models follow `raw`
+  // below. `quality` carries the record counts and issues found by cleanData.
+  const analyze = (rows, quality = {}) => {
+    setRaw(rows);
+
+    // stats
+    const closes = rows.map((d) => d.close);
+    const vols = rows.map((d) => d.volume);
+    const rets = rows.slice(1).map((d, i) => (d.close - rows[i].close) / rows[i].close);
+    const avgRet = rets.reduce((a, b) => a + b, 0) / (rets.length || 1);
+    const vol = Math.sqrt(rets.reduce((s, r) => s + r * r, 0) / (rets.length || 1));
+    setStats({
+      totalRecords: quality.totalRecords ?? rows.length,
+      cleanRecords: quality.cleanRecords ?? rows.length,
+      issues: quality.issues || { nulls: 0, duplicates: 0, outliers: 0 },
+      avgClose: (closes.reduce((a, b) => a + b, 0) / closes.length).toFixed(2),
+      maxClose: Math.max(...closes).toFixed(2),
+      minClose: Math.min(...closes).toFixed(2),
+      avgVolume: Math.floor(vols.reduce((a, b) => a + b, 0) / vols.length),
+      avgReturn: (avgRet * 100).toFixed(2),
+      volatility: (vol * 100).toFixed(2),
+      sharpeRatio: (avgRet / (vol || 1)).toFixed(2),
+    });
+  };
+
+  const importRows = ({ name, rows, errors }) => {
+    setErr("");
+    setProvenance({
+      provider: "file",
+      label: `Local file (${name})`,
+      failures: [],
+      fetchedAt: new Date().toISOString(),
+      skippedLines: errors.length,
+    });
+    setBars(rows);
+  };
+
+  // Synthetic bars from the scenario generator; `defects` is the injected ground truth
+  const loadScenario = ({ label, rows, defects }) => {
+    setErr("");
+    setProvenance({
+      provider: "synthetic",
+      label: `Synthetic scenario (${label})`,
+      failures: [],
+      fetchedAt: new Date().toISOString(),
+      defects,
+    });
+    setBars(rows);
+  };
+
+  // Drops everything derived from the current source bars
+  const resetData = () => {
+    setBars([]);
+    setRaw([]);
+    setCleanInput([]);
+    setValidation(null);
+    setAudit([]);
+    setStats({});
+    setActions([]);
+    setProvenance(null);
+    setReconSources(null);
+    setUseConsensus(false);
+  };
+
+  const selectSymbol = ({ symbol: next, name }) => {
+    setCompany(name || lookupCompanyName(next));
+    if (next === symbol) return;
+    resetData();
+    setSymbol(next);
+  };
+
+  // weekly/monthly reuse the daily bars; other switches need a new download
+  const selectInterval = (next) => {
+    if (sourceIntervalFor(next) !== fetchInterval) resetData();
+    setBarInterval(next);
+  };
 
   useEffect(() => {
+    let cancelled = false;
+    // aborts queued/in-flight provider requests when the symbol changes or on unmount
+    const ctrl = new AbortController();
+
     (async () => {
       try {
-        setIsLoading(true);
+        if (!raw.length) setIsLoading(true);
+        setIsRefreshing(true);
         setErr("");
 
-        // 1) fetch real market data (Alpha Vantage -> Stooq fallback)
-        const rows = await fetchRealData(symbol);
-        setRaw(rows);
-
-        // 2) indicators
-        const enr = indicators(rows);
-        setData(enr);
-
-        // 3) stats
-        const closes = rows.map((d) => d.close);
-        const vols = rows.map((d) => d.volume);
-        const rets = rows.slice(1).map((d, i) => (d.close - rows[i].close) / rows[i].close);
-        const avgRet = rets.reduce((a, b) => a + b, 0) / (rets.length || 1);
-        const vol = Math.sqrt(rets.reduce((s, r) => s + r * r, 0) / (rets.length || 1));
-        setStats({
-          totalRecords: rows.length,
-          cleanRecords: rows.length,
-          issues: { nulls: 0, duplicates: 0, outliers: 0 },
-          avgClose: (closes.reduce((a, b) => a + b, 0) / closes.length).toFixed(2),
-          maxClose: Math.max(...closes).toFixed(2),
-          minClose: Math.min(...closes).toFixed(2),
-          avgVolume: Math.floor(vols.reduce((a, b) => a + b, 0) / vols.length),
-          avgReturn: (avgRet * 100).toFixed(2),
-          volatility: (vol * 100).toFixed(2),
-          sharpeRatio: (avgRet / (vol || 1)).toFixed(2),
+        // 1) fetch real market data through the provider fallback chain;
+        //    cached bars render immediately, then only newer bars are downloaded
+        const { rows, provenance: prov } = await fetchRealData(symbol, {
+          interval: fetchInterval,
+          signal: ctrl.signal,
+          onCached: (hit) => {
+            if (cancelled) return;
+            setProvenance(hit.provenance);
+            setBars(hit.rows);
+            setIsLoading(false);
+          },
         });
-
-        // 4) models
-        const split = Math.floor(rows.length * 0.8);
-        const train = rows.slice(0, split);
-        const test = rows.slice(split);
-        const Xtr = train.map((_, i) => i);
-        const Ytr = train.map((d) => d.close);
-        const Xte = test.map((_, i) => split + i);
-        const Yte = test.map((d) => d.close);
-
-        const lin = trainLinear(Xtr, Ytr);
-        const poly = trainPoly2(Xtr, Ytr);
-
-        const trLin = Xtr.map(lin.predict);
-        const teLin = Xte.map(lin.predict);
-        const trPoly = Xtr.map(poly.predict);
-        const tePoly = Xte.map(poly.predict);
-
-        const ensTrain = trLin.map((p, i) => (p + trPoly[i]) / 2);
-        const ensTest = teLin.map((p, i) => (p + tePoly[i]) / 2);
-
-        setMetrics({
-          splitIdx: split,
-          linear: { train: evalModel(Ytr, trLin), test: evalModel(Yte, teLin) },
-          polynomial: { train: evalModel(Ytr, trPoly), test: evalModel(Yte, tePoly) },
-          ensemble: { train: evalModel(Ytr, ensTrain), test: evalModel(Yte, ensTest) },
-        });
-        setTestSeries({ linear: teLin, polynomial: tePoly });
-
-        // 5) predictions next 30
-        const future = [];
-        for (let i = 1; i <= 30; i++) {
-          const idx = rows.length + i - 1;
-          const l = lin.predict(idx);
-          const p = poly.predict(idx);
-          future.push({ day: i, linear: l, polynomial: p, ensemble: (l + p) / 2 });
-        }
-        setPred(future);
-
-        // 6) signal
-        setSignal(generateSignal(enr));
+        if (cancelled) return;
+        setProvenance(prov);
+        setBars(rows);
       } catch (e) {
+        if (cancelled) return;
+        setProvenance(e.provenance || null);
         setErr(e.message || "Failed to load data.");
       } finally {
-        setIsLoading(false);
+        if (!cancelled) {
+          setIsLoading(false);
+          setIsRefreshing(false);
+        }
       }
     })();
+
+    return () => {
+      cancelled = true;
+      ctrl.abort();
+    };
+  }, [symbol, fetchInterval, refreshKey]);
+
+  // a run still in flight when the symbol changes (or on unmount) is aborted, so
+  // the old ticker's bars never become the new one's reconciliation input
+  useEffect(() => () => reconCtrl.current?.abort(), [symbol]);
+
+  const runReconciliation = async () => {
+    reconCtrl.current?.abort();
+    const ctrl = new AbortController();
+    reconCtrl.current = ctrl;
+    setReconRunning(true);
+    try {
+      const sources = await fetchEachProvider(symbol, { interval: "daily", signal: ctrl.signal });
+      if (!ctrl.signal.aborted) setReconSources(sources);
+    } catch (e) {
+      if (e.name !== "AbortError") throw e;
+    } finally {
+      if (reconCtrl.current === ctrl) setReconRunning(false);
+    }
+  };
+
+  // Providers reporting raw bars + actions are put on the current adjustment basis first
+  const recon = useMemo(() => {
+    const ok = (reconSources || [])
+      .filter((s) => s.rows)
+      .map((s) =>
+        s.provenance.capabilities?.adjustment === "actions" ? adjustBars(s.rows, adjMode).rows : s.rows
+      );
+    return ok.length >= 2 ? reconcile(ok[0], ok[1], reconOpts) : null;
+  }, [reconSources, reconOpts, adjMode]);
+
+  // Re-run the pipeline whenever the source bars, adjustment mode, interval or
+  // cleaning strategy change.
+  // Adjust -> clean -> resample: cleaning needs a consistent price basis, and
+  // higher timeframes should aggregate already-cleaned bars.
+  useEffect(() => {
+    let rows;
+    let from = fetchInterval;
+    if (useConsensus && recon) {
+      rows = recon.consensus;
+      from = "daily";
+    } else {
+      if (!bars.length) return;
+      const adj = adjustBars(bars, adjMode);
+      setActions(adj.actions);
+      rows = adj.rows;
+    }
+    const checks = validateBars(rows, { interval: from, symbol });
+    const { cleaned, issues, audit: changes } = cleanData(rows, cleaning);
+    setValidation(checks);
+    setAudit(changes);
+    setCleanInput(rows);
+    analyze(resample(cleaned, from, barInterval), {
+      totalRecords: rows.length,
+      cleanRecords: cleaned.length,
+      issues,
+    });
+  }, [bars, adjMode, barInterval, useConsensus, recon, cleaning]);
+
+  // Indicators (SMA/RSI/Bollinger plus the extended library; streaming, O(n)), the
+  // user's formulas over the enriched rows, then patterns, levels and the signal
+  // (rule-based, so it does not depend on the models). Only indicator edits and
+  // new bars re-run this.
+  // data: enriched rows; formulaErrors by formula id; formulaColumns: names formulas
+  // may reference; patternHits: [{ index, date, type }] over `data`; levelAnalysis:
+  // zones + pivots from lib/levels
+  const { data, formulaErrors, formulaColumns, patternHits, levelAnalysis, signal } = useMemo(() => {
+    if (!raw.length) return NO_INDICATORS;
+    const { instances, params, definitions, formulas } = indicatorSettings;
+    const specs = buildIndicators(params, { intraday: isIntraday(barInterval), definitions, instances });
+    const columns = ["open", "high", "low", "close", "volume", ...specs.flatMap((sp) => sp.columns)];
+    const fx = applyFormulas(withIndicators(raw, specs), formulas, columns);
+    const hits = detectPatterns(raw);
+    const lv = analyzeLevels(raw, indicatorSettings.levels);
+    const { stops } = indicatorSettings.signal;
+    return {
+      data: fx.rows,
+      formulaErrors: fx.errors,
+      formulaColumns: columns,
+      patternHits: hits,
+      levelAnalysis: lv,
+      signal: generateSignal(fx.rows, {
+        ...indicatorSettings.signal,
+        columns: signalColumns(indicatorSettings, fx.errors),
+        latest: latestPatterns(raw, hits),
+        levels: stops === "percent" ? [] : levelsFrom(lv, stops),
+      }),
+    };
+  }, [raw, barInterval, indicatorSettings]);
+
+  useEffect(() => saveIndicatorSettings(indicatorSettings), [indicatorSettings]);
+
+  useEffect(() => {
+    setAnnotations(loadAnnotations(symbol));
+    setDraw((d) => ({ ...d, points: [] }));
   }, [symbol]);
 
-  const chartData = data.slice(-100).map((d) => ({
-    date: d.date.slice(5),
+  const updateAnnotations = (next) => {
+    setAnnotations(next);
+    saveAnnotations(symbol, next);
+  };
+
+  // models below are not trained when validation found fatal issues
+  const closes = useMemo(() => raw.map((d) => d.close), [raw]);
+
+  // ARIMA on log prices uses every bar. Order selection takes a while on long
+  // histories, so it only runs while a tab shows it and when the bars or ARIMA
+  // settings change.
+  const arimaShown = activeTab === "models" || activeTab === "predictions";
+  const { arima, arimaError } = useMemo(() => {
+    if (!arimaShown || !closes.length || validation?.fatal) return { arima: null, arimaError: "" };
+    try {
+      return { arima: analyzeArima(closes, arimaSettings), arimaError: "" };
+    } catch (e) {
+      return { arima: null, arimaError: describeArimaError(e.message) };
+    }
+  }, [arimaShown, closes, validation, arimaSettings]);
+
+  // trend models on the 80/20 split; refitted only when the bars or model settings change
+  const trend = useMemo(
+    () => (raw.length && !validation?.fatal ? fitTrendModels(raw, modelSettings) : NO_TREND),
+    [raw, validation, modelSettings]
+  );
+  const { fits, metrics, testSeries, error: modelError } = trend;
+
+  // next 30 bars from the trend models and ARIMA
+  const pred = useMemo(() => {
+    if (!trend.fits) return [];
+    const { linear, polynomial } = trend.fits;
+    return Array.from({ length: 30 }, (_, k) => {
+      const idx = raw.length + k;
+      const a = arima?.forecast[k];
+      return {
+        day: k + 1,
+        linear: linear.predict(idx),
+        polynomial: polynomial?.predict(idx),
+        ensemble: trend.ensemble(idx),
+        arima: a?.price,
+        arimaLower: a?.lower,
+        arimaUpper: a?.upper,
+      };
+    });
+  }, [trend, arima, raw.length]);
+
+  // everything the out-of-sample evaluations compare: trend models, the ARIMA
+  // order chosen on the full history (refitted per window), and the baselines
+  const arimaName = arima ? arimaLabel(arima.model) : "";
+  const evalModels = useMemo(
+    () => ({
+      ...trendModels(modelSettings),
+      ...(arima ? { arima: arimaModel(arima.model) } : {}),
+      ...baselineModels(baselineSettings),
+    }),
+    [modelSettings, arimaName, baselineSettings.season]
+  );
+  const modelLabels = useMemo(
+    () => ({
+      ...TREND_MODELS,
+      polynomial: `Polynomial (degree ${modelSettings.degree})`,
+      ...(arimaName ? { arima: arimaName } : {}),
+      ...BASELINES,
+    }),
+    [modelSettings.degree, arimaName]
+  );
+  const splitEvaluation = useMemo(() => {
+    if (activeTab !== "models" || evalMode !== "split" || !metrics.splitIdx) return null;
+    const { series } = evaluateSplit(closes, evalModels, metrics.splitIdx);
+    return { series, firstOrigin: metrics.splitIdx, lags: neweyWestLags(series.length) };
+  }, [activeTab, evalMode, closes, evalModels, metrics.splitIdx]);
+
+  const providerAdjusts =
+    provenance?.capabilities?.adjustment === "pre-adjusted" || isIntraday(barInterval);
+  // place each action on the first visible bar at/after it (bars are labelled by their last date)
+  const visible = data.slice(-viewBars);
+  const chartActions = actions
+    .filter((a) => a.applied && visible.length && a.date >= visible[0].date.slice(0, 10))
+    .map((a) => ({ ...a, bar: visible.find((d) => d.date >= a.date) }))
+    .filter((a) => a.bar);
+  // bars whose reported values cleaning replaced (filled gaps have no original),
+  // and the change to the latest bar, flagged next to Last Close
+  const rewritten = new Set(audit.filter((x) => x.field !== "row" && x.original !== null).map((x) => x.date)).size;
+  const latestInput = cleanInput[cleanInput.length - 1];
+  const latestFix = latestInput && audit.find((x) => x.field === "close" && x.date === latestInput.date);
+  // cleaned closes in view, placed the same way
+  const chartFixes = audit
+    .filter((x) => x.field === "close" && visible.length && x.date >= visible[0].date.slice(0, 10))
+    .map((x) => ({ ...x, bar: visible.find((d) => d.date >= x.date) }))
+    .filter((x) => x.bar);
+
+  const { instances, formulas, signal: signalRules, levels: levelSettings } = indicatorSettings;
+  const chartZones = levelSettings.chartZones && levelAnalysis ? levelAnalysis.zones : [];
+  const chartPivots = levelSettings.chartPivots && levelAnalysis ? levelAnalysis.pivots[levelSettings.chartPivots] : [];
+  const indicatorColumns = {
+    ...Object.assign({}, ...instances.map(instanceColumns)),
+    ...LIBRARY_COLUMNS,
+    ...Object.fromEntries(formulas.filter((f) => !formulaErrors[f.id]).map((f) => [f.name, f.name])),
+  };
+  const indicatorKeys = Object.keys(indicatorColumns);
+  const smaInstances = instances.filter((x) => x.type === "sma");
+  const rsiInstances = instances.filter((x) => x.type === "rsi");
+  const bandInstances = instances.filter((x) => x.type === "bollinger");
+
+  const chartData = visible.map((d) => ({
+    ...Object.fromEntries(indicatorKeys.map((k) => [k, d[k]])),
+    barDate: d.date, // unique x key; barAxis formats the ticks
+    open: d.open,
+    high: d.high,
+    low: d.low,
     close: d.close,
-    sma10: d.sma10,
-    sma20: d.sma20,
-    sma50: d.sma50,
     volume: d.volume / 1_000_000,
-    rsi: d.rsi,
-    upperBand: d.upperBand,
-    lowerBand: d.lowerBand,
   }));
 
+  // enabled candlestick patterns within the visible bars
+  const firstVisible = data.length - chartData.length;
+  const patternMarkers = patternHits
+    .filter((h) => h.index >= firstVisible && shownPatterns[h.type])
+    .map((h) => ({ type: h.type, x: chartData[h.index - firstVisible].barDate, bar: chartData[h.index - firstVisible] }));
+  const annotationMarks = annotationLayer(annotations, { rows: data, chartData, first: firstVisible, pending: draw.points });
+
+  // chart click while a drawing tool is active: anchor to the bar's date and snapped price
+  const addAnnotationPoint = (state) => {
+    const bar = chartData[Number(state?.activeTooltipIndex)];
+    if (!draw.tool || !bar || (draw.tool === "text" && !draw.note.trim())) return;
+    const points = [...draw.points, { date: bar.barDate, price: bar[draw.snap] }];
+    if (points.length < ANNOTATION_TOOLS[draw.tool].points) return setDraw({ ...draw, points });
+    updateAnnotations([...annotations, createAnnotation(draw.tool, points, draw.tool === "text" ? draw.note.trim() : "")]);
+    setDraw({ ...draw, points: [] });
+  };
+  const toolbar = (
+    <AnnotationToolbar symbol={symbol} annotations={annotations} onChange={updateAnnotations} draw={draw} onDrawChange={setDraw} />
+  );
+  const chartControls = (
+    <div className="flex flex-wrap justify-between gap-2">
+      <ChartModeSelect value={chartMode} onChange={setChartMode} />
+      <ViewBarsSelect value={viewBars} onChange={setViewBars} />
+    </div>
+  );
+
   const exportToCSV = () => {
-    const headers = ["Date", "Close", "SMA10", "SMA20", "RSI", "Volatility"];
-    const rows = data.slice(-100).map((d) => [
-      d.date,
-      d.close,
-      d.sma10 ?? "",
-      d.sma20 ?? "",
-      d.rsi ?? "",
-      d.volatility ?? "",
-    ]);
-    const csv = [headers, ...rows].map((r) => r.join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "google_stock_analysis_real.csv";
-    a.click();
-    URL.revokeObjectURL(url);
+    const headers = ["Date", "Close", ...indicatorKeys.map((k) => indicatorColumns[k])];
+    const rows = data.slice(-100).map((d) => [d.date, d.close, ...indicatorKeys.map((k) => d[k] ?? "")]);
+    downloadFile(`${symbol.toLowerCase()}_stock_analysis_real.csv`, toCsv(headers, rows));
   };
 
   if (isLoading) {
@@ -280,11 +633,20 @@ export default function GoogleStockAnalysis() {
                 <Brain size={36} />
                 Advanced Stock Analysis Platform
               </h1>
-              <p className="mt-2 text-blue-100">Alphabet ({symbol}) • Real Market Data</p>
+              <p className="mt-2 text-blue-100">{company || symbol} ({symbol}) • Real Market Data</p>
             </div>
             <div className="text-right">
               <p className="text-sm text-blue-100">Last Close</p>
               <p className="text-4xl font-bold">${data[data.length - 1]?.close?.toFixed(2)}</p>
+              {(rewritten > 0 || latestFix) && (
+                <button onClick={() => setActiveTab("cleaning")} className="text-sm text-yellow-200 underline">
+                  {latestFix &&
+                    (latestFix.original === null
+                      ? "Latest close filled by cleaning • "
+                      : `Latest close changed by cleaning (reported $${latestFix.original.toFixed(2)}) • `)}
+                  {rewritten} bar(s) rewritten
+                </button>
+              )}
               <p className="text-sm text-blue-100 mt-1">
                 Return: {stats.avgReturn}% | Vol: {stats.volatility}%
               </p>
@@ -292,21 +654,20 @@ export default function GoogleStockAnalysis() {
           </div>
         </div>
 
-        {/* Error note */}
-        {err && (
-          <div className="bg-yellow-50 text-yellow-800 border border-yellow-200 rounded-md p-4 mb-6">
-            <p className="font-semibold">Heads up</p>
-            <p className="text-sm">
-              {err.includes("NO_ALPHA_KEY")
-                ? "No Alpha Vantage key detected. Falling back to Stooq CSV."
-                : err}
-            </p>
+        {/* Data provenance / error note */}
+        <ProvenanceBanner provenance={provenance} err={err} />
+        {useConsensus && recon && (
+          <div className="bg-purple-50 text-purple-800 border border-purple-200 rounded-md p-3 mb-6 text-sm">
+            Analysis input: consensus of {reconSources.filter((s) => s.rows).map((s) => s.label).join(" + ")} (
+            {recon.consensus.length} bars)
           </div>
         )}
+        <QueueStatus />
 
         {/* Top actions */}
         <div className="bg-white rounded-lg shadow-lg p-4 mb-6 flex items-center justify-between">
           <div className="flex gap-3">
+            <SymbolSearch symbol={symbol} onSelect={selectSymbol} />
             <button
               onClick={exportToCSV}
               className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
@@ -315,14 +676,59 @@ export default function GoogleStockAnalysis() {
               Export CSV
             </button>
             <button
-              onClick={() => window.location.reload()}
-              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              onClick={() => setShowImport((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
             >
-              <RefreshCw size={20} />
+              <Upload size={20} />
+              Import File
+            </button>
+            <button
+              onClick={() => setShowScenario((v) => !v)}
+              className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+            >
+              <FlaskConical size={20} />
+              Scenario
+            </button>
+            <button
+              onClick={() => setRefreshKey((k) => k + 1)}
+              disabled={isRefreshing}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-60"
+            >
+              <RefreshCw size={20} className={isRefreshing ? "animate-spin" : ""} />
               Refresh
             </button>
           </div>
           <div className="flex items-center gap-2">
+            <label className="text-sm text-gray-600 flex items-center gap-2 mr-4">
+              Interval
+              <select
+                value={barInterval}
+                onChange={(e) => selectInterval(e.target.value)}
+                className="border rounded px-2 py-1"
+              >
+                {Object.entries(INTERVALS).map(([k, v]) => (
+                  <option key={k} value={k}>
+                    {v.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-600 flex items-center gap-2 mr-4">
+              Adjustment
+              <select
+                value={adjMode}
+                onChange={(e) => setAdjMode(e.target.value)}
+                disabled={providerAdjusts}
+                title={providerAdjusts ? "This source serves pre-adjusted bars" : undefined}
+                className="border rounded px-2 py-1 disabled:opacity-60"
+              >
+                {Object.entries(ADJUSTMENT_MODES).map(([k, v]) => (
+                  <option key={k} value={k}>
+                    {v}
+                  </option>
+                ))}
+              </select>
+            </label>
             <Activity className="text-gray-600" size={20} />
             <span className="text-sm text-gray-600">
               Sharpe: <strong>{stats.sharpeRatio}</strong>
@@ -330,13 +736,25 @@ export default function GoogleStockAnalysis() {
           </div>
         </div>
 
+        {showImport && (
+          <Panel title="Import Local Data (CSV / JSON)">
+            <FileImport onImport={importRows} />
+          </Panel>
+        )}
+
+        {showScenario && (
+          <Panel title="Synthetic Scenario (Seeded)">
+            <ScenarioGenerator onGenerate={loadScenario} />
+          </Panel>
+        )}
+
         {/* Signal card */}
         {signal && (
           <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
             <h2 className="text-xl font-bold text-gray-800 mb-2">Trade Idea (RTP)</h2>
             <p className="text-sm text-gray-600 mb-4">
               <strong>Suggested:</strong> {signal.action} • <strong>Price:</strong> ${signal.price.toFixed(2)} •{" "}
-              <strong>Stop:</strong> ${signal.stop} • <strong>Target:</strong> ${signal.target} •{" "}
+              <strong>Stop:</strong> ${signal.stop} ({signal.stopBasis}) • <strong>Target:</strong> ${signal.target} ({signal.targetBasis}) •{" "}
               <strong>Confidence:</strong> {signal.probability}%
             </p>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
@@ -350,7 +768,9 @@ export default function GoogleStockAnalysis() {
               </div>
               <div className="p-4 rounded bg-purple-50">
                 <p className="font-semibold text-purple-700">P (Probability)</p>
-                <p className="text-gray-700">{signal.probability}% (RSI {signal.notes.rsi}, SMA20 {signal.notes.sma20}, SMA50 {signal.notes.sma50})</p>
+                <p className="text-gray-700">
+                  {signal.probability}%{signal.notes.length > 0 && ` (${signal.notes.join(", ")})`}
+                </p>
               </div>
             </div>
             <p className="text-xs text-gray-500 mt-3">Educational example only. Not financial advice.</p>
@@ -360,7 +780,7 @@ export default function GoogleStockAnalysis() {
         {/* Tabs */}
         <div className="bg-white rounded-lg shadow-lg mb-6 overflow-hidden">
           <div className="flex border-b">
-            {["overview", "technical", "models", "predictions"].map((tab) => (
+            {["overview", "technical", "cleaning", "quality", "models", "predictions"].map((tab) => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -370,7 +790,7 @@ export default function GoogleStockAnalysis() {
                     : "bg-gray-50 text-gray-700 hover:bg-gray-100"
                 }`}
               >
-                {tab.charAt(0).toUpperCase() + tab.slice(1)}
+                {TAB_LABELS[tab] || tab.charAt(0).toUpperCase() + tab.slice(1)}
               </button>
             ))}
           </div>
@@ -388,26 +808,98 @@ export default function GoogleStockAnalysis() {
               <InfoCard icon={<TrendingUp className="text-green-600" size={24} />} title="Sharpe Ratio" value={stats.sharpeRatio} />
             </div>
 
-            <Panel title="Price with Moving Averages (Last 100 Days)">
+            <Panel title={`Price with Moving Averages (Last ${chartData.length} ${INTERVALS[barInterval].label} Bars)`}>
+              {chartControls}
+              {toolbar}
               <ResponsiveContainer width="100%" height={400}>
-                <LineChart data={chartData}>
+                <ComposedChart data={chartData} onClick={addAnnotationPoint} style={{ cursor: draw.tool ? "crosshair" : undefined }}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="date" />
-                  <YAxis />
+                  {barAxis(barInterval)}
+                  <YAxis domain={["auto", "auto"]} />
                   <Tooltip />
                   <Legend />
-                  <Line type="monotone" dataKey="close" stroke="#3b82f6" strokeWidth={2} name="Close" />
-                  <Line type="monotone" dataKey="sma10" stroke="#f59e0b" strokeWidth={1} name="SMA 10" strokeDasharray="5 5" />
-                  <Line type="monotone" dataKey="sma20" stroke="#10b981" strokeWidth={1} name="SMA 20" strokeDasharray="5 5" />
-                </LineChart>
+                  {priceSeries(chartMode)}
+                  {smaInstances.map((x, i) => (
+                    <Line
+                      key={x.id}
+                      type="monotone"
+                      dataKey={instanceKey(x)}
+                      stroke={PALETTE[i % PALETTE.length]}
+                      strokeWidth={1}
+                      name={instanceLabel(x)}
+                      strokeDasharray="5 5"
+                    />
+                  ))}
+                  {chartActions.map((a) => (
+                    <ReferenceLine
+                      key={`${a.type}-${a.date}`}
+                      x={a.bar.date}
+                      stroke={a.type === "split" ? "#ef4444" : "#8b5cf6"}
+                      strokeDasharray="4 4"
+                      label={{ value: describeAction(a), position: "top", fontSize: 11 }}
+                    />
+                  ))}
+                  {chartFixes.map((x) => (
+                    <ReferenceDot
+                      key={`${x.rule}-${x.date}`}
+                      x={x.bar.date}
+                      y={x.bar.close}
+                      r={4}
+                      fill="#ef4444"
+                      stroke="none"
+                    />
+                  ))}
+                  {patternDots(patternMarkers)}
+                  {chartZones.map((z) => (
+                    <ReferenceArea
+                      key={`zone-${z.low}-${z.high}`}
+                      y1={z.low}
+                      y2={z.high === z.low ? z.high * 1.0005 : z.high}
+                      fill={z.kind === "support" ? "#10b981" : "#ef4444"}
+                      fillOpacity={0.12}
+                      stroke="none"
+                      label={{ value: `${z.kind === "support" ? "S" : "R"} ×${z.touches}`, position: "insideRight", fontSize: 10 }}
+                    />
+                  ))}
+                  {chartPivots.map((l) => (
+                    <ReferenceLine
+                      key={`pivot-${l.name}`}
+                      y={l.price}
+                      stroke={l.name === "P" ? "#6b7280" : l.name.startsWith("R") ? "#ef4444" : "#10b981"}
+                      strokeDasharray="2 4"
+                      label={{ value: l.name, position: "insideLeft", fontSize: 10 }}
+                    />
+                  ))}
+                  {annotationMarks}
+                </ComposedChart>
               </ResponsiveContainer>
+              <p className="text-xs text-gray-500 mt-2">
+                {providerAdjusts
+                  ? `${provenance?.label || "Source"} bars are pre-adjusted by the provider.`
+                  : actions.some((a) => a.applied)
+                  ? `${ADJUSTMENT_MODES[adjMode]} adjustments applied (latest 10): ${actions
+                      .filter((a) => a.applied)
+                      .slice(-10)
+                      .map((a) => `${describeAction(a)} (${a.date})`)
+                      .join(", ")}`
+                  : "No split/dividend adjustments applied."}
+                {chartFixes.length > 0 && ` Red dots: ${chartFixes.length} close value(s) changed by cleaning (see Cleaning tab).`}
+                {patternMarkers.length > 0 && ` Letters mark candlestick patterns (see Technical tab).`}
+              </p>
             </Panel>
 
+            <LevelsPanel
+              analysis={levelAnalysis}
+              settings={levelSettings}
+              price={data[data.length - 1]?.close}
+              onChange={(levels) => setIndicatorSettings((s) => ({ ...s, levels }))}
+            />
+
             <Panel title="Trading Volume">
               <ResponsiveContainer width="100%" height={300}>
                 <BarChart data={chartData}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="date" />
+                  {barAxis(barInterval)}
                   <YAxis />
                   <Tooltip />
                   <Bar dataKey="volume" fill="#3b82f6" name="Volume (M)" />
@@ -420,19 +912,37 @@ export default function GoogleStockAnalysis() {
         {/* TECHNICAL */}
         {activeTab === "technical" && (
           <div className="space-y-6">
+            <IndicatorSettings settings={indicatorSettings} onChange={setIndicatorSettings} />
+
             <Panel title="Bollinger Bands">
+              {chartControls}
+              {toolbar}
               <ResponsiveContainer width="100%" height={400}>
-                <LineChart data={chartData}>
+                <ComposedChart data={chartData} onClick={addAnnotationPoint} style={{ cursor: draw.tool ? "crosshair" : undefined }}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="date" />
-                  <YAxis />
+                  {barAxis(barInterval)}
+                  <YAxis domain={["auto", "auto"]} />
                   <Tooltip />
                   <Legend />
-                  <Line type="monotone" dataKey="upperBand" stroke="#ef4444" strokeWidth={1} name="Upper Band" strokeDasharray="3 3" />
-                  <Line type="monotone" dataKey="close" stroke="#3b82f6" strokeWidth={2} name="Close" />
-                  <Line type="monotone" dataKey="lowerBand" stroke="#10b981" strokeWidth={1} name="Lower Band" strokeDasharray="3 3" />
-                  <Line type="monotone" dataKey="sma20" stroke="#f59e0b" strokeWidth={1} name="SMA 20" />
-                </LineChart>
+                  {priceSeries(chartMode)}
+                  {bandInstances.flatMap((x, i) => {
+                    const label = instanceLabel(x);
+                    const line = (band, name, dash) => (
+                      <Line
+                        key={`${x.id}-${band}`}
+                        type="monotone"
+                        dataKey={instanceColumn(x, band)}
+                        stroke={PALETTE[i % PALETTE.length]}
+                        strokeWidth={1}
+                        name={`${label} ${name}`}
+                        strokeDasharray={dash}
+                      />
+                    );
+                    return [line("upperBand", "Upper", "3 3"), line("middleBand", "Middle"), line("lowerBand", "Lower", "3 3")];
+                  })}
+                  {patternDots(patternMarkers)}
+                  {annotationMarks}
+                </ComposedChart>
               </ResponsiveContainer>
             </Panel>
 
@@ -440,66 +950,181 @@ export default function GoogleStockAnalysis() {
               <ResponsiveContainer width="100%" height={300}>
                 <LineChart data={chartData}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="date" />
+                  {barAxis(barInterval)}
                   <YAxis domain={[0, 100]} />
                   <Tooltip />
                   <Legend />
-                  <Line type="monotone" dataKey="rsi" stroke="#8b5cf6" strokeWidth={2} name="RSI" />
+                  <ReferenceLine y={signalRules.overbought} stroke="#ef4444" strokeDasharray="3 3" />
+                  <ReferenceLine y={signalRules.oversold} stroke="#10b981" strokeDasharray="3 3" />
+                  {rsiInstances.map((x, i) => (
+                    <Line
+                      key={x.id}
+                      type="monotone"
+                      dataKey={instanceKey(x)}
+                      stroke={PALETTE[(i + 3) % PALETTE.length]}
+                      strokeWidth={2}
+                      name={instanceLabel(x)}
+                    />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
               <div className="mt-4 grid grid-cols-3 gap-4 text-sm">
-                <Badge color="red" title="Overbought" text="RSI > 70" />
-                <Badge color="gray" title="Neutral" text="30 ≤ RSI ≤ 70" />
-                <Badge color="green" title="Oversold" text="RSI < 30" />
+                <Badge color="red" title="Overbought" text={`RSI > ${signalRules.overbought}`} />
+                <Badge color="gray" title="Neutral" text={`${signalRules.oversold} ≤ RSI ≤ ${signalRules.overbought}`} />
+                <Badge color="green" title="Oversold" text={`RSI < ${signalRules.oversold}`} />
               </div>
             </Panel>
+
+            <PatternReport rows={data} hits={patternHits} shown={shownPatterns} onShownChange={setShownPatterns} />
+
+            <TechnicalIndicators
+              data={chartData}
+              interval={barInterval}
+              rows={raw}
+              chartMode={chartMode}
+              patternMarkers={patternMarkers}
+              params={indicatorSettings.params}
+              onParamsChange={(params) => setIndicatorSettings((s) => ({ ...s, params }))}
+              definitions={indicatorSettings.definitions}
+              onDefinitionsChange={(definitions) => setIndicatorSettings((s) => ({ ...s, definitions }))}
+            />
+
+            <FormulaEditor
+              formulas={formulas}
+              errors={formulaErrors}
+              columns={formulaColumns}
+              data={chartData}
+              interval={barInterval}
+              onChange={(next) => setIndicatorSettings((s) => ({ ...s, formulas: next }))}
+            />
           </div>
         )}
 
+        {/* CLEANING */}
+        {activeTab === "cleaning" && (
+          <DataCleaning
+            stats={stats}
+            config={cleaning}
+            onConfigChange={setCleaning}
+            input={cleanInput}
+            audit={audit}
+            symbol={symbol}
+            injected={provenance?.defects}
+            interval={useConsensus && recon ? "daily" : fetchInterval}
+          />
+        )}
+
+        {/* DATA QUALITY */}
+        {activeTab === "quality" && (
+          <DataQuality
+            sources={reconSources}
+            recon={recon}
+            opts={reconOpts}
+            onOptsChange={setReconOpts}
+            onRun={runReconciliation}
+            running={reconRunning}
+            disabledReason={
+              fetchInterval !== "daily" ? "Reconciliation compares daily bars; switch to a daily-based interval." : ""
+            }
+            useConsensus={useConsensus}
+            onUseConsensus={setUseConsensus}
+            validation={validation}
+          />
+        )}
+
         {/* MODELS */}
-        {activeTab === "models" && (
+        {(activeTab === "models" || activeTab === "predictions") && validation?.fatal && (
+          <TrainingBlocked validation={validation} onReview={() => setActiveTab("quality")} />
+        )}
+
+        {activeTab === "models" && !validation?.fatal && (
           <div className="space-y-6">
-            <Panel title="Model Performance">
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                {["linear", "polynomial", "ensemble"].map((name) => (
-                  <div key={name} className="border-l-4 border-blue-600 pl-4">
-                    <h3 className="font-semibold text-gray-800 capitalize mb-2">{name} Model</h3>
-                    <p className="text-sm text-gray-600">Train R²: {metrics[name]?.train?.r2}</p>
-                    <p className="text-sm text-gray-600">Test R²: {metrics[name]?.test?.r2}</p>
-                    <p className="text-sm text-gray-600">RMSE: {metrics[name]?.test?.rmse}</p>
-                  </div>
-                ))}
-              </div>
-            </Panel>
+            <RegressionPanel settings={modelSettings} onChange={setModelSettings} fits={fits} error={modelError} />
 
-            <Panel title="Model Comparison (Test Set)">
-              <ResponsiveContainer width="100%" height={400}>
-                <LineChart
-                  data={raw.slice(metrics.splitIdx).map((d, i) => ({
-                    idx: i,
-                    actual: d.close,
-                    linear: testSeries.linear[i],
-                    polynomial: testSeries.polynomial[i],
-                  }))}
+            <ArimaPanel settings={arimaSettings} onChange={setArimaSettings} analysis={arima} error={arimaError} />
+
+            <div className="flex gap-1 text-sm">
+              {Object.entries({ split: "Single 80/20 split", walkForward: "Walk-forward" }).map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setEvalMode(id)}
+                  className={`px-3 py-1 rounded border ${evalMode === id ? "bg-blue-600 text-white border-blue-600" : "bg-white hover:bg-gray-50"}`}
                 >
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="idx" />
-                  <YAxis />
-                  <Tooltip />
-                  <Legend />
-                  <Line type="monotone" dataKey="actual" stroke="#3b82f6" name="Actual" />
-                  <Line type="monotone" dataKey="linear" stroke="#f59e0b" name="Linear Model" />
-                  <Line type="monotone" dataKey="polynomial" stroke="#10b981" name="Polynomial Model" />
-                </LineChart>
-              </ResponsiveContainer>
-            </Panel>
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {evalMode === "walkForward" && (
+              <WalkForwardPanel
+                rows={raw}
+                models={evalModels}
+                labels={modelLabels}
+                settings={walkSettings}
+                onChange={setWalkSettings}
+                baselineSettings={baselineSettings}
+                onBaselineChange={setBaselineSettings}
+              />
+            )}
+
+            {evalMode === "split" && (
+              <>
+                <Panel title="Model Performance">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    {["linear", "polynomial", "ensemble"].map((name) => (
+                      <div key={name} className="border-l-4 border-blue-600 pl-4">
+                        <h3 className="font-semibold text-gray-800 capitalize mb-2">
+                          {name === "polynomial" ? `Polynomial (degree ${modelSettings.degree})` : name} Model
+                        </h3>
+                        <p className="text-sm text-gray-600">Train R²: {metrics[name]?.train?.r2}</p>
+                        <p className="text-sm text-gray-600">Test R²: {metrics[name]?.test?.r2}</p>
+                        <p className="text-sm text-gray-600">RMSE: {metrics[name]?.test?.rmse}</p>
+                      </div>
+                    ))}
+                  </div>
+                </Panel>
+
+                <Panel title="Model Comparison (Test Set)">
+                  <ResponsiveContainer width="100%" height={400}>
+                    <LineChart
+                      data={raw.slice(metrics.splitIdx).map((d, i) => ({
+                        idx: i,
+                        actual: d.close,
+                        linear: testSeries.linear[i],
+                        polynomial: testSeries.polynomial[i],
+                      }))}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="idx" />
+                      <YAxis />
+                      <Tooltip />
+                      <Legend />
+                      <Line type="monotone" dataKey="actual" stroke="#3b82f6" name="Actual" />
+                      <Line type="monotone" dataKey="linear" stroke="#f59e0b" name="Linear Model" />
+                      <Line type="monotone" dataKey="polynomial" stroke="#10b981" name="Polynomial Model" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </Panel>
+
+                {splitEvaluation && (
+                  <ModelRanking
+                    y={closes}
+                    evaluation={splitEvaluation}
+                    labels={modelLabels}
+                    settings={baselineSettings}
+                    onChange={setBaselineSettings}
+                    note={`All test forecasts share one origin, so their errors overlap heavily; DM uses ${splitEvaluation.lags} Newey-West lags and is indicative only.`}
+                  />
+                )}
+              </>
+            )}
           </div>
         )}
 
         {/* PREDICTIONS */}
-        {activeTab === "predictions" && (
+        {activeTab === "predictions" && !validation?.fatal && (
           <div className="space-y-6">
-            <Panel title="Next 30-Day Forecast">
+            <Panel title={`Next 30-Bar Forecast (${INTERVALS[barInterval].label})`}>
               <ResponsiveContainer width="100%" height={400}>
                 <LineChart data={pred}>
                   <CartesianGrid strokeDasharray="3 3" />
@@ -510,8 +1135,21 @@ export default function GoogleStockAnalysis() {
                   <Line type="monotone" dataKey="linear" stroke="#f59e0b" name="Linear" />
                   <Line type="monotone" dataKey="polynomial" stroke="#10b981" name="Polynomial" />
                   <Line type="monotone" dataKey="ensemble" stroke="#3b82f6" strokeWidth={2} name="Ensemble" />
+                  {arima && (
+                    <>
+                      <Line type="monotone" dataKey="arima" stroke="#ec4899" strokeWidth={2} name={arimaName} />
+                      <Line type="monotone" dataKey="arimaUpper" stroke="#ec4899" strokeDasharray="4 4" dot={false} name={`${arimaName} 95% upper`} />
+                      <Line type="monotone" dataKey="arimaLower" stroke="#ec4899" strokeDasharray="4 4" dot={false} name={`${arimaName} 95% lower`} />
+                    </>
+                  )}
                 </LineChart>
               </ResponsiveContainer>
+              {arima && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {arimaName} is fitted on all bars; its line is the median price (exp of the log forecast) with a 95% band.
+                  The trend models extrapolate fits on the first 80% of bars.
+                </p>
+              )}
             </Panel>
           </div>
         )}
@@ -521,29 +1159,51 @@ export default function GoogleStockAnalysis() {
 }
 
 /* ---------- tiny UI helpers ---------- */
-function Panel({ title, children }) {
-  return (
-    <div className="bg-white rounded-lg shadow-lg p-6">
-      <h2 className="text-xl font-bold text-gray-800 mb-4">{title}</h2>
-      {children}
-    </div>
-  );
-}
-function InfoCard({ icon, title, value }) {
+function ProvenanceBanner({ provenance, err }) {
+  if (!provenance && !err) return null;
+  const failures = provenance?.failures || [];
+  const ok = !!provenance?.provider;
+  const tone = !ok
+    ? "bg-red-50 text-red-800 border-red-200"
+    : failures.length || provenance.offline
+    ? "bg-yellow-50 text-yellow-800 border-yellow-200"
+    : "bg-blue-50 text-blue-800 border-blue-200";
   return (
-    <div className="bg-white rounded-lg shadow p-4">
-      <div className="mb-2">{icon}</div>
-      <p className="text-2xl font-bold text-gray-800">{value}</p>
-      <p className="text-sm text-gray-600">{title}</p>
+    <div className={`border rounded-md p-4 mb-6 ${tone}`}>
+      <p className="font-semibold">
+        {ok ? `Data source: ${provenance.label}` : "No data source could serve this symbol"}
+      </p>
+      {provenance?.fetchedAt && (
+        <p className="text-sm">
+          {{ file: "Imported", synthetic: "Generated" }[provenance.provider] || (provenance.fromCache ? "Cached" : "Fetched")}{" "}
+          {new Date(provenance.fetchedAt).toLocaleString()}
+          {provenance.offline && " • offline, showing cached bars"}
+          {provenance.newBars != null && ` • ${provenance.newBars} new bar${provenance.newBars === 1 ? "" : "s"}`}
+          {provenance.skippedLines > 0 && ` • ${provenance.skippedLines} line(s) skipped`}
+          {provenance.defects && ` • ${provenance.defects.length} injected defect(s)`}
+        </p>
+      )}
+      {failures.map((f) => (
+        <p key={f.provider} className="text-sm">
+          {f.label} failed: {describeProviderError(f.error)}
+        </p>
+      ))}
+      {err && !failures.length && <p className="text-sm">{err}</p>}
     </div>
   );
 }
-function Badge({ color, title, text }) {
-  const palette = { red: "bg-red-50 text-red-600", gray: "bg-gray-50 text-gray-600", green: "bg-green-50 text-green-600" }[color];
+
+function TrainingBlocked({ validation, onReview }) {
+  const fatal = Object.keys(validation.counts).filter((t) => VALIDATION_RULES[t].severity === "fatal");
   return (
-    <div className={`text-center p-3 rounded ${palette}`}>
-      <p className="font-semibold">{title}</p>
-      <p className="text-gray-600">{text}</p>
+    <div className="border rounded-md p-4 bg-red-50 text-red-800 border-red-200">
+      <p className="font-semibold">Model training blocked: {validation.fatalCount} fatal data issue(s)</p>
+      <p className="text-sm">
+        {fatal.map((t) => `${VALIDATION_RULES[t].label} (${validation.counts[t]})`).join(" • ")}
+      </p>
+      <button onClick={onReview} className="text-sm underline mt-2">
+        Review in Data Quality
+      </button>
     </div>
   );
 }
@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import { Plus, Trash2, RotateCcw } from "lucide-react";
+import { Panel, NumberField } from "./ui";
+import { INSTANCE_TYPES, instanceLabel } from "../lib/indicators";
+import {
+  SIGNAL_INPUTS, SIGNAL_RULES, SIGNAL_LEVELS, STOP_SOURCES, DEFAULT_INDICATOR_SETTINGS, createInstance, normalizeInstance,
+} from "../lib/indicatorSettings";
+
+/**
+ * Settings for the core indicators: add, remove and parameterize SMA / RSI /
+ * Bollinger instances, and choose the instances, RSI levels, custom formulas
+ * and candlestick patterns the signal uses. Changes apply immediately; the parent persists them.
+ */
+export default function IndicatorSettings({ settings, onChange }) {
+  const [addType, setAddType] = useState("sma");
+  const { instances, formulas, signal } = settings;
+
+  const setInstances = (next) => onChange({ ...settings, instances: next });
+  const update = (id, key, value) =>
+    setInstances(instances.map((x) => (x.id === id ? normalizeInstance({ ...x, [key]: value }) : x)));
+  const remove = (id) => setInstances(instances.filter((x) => x.id !== id));
+  const add = () => setInstances([...instances, createInstance(addType)]);
+  const setSignal = (key, value) => onChange({ ...settings, signal: { ...signal, [key]: value } });
+
+  return (
+    <Panel title="Indicator Settings">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+        <div>
+          <p className="font-semibold text-gray-700 mb-2">Instances</p>
+          <div className="space-y-2">
+            {instances.map((inst) => (
+              <div key={inst.id} className="flex flex-wrap items-end gap-2 border rounded p-2">
+                <span className="w-28 font-medium text-gray-800 pb-1">{instanceLabel(inst)}</span>
+                <NumberField label="Period" value={inst.period} step={1} onChange={(v) => update(inst.id, "period", v)} />
+                {inst.type === "bollinger" && (
+                  <NumberField label="σ multiplier" value={inst.k} step={0.1} onChange={(v) => update(inst.id, "k", v)} />
+                )}
+                <button onClick={() => remove(inst.id)} title="Remove" className="ml-auto p-2 text-red-600 hover:bg-red-50 rounded">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+            {!instances.length && <p className="text-gray-500">No instances; charts and signal rules that need them are empty.</p>}
+          </div>
+          <div className="flex items-center gap-2 mt-3">
+            <select value={addType} onChange={(e) => setAddType(e.target.value)} className="border rounded px-2 py-1">
+              {Object.entries(INSTANCE_TYPES).map(([id, t]) => (
+                <option key={id} value={id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+            <button onClick={add} className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-50">
+              <Plus size={16} />
+              Add
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <p className="font-semibold text-gray-700 mb-2">Signal rules</p>
+          <div className="flex flex-wrap items-end gap-4">
+            {Object.entries(SIGNAL_INPUTS).map(([key, input]) => (
+              <label key={key} className="flex flex-col gap-1">
+                <span className="text-gray-600">{input.label}</span>
+                <select value={signal[key] ?? ""} onChange={(e) => setSignal(key, e.target.value)} className="border rounded px-2 py-1">
+                  <option value="">— none —</option>
+                  {instances
+                    .filter((x) => x.type === input.type)
+                    .map((x) => (
+                      <option key={x.id} value={x.id}>
+                        {instanceLabel(x)}
+                      </option>
+                    ))}
+                </select>
+              </label>
+            ))}
+            {Object.entries(SIGNAL_RULES).map(([key, label]) => (
+              <label key={key} className="flex flex-col gap-1">
+                <span className="text-gray-600">{label}</span>
+                <select value={signal[key] ?? ""} onChange={(e) => setSignal(key, e.target.value)} className="border rounded px-2 py-1">
+                  <option value="">— none —</option>
+                  {formulas.map((f) => (
+                    <option key={f.id} value={f.id}>
+                      {f.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-600">Stops & targets</span>
+              <select value={signal.stops} onChange={(e) => setSignal("stops", e.target.value)} className="border rounded px-2 py-1">
+                {Object.entries(STOP_SOURCES).map(([id, label]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <label className="flex items-center gap-2 mt-4">
+            <input type="checkbox" checked={signal.patterns} onChange={() => setSignal("patterns", !signal.patterns)} />
+            Candlestick patterns on the last bar vote
+          </label>
+          <div className="flex flex-wrap items-end gap-4 mt-4">
+            {Object.entries(SIGNAL_LEVELS).map(([key, label]) => (
+              <NumberField
+                key={key}
+                label={label}
+                value={signal[key]}
+                step={1}
+                onChange={(v) => setSignal(key, Math.min(100, Math.max(0, v)))}
+              />
+            ))}
+          </div>
+          <button
+            onClick={() => onChange({ ...DEFAULT_INDICATOR_SETTINGS, formulas, levels: settings.levels })}
+            className="flex items-center gap-1 mt-4 px-3 py-1 border rounded hover:bg-gray-50"
+          >
+            <RotateCcw size={16} />
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </Panel>
+  );
+}
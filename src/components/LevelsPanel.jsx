@@ -0,0 +1,108 @@
+import React from "react";
+import { Panel, NumberField } from "./ui";
+import { PIVOT_METHODS, PIVOT_PERIODS } from "../lib/levels";
+
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : "—");
+const dist = (v, price) => `${(((v - price) / price) * 100).toFixed(2)}%`;
+
+/**
+ * Support/resistance zones and pivot points from lib/levels, with the detection
+ * settings and what the price chart draws. `analysis` comes from analyzeLevels().
+ */
+export default function LevelsPanel({ analysis, settings, onChange, price }) {
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+  if (!analysis) return null;
+  const zones = [...analysis.zones].sort((a, b) => b.price - a.price);
+
+  return (
+    <Panel title="Support / Resistance & Pivots">
+      <div className="flex flex-wrap items-end gap-4 text-sm mb-4">
+        <NumberField label="Swing strength (bars)" value={settings.strength} step={1} onChange={(v) => set("strength", Math.max(1, Math.round(v)))} />
+        <NumberField label="Zone tolerance %" value={settings.tolerancePct} step={0.1} onChange={(v) => set("tolerancePct", Math.max(0.05, v))} />
+        <NumberField label="Min touches" value={settings.minTouches} step={1} onChange={(v) => set("minTouches", Math.max(1, Math.round(v)))} />
+        <NumberField label="Lookback (bars)" value={settings.lookback} step={10} onChange={(v) => set("lookback", Math.max(10, Math.round(v)))} />
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Pivot period</span>
+          <select value={settings.pivotPeriod} onChange={(e) => set("pivotPeriod", e.target.value)} className="border rounded px-2 py-1">
+            {Object.entries(PIVOT_PERIODS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Chart pivots</span>
+          <select value={settings.chartPivots} onChange={(e) => set("chartPivots", e.target.value)} className="border rounded px-2 py-1">
+            <option value="">None</option>
+            {Object.entries(PIVOT_METHODS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 pb-1">
+          <input type="checkbox" checked={settings.chartZones} onChange={() => set("chartZones", !settings.chartZones)} />
+          Chart zones
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+        <div className="overflow-x-auto">
+          <p className="font-semibold text-gray-700 mb-2">Zones ({analysis.swings.length} swings in the last {settings.lookback} bars)</p>
+          {zones.length ? (
+            <table className="w-full">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="text-left p-2">Zone</th>
+                  <th className="text-right p-2">Range</th>
+                  <th className="text-right p-2">Touches</th>
+                  <th className="text-left p-2">Last touch</th>
+                  <th className="text-right p-2">From price</th>
+                </tr>
+              </thead>
+              <tbody>
+                {zones.map((z) => (
+                  <tr key={`${z.low}-${z.high}`} className="border-b">
+                    <td className={`p-2 ${z.kind === "support" ? "text-green-700" : "text-red-700"}`}>{z.kind}</td>
+                    <td className="p-2 text-right font-mono">
+                      {fmt(z.low)}–{fmt(z.high)}
+                    </td>
+                    <td className="p-2 text-right">{z.touches}</td>
+                    <td className="p-2">{z.last}</td>
+                    <td className="p-2 text-right font-mono">{dist(z.price, price)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-gray-500">No zone has {settings.minTouches}+ swings; widen the tolerance or lookback.</p>
+          )}
+        </div>
+
+        <div>
+          <p className="font-semibold text-gray-700 mb-2">
+            Pivots
+            {analysis.basis &&
+              ` from ${analysis.basis.from === analysis.basis.to ? analysis.basis.from : `${analysis.basis.from} – ${analysis.basis.to}`}
+              (H ${fmt(analysis.basis.high)}, L ${fmt(analysis.basis.low)}, C ${fmt(analysis.basis.close)})`}
+          </p>
+          <div className="grid grid-cols-3 gap-3">
+            {Object.entries(PIVOT_METHODS).map(([id, label]) => (
+              <div key={id}>
+                <p className="text-gray-600 mb-1">{label}</p>
+                {[...analysis.pivots[id]].reverse().map((l) => (
+                  <p key={l.name} className="flex justify-between font-mono">
+                    <span className={l.name.startsWith("R") ? "text-red-700" : l.name.startsWith("S") ? "text-green-700" : ""}>{l.name}</span>
+                    {fmt(l.price)}
+                  </p>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Panel>
+  );
+}
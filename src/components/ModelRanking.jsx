@@ -0,0 +1,101 @@
+import React, { useMemo } from "react";
+import { Panel, NumberField } from "./ui";
+import { compareModels, naiveScale, RANK_METRICS } from "../lib/evaluation";
+import { BASELINES } from "../lib/baselines";
+
+const num = (v, d = 2) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+const pct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : "—");
+
+/**
+ * One table ranking the trend models and the naive baselines on the same
+ * out-of-sample forecasts. `evaluation` is { series, firstOrigin, lags } from
+ * evaluateSplit / walkForward; `labels` names the models in the series;
+ * `settings` are { season, reference, rankBy }.
+ */
+export default function ModelRanking({ y, evaluation, labels, settings, onChange, note }) {
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+  const { series, firstOrigin, lags } = evaluation;
+  const ranked = useMemo(
+    () =>
+      compareModels(series, Object.keys(labels), {
+        reference: settings.reference,
+        scale: naiveScale(y, firstOrigin),
+        lags,
+        y,
+        rankBy: settings.rankBy,
+      }),
+    [series, labels, settings.reference, settings.rankBy, y, firstOrigin, lags]
+  );
+
+  return (
+    <Panel title="Model Ranking vs Naive Baselines">
+      <div className="flex flex-wrap items-end gap-4 text-sm mb-4">
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Rank by</span>
+          <select value={settings.rankBy} onChange={(e) => set("rankBy", e.target.value)} className="border rounded px-2 py-1">
+            {Object.entries(RANK_METRICS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Diebold-Mariano against</span>
+          <select value={settings.reference} onChange={(e) => set("reference", e.target.value)} className="border rounded px-2 py-1">
+            {Object.entries(BASELINES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <NumberField label="Season (bars)" value={settings.season} step={1} onChange={(v) => set("season", Math.max(1, Math.round(v)))} />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-gray-600">
+              <th className="text-left p-2">#</th>
+              <th className="text-left p-2">Model</th>
+              <th className="text-right p-2">RMSE</th>
+              <th className="text-right p-2">MAE</th>
+              <th className="text-right p-2">R²</th>
+              <th className="text-right p-2">MASE</th>
+              <th className="text-right p-2">Theil's U</th>
+              <th className="text-right p-2">Direction</th>
+              <th className="text-right p-2">DM stat (p)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranked.map((r, i) => (
+              <tr key={r.model} className={`border-b ${BASELINES[r.model] ? "text-gray-600" : ""}`}>
+                <td className="p-2">{i + 1}</td>
+                <td className="p-2">
+                  {labels[r.model]}
+                  {BASELINES[r.model] && <span className="ml-1 text-xs text-gray-500">(baseline)</span>}
+                </td>
+                <td className="p-2 text-right font-mono">{num(r.rmse)}</td>
+                <td className="p-2 text-right font-mono">{num(r.mae)}</td>
+                <td className="p-2 text-right font-mono">{num(r.r2, 4)}</td>
+                <td className="p-2 text-right font-mono">{num(r.mase, 3)}</td>
+                <td className="p-2 text-right font-mono">{num(r.theilU, 3)}</td>
+                <td className="p-2 text-right font-mono">{r.directional === null ? "—" : pct(r.directional)}</td>
+                <td className={`p-2 text-right font-mono ${r.dm?.pValue < 0.05 ? (r.dm.stat < 0 ? "text-green-700" : "text-red-700") : ""}`}>
+                  {r.dm ? `${num(r.dm.stat)} (${num(r.dm.pValue, 3)})` : "reference"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        {series.length} forecasts. MASE below 1 beats the in-sample one-bar naive forecast; Theil's U below 1 beats a random
+        walk from the same origin. Direction counts forecasts that call a move, against moves that happened. A negative DM
+        statistic means lower squared error than {BASELINES[settings.reference].toLowerCase()} (green/red when p &lt; 0.05).
+        {note && ` ${note}`}
+      </p>
+    </Panel>
+  );
+}
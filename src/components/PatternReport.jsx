@@ -0,0 +1,80 @@
+import React, { useMemo } from "react";
+import { Panel } from "./ui";
+import { PATTERNS, FORWARD_HORIZONS, patternStats } from "../lib/patterns";
+
+const BIAS_CLASS = { bullish: "text-green-700", bearish: "text-red-700", neutral: "text-gray-600" };
+
+const pct = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "—");
+
+/**
+ * Candlestick patterns found by lib/patterns: per-pattern counts with historical
+ * forward returns, the most recent detections, and which patterns are marked on
+ * the price charts (`shown`).
+ */
+export default function PatternReport({ rows, hits, shown, onShownChange }) {
+  const stats = useMemo(() => patternStats(rows, hits), [rows, hits]);
+  const recent = hits.slice(-15).reverse();
+
+  return (
+    <Panel title="Candlestick Patterns">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-gray-600">
+              <th className="text-left p-2">Marked</th>
+              <th className="text-left p-2">Pattern</th>
+              <th className="text-left p-2">Bias</th>
+              <th className="text-right p-2">Count</th>
+              <th className="text-left p-2">Last seen</th>
+              {FORWARD_HORIZONS.map((h) => (
+                <th key={h} className="text-right p-2">
+                  +{h} bar{h > 1 ? "s" : ""} avg (hit rate)
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(PATTERNS).map(([type, p]) => (
+              <tr key={type} className="border-b">
+                <td className="p-2">
+                  <input type="checkbox" checked={!!shown[type]} onChange={() => onShownChange({ ...shown, [type]: !shown[type] })} />
+                </td>
+                <td className="p-2 font-medium">
+                  {p.label} <span className="text-xs text-gray-500">({p.short})</span>
+                </td>
+                <td className={`p-2 ${BIAS_CLASS[p.bias]}`}>{p.bias}</td>
+                <td className="p-2 text-right">{stats[type].count}</td>
+                <td className="p-2">{stats[type].last || "—"}</td>
+                {FORWARD_HORIZONS.map((h) => {
+                  const s = stats[type].horizons[h];
+                  return (
+                    <td key={h} className="p-2 text-right font-mono">
+                      {pct(s.mean)} <span className="text-gray-500">({s.n ? pct(s.hitRate) : "—"})</span>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Forward returns are close to close from the bar that completes the pattern. Hit rate counts moves in the
+        pattern's direction (up for neutral patterns). Past frequencies, not predictions.
+      </p>
+
+      <p className="font-semibold text-gray-700 mt-4 mb-2 text-sm">Most recent</p>
+      {recent.length ? (
+        <div className="flex flex-wrap gap-2 text-xs">
+          {recent.map((h) => (
+            <span key={`${h.type}-${h.index}`} className={`px-2 py-1 rounded bg-gray-50 border ${BIAS_CLASS[PATTERNS[h.type].bias]}`}>
+              {h.date} · {PATTERNS[h.type].label}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No patterns detected.</p>
+      )}
+    </Panel>
+  );
+}
@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from "react";
+import { Clock } from "lucide-react";
+import { scheduler, getProvider, describeProviderError } from "../lib/dataSources";
+
+/**
+ * Live view of the shared request scheduler: per-provider queue depth,
+ * in-flight calls, quota usage and pending backoff.
+ */
+export default function QueueStatus() {
+  const [lanes, setLanes] = useState([]);
+
+  useEffect(() => scheduler.subscribe(setLanes), []);
+
+  // keep the wait countdown moving while something is pending
+  const busy = lanes.some((l) => l.queued || l.inFlight);
+  useEffect(() => {
+    if (!busy) return;
+    const t = setInterval(() => setLanes(scheduler.getState()), 1000);
+    return () => clearInterval(t);
+  }, [busy]);
+
+  if (!lanes.length) return null;
+  const fmt = (used, max) => (Number.isFinite(max) ? `${used}/${max}` : `${used}`);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-3 mb-6 flex flex-wrap gap-4 text-xs text-gray-600">
+      <span className="flex items-center gap-1 font-semibold text-gray-700">
+        <Clock size={14} /> Request queue
+      </span>
+      {lanes.map((l) => (
+        <span key={l.provider} className={l.queued || l.inFlight ? "text-blue-700" : ""}>
+          <strong>{getProvider(l.provider)?.label || l.provider}</strong>: {l.inFlight} in flight • {l.queued} queued
+          {l.retrying > 0 && ` (${l.retrying} retrying)`} • {fmt(l.callsLastMinute, l.perMinute)}/min •{" "}
+          {fmt(l.callsToday, l.perDay)} today
+          {l.waitMs > 0 && ` • next slot in ${Math.ceil(l.waitMs / 1000)}s`}
+          {l.lastError && l.lastError !== "ABORTED" && (
+            <span className="text-red-600"> • last error: {describeProviderError(l.lastError)}</span>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React from "react";
+import { Panel, NumberField } from "./ui";
+import { SOLVERS, PENALTIES, MAX_DEGREE } from "../lib/regression";
+
+const num = (v, d = 4) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+
+function FitSummary({ title, fit }) {
+  return (
+    <div className="overflow-x-auto">
+      <h3 className="font-semibold text-gray-800 mb-1">{title}</h3>
+      <p className="text-xs text-gray-500 mb-2">
+        z = (bar − {num(fit.center, 1)}) / {num(fit.scale, 1)} · {fit.solver}
+        {fit.penalty !== "none" && `, ${PENALTIES[fit.penalty]} λ=${fit.lambda}`}
+        {fit.iterations !== null && ` · ${fit.iterations} iterations${fit.converged ? "" : " (not converged)"}`}
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b text-gray-600">
+            <th className="text-left p-2">Term</th>
+            <th className="text-right p-2">Estimate</th>
+            <th className="text-right p-2">Std. error</th>
+            <th className="text-right p-2">t</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fit.coefficients.map((c) => (
+            <tr key={c.name} className="border-b">
+              <td className="p-2 font-mono">{c.name}</td>
+              <td className="p-2 text-right font-mono">{num(c.value)}</td>
+              <td className="p-2 text-right font-mono">{c.se === null ? "n/a" : num(c.se)}</td>
+              <td className="p-2 text-right font-mono">{c.t === null ? "—" : num(c.t, 2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-600 mt-2">
+        n {fit.n} · R² {num(fit.r2)} · adj. R² {num(fit.adjR2)} · σ {num(fit.sigma)} · model df {num(fit.edf, 2)} · residual df{" "}
+        {num(fit.dfResid, 2)}
+        {fit.condition !== null && ` · R-diagonal ratio ${fit.condition.toExponential(1)}`}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Trend regression settings for the Models tab and the fitted coefficients
+ * with standard errors (lib/regression). `fits` holds the linear baseline and
+ * the configured polynomial (null when its fit failed, with `error` set).
+ */
+export default function RegressionPanel({ settings, onChange, fits, error }) {
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <Panel title="Trend Regression">
+      <div className="flex flex-wrap items-end gap-4 text-sm mb-4">
+        <NumberField label={`Degree (1–${MAX_DEGREE})`} value={settings.degree} step={1} onChange={(v) => set("degree", Math.min(MAX_DEGREE, Math.max(1, Math.round(v))))} />
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Solver</span>
+          <select value={settings.solver} onChange={(e) => set("solver", e.target.value)} className="border rounded px-2 py-1" disabled={settings.penalty === "lasso"}>
+            {Object.entries(SOLVERS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Regularization</span>
+          <select value={settings.penalty} onChange={(e) => set("penalty", e.target.value)} className="border rounded px-2 py-1">
+            {Object.entries(PENALTIES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {settings.penalty !== "none" && <NumberField label="λ" value={settings.lambda} step={0.01} onChange={(v) => set("lambda", v)} />}
+        <label className="flex items-center gap-2 pb-1">
+          <input type="checkbox" checked={settings.standardize} onChange={() => set("standardize", !settings.standardize)} />
+          Scale features to unit variance
+        </label>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {fits?.linear && <FitSummary title="Linear" fit={fits.linear} />}
+        {fits?.polynomial && <FitSummary title={`Polynomial (degree ${fits.polynomial.degree})`} fit={fits.polynomial} />}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Fitted on the training bars (first 80%) against the bar index. Standard errors assume independent, equal-variance
+        residuals, which trending prices rarely satisfy; ridge errors are conditional on λ and the lasso has none.
+      </p>
+    </Panel>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { Shuffle, Play } from "lucide-react";
+import { NumberField } from "./ui";
+import {
+  generateScenario, describeScenario, SCENARIO_PROCESSES, DEFECT_TYPES, DEFAULT_SCENARIO,
+} from "../lib/scenarios";
+
+/**
+ * Editor for the seeded scenario generator. Calls
+ * onGenerate({ label, rows, defects, config }) with the generated bars.
+ */
+export default function ScenarioGenerator({ onGenerate }) {
+  const [config, setConfig] = useState(DEFAULT_SCENARIO);
+  const fields = SCENARIO_PROCESSES[config.process].fields;
+  const params = config.params[config.process];
+
+  const set = (key, value) => setConfig((c) => ({ ...c, [key]: value }));
+  const setParam = (key, value) =>
+    setConfig((c) => ({ ...c, params: { ...c.params, [c.process]: { ...c.params[c.process], [key]: value } } }));
+  const setDefect = (type, value) =>
+    setConfig((c) => ({ ...c, defects: { ...c.defects, [type]: Math.round(value) } }));
+
+  const generate = () => {
+    const { rows, defects } = generateScenario(config);
+    if (rows.length) onGenerate({ label: describeScenario(config), rows, defects, config });
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Process</span>
+          <select value={config.process} onChange={(e) => set("process", e.target.value)} className="border rounded px-2 py-1">
+            {Object.entries(SCENARIO_PROCESSES).map(([id, p]) => (
+              <option key={id} value={id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Seed</span>
+          <div className="flex gap-1">
+            <input
+              type="number"
+              value={config.seed}
+              onChange={(e) => set("seed", Math.trunc(+e.target.value || 0))}
+              className="border rounded px-2 py-1 w-28"
+            />
+            <button
+              onClick={() => set("seed", Math.floor(Math.random() * 1e6))}
+              title="New random seed"
+              className="border rounded px-2 hover:bg-gray-50"
+            >
+              <Shuffle size={16} />
+            </button>
+          </div>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">Start</span>
+          <input type="date" value={config.start} onChange={(e) => set("start", e.target.value)} className="border rounded px-2 py-1" />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-gray-600">End</span>
+          <input type="date" value={config.end} onChange={(e) => set("end", e.target.value)} className="border rounded px-2 py-1" />
+        </label>
+        <NumberField label="Start price" value={config.startPrice} step={1} onChange={(v) => set("startPrice", Math.max(0.01, v))} />
+      </div>
+
+      <div>
+        <p className="font-semibold text-gray-700 mb-2">Process parameters</p>
+        <div className="flex flex-wrap items-end gap-4">
+          {Object.entries(fields).map(([key, f]) => (
+            <label key={key} className="flex flex-col gap-1">
+              <span className="text-gray-600">{f.label}</span>
+              <input
+                type="number"
+                step={f.step}
+                value={params[key]}
+                onChange={(e) => setParam(key, +e.target.value || 0)}
+                className="border rounded px-2 py-1 w-32"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className="font-semibold text-gray-700 mb-2">Injected defects (count)</p>
+        <div className="flex flex-wrap items-end gap-4">
+          {Object.entries(DEFECT_TYPES).map(([type, label]) => (
+            <NumberField key={type} label={label} value={config.defects[type]} step={1} onChange={(v) => setDefect(type, v)} />
+          ))}
+        </div>
+      </div>
+
+      <button
+        onClick={generate}
+        disabled={!config.start || !config.end || config.start >= config.end}
+        className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-60"
+      >
+        <Play size={18} />
+        Generate scenario
+      </button>
+    </div>
+  );
+}
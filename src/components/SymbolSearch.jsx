@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Search } from "lucide-react";
+import { lookupCompanyName, EXCHANGES } from "../lib/symbols";
+import { searchSymbols } from "../lib/dataSources";
+
+/**
+ * Symbol input with autocomplete. Calls onSelect({ symbol, name }) when the user
+ * picks a suggestion or presses Enter on a typed ticker.
+ */
+export default function SymbolSearch({ symbol, onSelect }) {
+  const [query, setQuery] = useState(symbol);
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(0);
+  const boxRef = useRef(null);
+
+  useEffect(() => setQuery(symbol), [symbol]);
+
+  // debounced search; stale requests are aborted
+  useEffect(() => {
+    if (!open || !query.trim()) {
+      setResults([]);
+      return;
+    }
+    const ctrl = new AbortController();
+    const t = setTimeout(() => {
+      searchSymbols(query, { signal: ctrl.signal })
+        .then((res) => {
+          setResults(res);
+          setHighlight(0);
+        })
+        .catch(() => {});
+    }, 300);
+    return () => {
+      clearTimeout(t);
+      ctrl.abort();
+    };
+  }, [query, open]);
+
+  useEffect(() => {
+    const close = (e) => boxRef.current && !boxRef.current.contains(e.target) && setOpen(false);
+    document.addEventListener("mousedown", close);
+    return () => document.removeEventListener("mousedown", close);
+  }, []);
+
+  const choose = (item) => {
+    setOpen(false);
+    setQuery(item.symbol);
+    onSelect({ symbol: item.symbol, name: item.name });
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlight((h) => Math.min(h + 1, results.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlight((h) => Math.max(h - 1, 0));
+    } else if (e.key === "Enter") {
+      const typed = query.trim().toUpperCase();
+      if (open && results[highlight]) choose(results[highlight]);
+      else if (typed) choose({ symbol: typed, name: lookupCompanyName(typed) });
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={boxRef} className="relative w-64">
+      <div className="flex items-center gap-2 border rounded-lg px-3 py-2 bg-white">
+        <Search className="text-gray-500" size={18} />
+        <input
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={onKeyDown}
+          placeholder="Symbol or company"
+          className="w-full outline-none text-sm text-gray-800"
+        />
+      </div>
+      {open && results.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full bg-white border rounded-lg shadow-lg max-h-72 overflow-y-auto text-sm">
+          {results.map((r, i) => (
+            <li
+              key={`${r.symbol}-${i}`}
+              onMouseDown={() => choose(r)}
+              onMouseEnter={() => setHighlight(i)}
+              className={`px-3 py-2 cursor-pointer ${i === highlight ? "bg-blue-50" : ""}`}
+            >
+              <span className="font-semibold text-gray-800">{r.symbol}</span>
+              <span className="text-gray-600"> — {r.name}</span>
+              <span className="block text-xs text-gray-400">{EXCHANGES[r.exchange]?.label || r.region}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
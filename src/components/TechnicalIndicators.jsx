@@ -0,0 +1,242 @@
+import React, { useMemo, useState } from "react";
+import {
+  LineChart, Line, ComposedChart, Bar, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine,
+} from "recharts";
+import { Panel, NumberField } from "./ui";
+import { priceSeries, patternDots, barAxis } from "./candles";
+import {
+  INDICATOR_SETTINGS, INDICATOR_COLUMNS, INDICATOR_DEFINITIONS, withIndicators, referenceIndicators,
+} from "../lib/indicators";
+
+// Indicators drawn over price vs. in their own pane
+const OVERLAYS = ["ema", "vwap", "ichimoku"];
+
+const PARAM_LABELS = { period: "Period", fast: "Fast", slow: "Slow", signal: "Signal", k: "%K", d: "%D", tenkan: "Tenkan", kijun: "Kijun", senkouB: "Senkou B" };
+
+// Bars shown in the reference comparison
+const REFERENCE_BARS = 10;
+
+/**
+ * Extended indicator library for the Technical tab: RSI / Bollinger definitions
+ * with a reference comparison, period settings, price overlays (EMA, VWAP,
+ * Ichimoku) and one sub-pane per oscillator.
+ * `data` is the chart slice with indicator columns already merged in; `rows`
+ * are the analyzed bars the comparison recomputes every definition on.
+ * `chartMode` and `patternMarkers` style the price overlay chart like the others;
+ * `interval` labels the x axis.
+ */
+export default function TechnicalIndicators({
+  data, interval, rows, chartMode, patternMarkers, params, onParamsChange, definitions, onDefinitionsChange,
+}) {
+  const [shown, setShown] = useState({ ema: true, macd: true });
+
+  const toggle = (id) => setShown((s) => ({ ...s, [id]: !s[id] }));
+  const setParam = (id, key, value) =>
+    onParamsChange({ ...params, [id]: { ...params[id], [key]: Math.max(1, Math.round(value)) } });
+
+  const line = (key, color, extra = {}) => (
+    <Line type="monotone" dataKey={key} stroke={color} name={INDICATOR_COLUMNS[key]} dot={false} strokeWidth={1} {...extra} />
+  );
+
+  return (
+    <div className="space-y-6">
+      <Panel title="Indicator Definitions">
+        <div className="flex flex-wrap items-end gap-4 text-sm mb-4">
+          {Object.entries(INDICATOR_DEFINITIONS).map(([key, def]) => (
+            <label key={key} className="flex flex-col gap-1">
+              <span className="text-gray-600">{def.label}</span>
+              <select
+                value={definitions[key]}
+                onChange={(e) => onDefinitionsChange({ ...definitions, [key]: e.target.value })}
+                className="border rounded px-2 py-1"
+              >
+                {Object.entries(def.options).map(([id, label]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+        <ReferenceComparison rows={rows} definitions={definitions} />
+      </Panel>
+
+      <Panel title="Indicator Library">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          {Object.entries(INDICATOR_SETTINGS).map(([id, s]) => (
+            <div key={id} className="border rounded p-3">
+              <label className="flex items-center gap-2 font-semibold text-gray-800 mb-2">
+                <input type="checkbox" checked={!!shown[id]} onChange={() => toggle(id)} />
+                {s.label}
+                <span className="text-xs font-normal text-gray-500">{OVERLAYS.includes(id) ? "overlay" : "pane"}</span>
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {Object.keys(s.defaults).map((key) => (
+                  <NumberField
+                    key={key}
+                    label={PARAM_LABELS[key] || key}
+                    value={params[id]?.[key] ?? s.defaults[key]}
+                    step={1}
+                    onChange={(v) => setParam(id, key, v)}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </Panel>
+
+      {OVERLAYS.some((id) => shown[id]) && (
+        <Panel title="Price Overlays">
+          <ResponsiveContainer width="100%" height={400}>
+            <ComposedChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" />
+              {barAxis(interval)}
+              <YAxis domain={["auto", "auto"]} />
+              <Tooltip />
+              <Legend />
+              {priceSeries(chartMode)}
+              {shown.ema && line("ema", "#f59e0b")}
+              {shown.vwap && line("vwap", "#8b5cf6", { strokeDasharray: "4 4" })}
+              {shown.ichimoku && line("tenkan", "#ef4444")}
+              {shown.ichimoku && line("kijun", "#1d4ed8")}
+              {shown.ichimoku && line("senkouA", "#10b981", { strokeDasharray: "3 3" })}
+              {shown.ichimoku && line("senkouB", "#dc2626", { strokeDasharray: "3 3" })}
+              {shown.ichimoku && line("chikou", "#9ca3af")}
+              {patternDots(patternMarkers)}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </Panel>
+      )}
+
+      {shown.macd && (
+        <Panel title={`MACD (${params.macd.fast}, ${params.macd.slow}, ${params.macd.signal})`}>
+          <ResponsiveContainer width="100%" height={250}>
+            <ComposedChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" />
+              {barAxis(interval)}
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="macdHist" fill="#94a3b8" name={INDICATOR_COLUMNS.macdHist} />
+              {line("macd", "#2563eb", { strokeWidth: 2 })}
+              {line("macdSignal", "#f59e0b")}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </Panel>
+      )}
+
+      {shown.atr && (
+        <Pane title={`ATR (${params.atr.period})`} data={data} interval={interval}>
+          {line("atr", "#ef4444", { strokeWidth: 2 })}
+        </Pane>
+      )}
+
+      {shown.stochastic && (
+        <Pane title={`Stochastic (${params.stochastic.k}, ${params.stochastic.d})`} data={data} interval={interval} domain={[0, 100]} levels={[20, 80]}>
+          {line("stochK", "#2563eb", { strokeWidth: 2 })}
+          {line("stochD", "#f59e0b")}
+        </Pane>
+      )}
+
+      {shown.adx && (
+        <Pane title={`ADX / DMI (${params.adx.period})`} data={data} interval={interval} domain={[0, 100]} levels={[25]}>
+          {line("adx", "#111827", { strokeWidth: 2 })}
+          {line("plusDI", "#10b981")}
+          {line("minusDI", "#ef4444")}
+        </Pane>
+      )}
+
+      {shown.obv && (
+        <Pane title="On-Balance Volume" data={data} interval={interval}>
+          {line("obv", "#8b5cf6", { strokeWidth: 2 })}
+        </Pane>
+      )}
+
+      {shown.williamsR && (
+        <Pane title={`Williams %R (${params.williamsR.period})`} data={data} interval={interval} domain={[-100, 0]} levels={[-20, -80]}>
+          {line("williamsR", "#0ea5e9", { strokeWidth: 2 })}
+        </Pane>
+      )}
+    </div>
+  );
+}
+
+// Latest bars under every definition, so values can be checked against a charting platform
+function ReferenceComparison({ rows, definitions }) {
+  const latest = useMemo(
+    () => withIndicators(rows, referenceIndicators()).slice(-REFERENCE_BARS).reverse(),
+    [rows]
+  );
+  if (!latest.length) return null;
+
+  const rsiIds = Object.keys(INDICATOR_DEFINITIONS.rsi.options);
+  const stdIds = Object.keys(INDICATOR_DEFINITIONS.bollingerStd.options);
+  const cell = (v, active) => (
+    <td className={`p-2 text-right font-mono ${active ? "bg-blue-50 font-semibold text-blue-800" : "text-gray-700"}`}>
+      {v === undefined ? "—" : v.toFixed(2)}
+    </td>
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b text-gray-600">
+            <th className="text-left p-2">Date</th>
+            <th className="text-right p-2">Close</th>
+            {rsiIds.map((id) => (
+              <th key={id} className="text-right p-2">
+                RSI 14 · {INDICATOR_DEFINITIONS.rsi.options[id]}
+              </th>
+            ))}
+            {stdIds.map((id) => (
+              <th key={id} className="text-right p-2">
+                BB σ · {INDICATOR_DEFINITIONS.bollingerStd.options[id]}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {latest.map((r) => (
+            <tr key={r.date} className="border-b">
+              <td className="p-2">{r.date}</td>
+              {cell(r.close, false)}
+              {rsiIds.map((id) => (
+                <React.Fragment key={id}>{cell(r[`rsi_${id}`], definitions.rsi === id)}</React.Fragment>
+              ))}
+              {stdIds.map((id) => (
+                <React.Fragment key={id}>{cell(r[`bb_${id}Volatility`], definitions.bollingerStd === id)}</React.Fragment>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">
+        Highlighted columns are the active definitions. Wilder RSI is seeded at the first bar loaded, so it can
+        differ slightly from a platform that loads a longer history.
+      </p>
+    </div>
+  );
+}
+
+function Pane({ title, data, interval, domain = ["auto", "auto"], levels = [], children }) {
+  return (
+    <Panel title={title}>
+      <ResponsiveContainer width="100%" height={250}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          {barAxis(interval)}
+          <YAxis domain={domain} />
+          <Tooltip />
+          <Legend />
+          {levels.map((y) => (
+            <ReferenceLine key={y} y={y} stroke="#9ca3af" strokeDasharray="3 3" />
+          ))}
+          {children}
+        </LineChart>
+      </ResponsiveContainer>
+    </Panel>
+  );
+}
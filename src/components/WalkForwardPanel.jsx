@@ -0,0 +1,230 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Play, Square } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import { Panel, NumberField } from "./ui";
+import { walkForwardAsync, WINDOW_MODES, MAX_FOLDS } from "../lib/evaluation";
+import { describeRegressionError } from "../lib/regression";
+import ModelRanking from "./ModelRanking";
+
+// charted / summarised models (when present); the baselines only appear in the ranking
+const COLORS = { linear: "#f59e0b", polynomial: "#10b981", ensemble: "#8b5cf6", arima: "#ec4899" };
+const MAX_FOLD_LINES = 30; // fold boundaries drawn on the chart up to this many folds
+
+const num = (v, d = 2) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+
+/**
+ * Walk-forward (rolling-origin) evaluation of the models on `rows`:
+ * settings, aggregate and per-fold metrics, and the out-of-sample predictions
+ * stitched across folds, plus the ranking of all `models` (named by `labels`)
+ * against the naive baselines with `baselineSettings`.
+ * Refitting every model per fold is slow on long histories (ARIMA), so it only
+ * runs on "Run", in chunks that keep the page responsive. A run is dropped when
+ * the bars or models change and flagged when the settings differ from it.
+ */
+export default function WalkForwardPanel({ rows, models, labels, settings, onChange, baselineSettings, onBaselineChange }) {
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+  const closes = useMemo(() => rows.map((d) => d.close), [rows]);
+  const [run, setRun] = useState(null); // { closes, models, settings, result } of the last finished run
+  const [progress, setProgress] = useState(null); // { done, total } folds while running
+  const ctrl = useRef(null);
+
+  // a run in progress is abandoned when its inputs change or the panel closes
+  useEffect(() => () => ctrl.current?.abort(), [closes, models]);
+
+  const start = async () => {
+    const c = new AbortController();
+    ctrl.current?.abort();
+    ctrl.current = c;
+    setProgress({ done: 0, total: 0 });
+    try {
+      const result = await walkForwardAsync(closes, models, settings, { signal: c.signal, onProgress: setProgress });
+      setRun({ closes, models, settings, result });
+    } catch (e) {
+      if (e.name !== "AbortError") throw e;
+    } finally {
+      if (ctrl.current === c) setProgress(null);
+    }
+  };
+
+  const current = run && run.closes === closes && run.models === models ? run : null;
+  const stale = current && Object.keys(settings).some((k) => settings[k] !== current.settings[k]);
+  const evaluation = useMemo(
+    () => current && { series: current.result.series, firstOrigin: current.settings.trainSize, lags: current.settings.horizon - 1 },
+    [current]
+  );
+  const needed = settings.trainSize + settings.horizon;
+
+  return (
+    <div className="space-y-6">
+      <Panel title="Walk-Forward Evaluation">
+        <div className="flex flex-wrap items-end gap-4 text-sm mb-4">
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Training window</span>
+            <select value={settings.window} onChange={(e) => set("window", e.target.value)} className="border rounded px-2 py-1">
+              {Object.entries(WINDOW_MODES).map(([id, label]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <NumberField
+            label={settings.window === "sliding" ? "Window (bars)" : "Initial training (bars)"}
+            value={settings.trainSize}
+            step={10}
+            onChange={(v) => set("trainSize", Math.max(10, Math.round(v)))}
+          />
+          <NumberField label="Retrain every (bars)" value={settings.retrainEvery} step={1} onChange={(v) => set("retrainEvery", Math.max(1, Math.round(v)))} />
+          <NumberField label="Horizon (bars ahead)" value={settings.horizon} step={1} onChange={(v) => set("horizon", Math.max(1, Math.round(v)))} />
+          {progress ? (
+            <button onClick={() => ctrl.current?.abort()} className="flex items-center gap-2 px-4 py-2 border rounded-lg hover:bg-gray-50">
+              <Square size={16} />
+              Cancel ({progress.done}/{progress.total || "…"} folds)
+            </button>
+          ) : (
+            <button
+              onClick={start}
+              disabled={rows.length < needed}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-60"
+            >
+              <Play size={16} />
+              Run
+            </button>
+          )}
+        </div>
+        {rows.length < needed && (
+          <p className="text-sm text-gray-500 mb-3">
+            Not enough bars: {rows.length} available, {needed} needed for one fold.
+          </p>
+        )}
+        {current ? (
+          <WalkForwardSummary run={current} labels={labels} stale={stale} />
+        ) : (
+          rows.length >= needed && <p className="text-sm text-gray-500">Run to refit every model across the folds.</p>
+        )}
+      </Panel>
+
+      {current && (
+        <WalkForwardResults
+          rows={rows}
+          run={current}
+          labels={labels}
+          evaluation={evaluation}
+          baselineSettings={baselineSettings}
+          onBaselineChange={onBaselineChange}
+        />
+      )}
+    </div>
+  );
+}
+
+// models of a run that have a colour (the baselines only appear in the ranking)
+const shownModels = (result) => Object.keys(COLORS).filter((id) => result.aggregate[id]);
+
+// Aggregate metrics of a finished run and how it was set up
+function WalkForwardSummary({ run: { settings, result }, labels, stale }) {
+  const { folds, aggregate } = result;
+  const failed = folds.filter((f) => Object.keys(f.errors).length);
+  return (
+    <>
+      {stale && <p className="text-sm text-amber-700 mb-3">Settings changed since this run; run again to update.</p>}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {shownModels(result).map((id) => (
+          <div key={id} className="border-l-4 pl-4" style={{ borderColor: COLORS[id] }}>
+            <h3 className="font-semibold text-gray-800 mb-2">{labels[id]}</h3>
+            <p className="text-sm text-gray-600">RMSE: {num(aggregate[id].rmse)}</p>
+            <p className="text-sm text-gray-600">MAE: {num(aggregate[id].mae)}</p>
+            <p className="text-sm text-gray-600">R²: {num(aggregate[id].r2, 4)}</p>
+            <p className="text-sm text-gray-600">Forecasts: {aggregate[id].n}</p>
+          </div>
+        ))}
+      </div>
+      {failed.length > 0 && (
+        <p className="text-sm text-red-600 mt-3">
+          {failed.length} fold(s) could not fit every model: {describeRegressionError(Object.values(failed[0].errors)[0])}
+        </p>
+      )}
+      <p className="text-xs text-gray-500 mt-3">
+        {folds.length} folds. Each forecast is {settings.horizon} bar(s) ahead from a model trained only on earlier bars
+        ({settings.window === "sliding" ? `the last ${settings.trainSize}` : "all bars so far"}), refitted every{" "}
+        {result.retrainEvery} bar(s)
+        {result.retrainEvery > settings.retrainEvery && ` (widened to stay within ${MAX_FOLDS} refits)`}. R² is against the
+        mean of the forecast period.
+      </p>
+    </>
+  );
+}
+
+// Ranking, stitched out-of-sample predictions and per-fold metrics of a finished run
+function WalkForwardResults({ rows, run: { closes, settings, result }, labels, evaluation, baselineSettings, onBaselineChange }) {
+  const { folds, series } = result;
+  const shown = shownModels(result);
+  const chartData = series.map((p) => ({ ...p, date: rows[p.index].date }));
+  return (
+    <>
+      <ModelRanking
+        y={closes}
+        evaluation={evaluation}
+        labels={labels}
+        settings={baselineSettings}
+        onChange={onBaselineChange}
+        note={`DM uses ${settings.horizon - 1} autocovariance lag(s) for ${settings.horizon}-bar-ahead forecasts.`}
+      />
+
+      <Panel title="Out-of-Sample Predictions (All Folds)">
+        <ResponsiveContainer width="100%" height={400}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" />
+            <YAxis domain={["auto", "auto"]} />
+            <Tooltip />
+            <Legend />
+            <Line type="monotone" dataKey="actual" stroke="#3b82f6" dot={false} strokeWidth={2} name="Actual" />
+            {shown.map((id) => (
+              <Line key={id} type="monotone" dataKey={id} stroke={COLORS[id]} dot={false} strokeWidth={1} name={labels[id]} />
+            ))}
+            {folds.length <= MAX_FOLD_LINES &&
+              folds.slice(1).map((f) => <ReferenceLine key={f.fold} x={rows[f.from].date} stroke="#d1d5db" strokeDasharray="2 2" />)}
+          </LineChart>
+        </ResponsiveContainer>
+      </Panel>
+
+      <Panel title="Per-Fold Metrics">
+        <div className="overflow-auto max-h-96">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="text-left p-2">Fold</th>
+                <th className="text-left p-2">Trained on</th>
+                <th className="text-left p-2">Forecasts for</th>
+                {shown.map((id) => (
+                  <th key={id} className="text-right p-2">
+                    {labels[id]} RMSE / MAE
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {folds.map((f) => (
+                <tr key={f.fold} className="border-b">
+                  <td className="p-2">{f.fold}</td>
+                  <td className="p-2">
+                    {rows[f.trainStart].date} – {rows[f.trainEnd].date}
+                  </td>
+                  <td className="p-2">
+                    {rows[f.from].date} – {rows[f.to].date}
+                  </td>
+                  {shown.map((id) => (
+                    <td key={id} className="p-2 text-right font-mono">
+                      {f.errors[id] ? "fit failed" : `${num(f.metrics[id].rmse)} / ${num(f.metrics[id].mae)}`}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Panel>
+    </>
+  );
+}
@@ -0,0 +1,121 @@
+import React from "react";
+import { Line, Bar, ReferenceDot, XAxis } from "recharts";
+import { PATTERNS } from "../lib/patterns";
+import { formatBarLabel } from "../lib/resample";
+
+// Price rendering modes shared by the overview and technical charts
+export const CHART_MODES = { line: "Line", candle: "Candles", ohlc: "OHLC bars" };
+
+// Zoom levels: number of most recent bars on the price charts
+export const VIEW_BARS = [50, 100, 250, 500];
+
+const UP = "#10b981";
+const DOWN = "#ef4444";
+const BIAS_COLORS = { bullish: UP, bearish: DOWN, neutral: "#6b7280" };
+
+// Bars are drawn as a [low, high] range; open/close are placed inside it
+const ohlcRange = (d) => (Number.isFinite(d.low) && Number.isFinite(d.high) ? [d.low, d.high] : null);
+
+function CandleShape({ x, y, width, height, payload, mode }) {
+  const { open, high, low, close } = payload;
+  if (![open, high, low, close].every(Number.isFinite)) return null;
+  const top = Math.min(y, y + height);
+  const span = Math.abs(height);
+  const px = (v) => (high === low ? top : top + ((high - v) / (high - low)) * span);
+  const color = close >= open ? UP : DOWN;
+  const cx = x + width / 2;
+
+  if (mode === "ohlc") {
+    return (
+      <g stroke={color} strokeWidth={1.5}>
+        <line x1={cx} x2={cx} y1={top} y2={top + span} />
+        <line x1={x} x2={cx} y1={px(open)} y2={px(open)} />
+        <line x1={cx} x2={x + width} y1={px(close)} y2={px(close)} />
+      </g>
+    );
+  }
+  const bodyTop = px(Math.max(open, close));
+  return (
+    <g stroke={color}>
+      <line x1={cx} x2={cx} y1={top} y2={top + span} />
+      <rect x={x} y={bodyTop} width={width} height={Math.max(1, px(Math.min(open, close)) - bodyTop)} fill={color} />
+    </g>
+  );
+}
+
+/**
+ * The price series for a ComposedChart in the given mode: the close line, or
+ * candles / OHLC bars. Rows need open, high, low and close.
+ */
+export function priceSeries(mode, { name = "Close" } = {}) {
+  if (mode === "candle" || mode === "ohlc") {
+    return (
+      <Bar
+        key="price"
+        dataKey={ohlcRange}
+        name={CHART_MODES[mode]}
+        fill="#64748b"
+        isAnimationActive={false}
+        shape={(props) => <CandleShape {...props} mode={mode} />}
+      />
+    );
+  }
+  return <Line key="price" type="monotone" dataKey="close" stroke="#3b82f6" strokeWidth={2} name={name} />;
+}
+
+// Pattern markers: bullish below the low, bearish / neutral above the high.
+// `markers` are [{ x, type, bar }] with `x` the chart's category label.
+export function patternDots(markers) {
+  return markers.map(({ x, type, bar }) => {
+    const { short, bias } = PATTERNS[type];
+    const below = bias === "bullish";
+    return (
+      <ReferenceDot
+        key={`${type}-${x}`}
+        x={x}
+        y={below ? bar.low : bar.high}
+        r={3}
+        fill={BIAS_COLORS[bias]}
+        stroke="none"
+        label={{ value: short, position: below ? "bottom" : "top", fontSize: 10, fill: BIAS_COLORS[bias] }}
+      />
+    );
+  });
+}
+
+export function ChartModeSelect({ value, onChange }) {
+  return (
+    <div className="flex gap-1 text-sm mb-3">
+      {Object.entries(CHART_MODES).map(([id, label]) => (
+        <button
+          key={id}
+          onClick={() => onChange(id)}
+          className={`px-3 py-1 rounded border ${value === id ? "bg-blue-600 text-white border-blue-600" : "hover:bg-gray-50"}`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// X axis for chart rows keyed by their unique `barDate` (short labels such as
+// "MM-DD" repeat across years, so markers can't be placed by label)
+export function barAxis(interval) {
+  return <XAxis dataKey="barDate" tickFormatter={(d) => formatBarLabel(d, interval)} />;
+}
+
+export function ViewBarsSelect({ value, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm mb-3">
+      <span className="text-gray-600">Show</span>
+      <select value={value} onChange={(e) => onChange(+e.target.value)} className="border rounded px-2 py-1">
+        {VIEW_BARS.map((n) => (
+          <option key={n} value={n}>
+            {n} bars
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+import { AlertTriangle, CheckCircle } from "lucide-react";
+
+/* ---------- tiny UI helpers shared by the dashboard panels ---------- */
+export function Panel({ title, children }) {
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">{title}</h2>
+      {children}
+    </div>
+  );
+}
+
+export function InfoCard({ icon, title, value }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="mb-2">{icon}</div>
+      <p className="text-2xl font-bold text-gray-800">{value}</p>
+      <p className="text-sm text-gray-600">{title}</p>
+    </div>
+  );
+}
+
+export function Badge({ color, title, text }) {
+  const palette = { red: "bg-red-50 text-red-600", gray: "bg-gray-50 text-gray-600", green: "bg-green-50 text-green-600" }[color];
+  return (
+    <div className={`text-center p-3 rounded ${palette}`}>
+      <p className="font-semibold">{title}</p>
+      <p className="text-gray-600">{text}</p>
+    </div>
+  );
+}
+
+export function IssueCard({ color, title, count, note }) {
+  const border = {
+    red: "border-red-500",
+    yellow: "border-yellow-500",
+    orange: "border-orange-500",
+  }[color];
+  const text = {
+    red: "text-red-600",
+    yellow: "text-yellow-600",
+    orange: "text-orange-600",
+  }[color];
+
+  return (
+    <div className={`border-l-4 ${border} pl-4`}>
+      <div className="flex items-center gap-2 mb-2">
+        <AlertTriangle className={`${text}`} size={20} />
+        <h3 className="font-semibold text-gray-800">{title}</h3>
+      </div>
+      <p className={`text-3xl font-bold ${text}`}>{count}</p>
+      <p className="text-sm text-gray-600 mt-2">{note}</p>
+    </div>
+  );
+}
+
+export function Step({ title, text }) {
+  return (
+    <div className="flex items-start gap-4 mb-3">
+      <div className="bg-blue-100 rounded-full p-2 flex-shrink-0">
+        <CheckCircle className="text-blue-600" size={20} />
+      </div>
+      <div>
+        <h3 className="font-semibold text-gray-800">{title}</h3>
+        <p className="text-sm text-gray-600">{text}</p>
+      </div>
+    </div>
+  );
+}
+
+export function NumberField({ label, value, step, onChange }) {
+  return (
+    <label className="flex flex-col gap-1">
+      <span className="text-gray-600">{label}</span>
+      <input
+        type="number"
+        min={0}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Math.max(0, +e.target.value || 0))}
+        className="border rounded px-2 py-1 w-32"
+      />
+    </label>
+  );
+}
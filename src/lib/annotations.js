@@ -0,0 +1,99 @@
+// src/lib/annotations.js
+// Chart annotations anchored to bar dates and prices (not pixels or indexes), so
+// they stay put across zoom levels and data refreshes. Stored per symbol in
+// localStorage and exchanged as versioned JSON.
+
+export const ANNOTATION_TOOLS = {
+  trendline: { label: "Trendline", points: 2 },
+  hline: { label: "Horizontal level", points: 1 },
+  fib: { label: "Fibonacci retracement", points: 2 },
+  rect: { label: "Rectangle", points: 2 },
+  text: { label: "Text note", points: 1 },
+};
+
+export const FIB_RATIOS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
+
+// Which bar value a click anchors to
+export const SNAP_FIELDS = { close: "Close", high: "High", low: "Low" };
+
+const FORMAT = "stock-annotations";
+const VERSION = 1;
+const storageKey = (symbol) => `annotations:${symbol}`;
+
+export const createAnnotation = (type, points, text = "") => ({
+  id: `an-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  type,
+  points,
+  ...(text ? { text } : {}),
+});
+
+// Normalized copy, or null when the shape is wrong for its type
+export function validateAnnotation(a) {
+  const tool = ANNOTATION_TOOLS[a?.type];
+  if (!tool || !Array.isArray(a.points) || a.points.length !== tool.points) return null;
+  const points = a.points.map((p) => ({ date: String(p?.date ?? ""), price: +p?.price }));
+  if (points.some((p) => !/^\d{4}-\d{2}-\d{2}/.test(p.date) || !Number.isFinite(p.price))) return null;
+  if (a.type === "text" && !String(a.text || "").trim()) return null;
+  return {
+    id: String(a.id ?? createAnnotation(a.type, points).id),
+    type: a.type,
+    points,
+    ...(a.text ? { text: String(a.text) } : {}),
+  };
+}
+
+export function loadAnnotations(symbol) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(symbol)));
+    if (Array.isArray(saved)) return saved.map(validateAnnotation).filter(Boolean);
+  } catch {
+    // no storage or unreadable entry
+  }
+  return [];
+}
+
+export function saveAnnotations(symbol, annotations) {
+  try {
+    if (annotations.length) localStorage.setItem(storageKey(symbol), JSON.stringify(annotations));
+    else localStorage.removeItem(storageKey(symbol));
+  } catch {
+    // ignore
+  }
+}
+
+export const annotationsToJson = (symbol, annotations) =>
+  JSON.stringify({ format: FORMAT, version: VERSION, symbol, exportedAt: new Date().toISOString(), annotations }, null, 2);
+
+/**
+ * Reads an export (or a bare array of annotations).
+ * -> { symbol, annotations, skipped }; throws on unreadable JSON or a foreign format.
+ */
+export function parseAnnotationsJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("Not valid JSON");
+  }
+  const list = Array.isArray(doc) ? doc : doc?.format === FORMAT ? doc.annotations : null;
+  if (!Array.isArray(list)) throw new Error("Not an annotations export");
+  if (!Array.isArray(doc) && doc.version > VERSION) throw new Error(`Unsupported version ${doc.version}`);
+  const annotations = list.map(validateAnnotation).filter(Boolean);
+  return { symbol: Array.isArray(doc) ? null : doc.symbol, annotations, skipped: list.length - annotations.length };
+}
+
+// Retracement prices from the second anchor back towards the first
+export const fibLevels = ({ points: [a, b] }) =>
+  FIB_RATIOS.map((ratio) => ({ ratio, price: b.price - (b.price - a.price) * ratio }));
+
+// Index of the first bar on or after `date` in date-sorted rows (rows.length if none)
+export function barIndexAt(rows, date) {
+  let lo = 0;
+  let hi = rows.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (rows[mid].date < date) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
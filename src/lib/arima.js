@@ -0,0 +1,419 @@
+// src/lib/arima.js
+// ARIMA(p,d,q) on log prices, fitted by conditional least squares (CSS):
+// after differencing d times, w_t = c + Σφᵢ·w_{t−i} + e_t + Σθⱼ·e_{t−j}, with
+// residuals before the conditioning start taken as zero. d = 1 makes this an
+// ARMA model of log returns (AR: q = 0, MA: p = 0). Parameters are solved by
+// Levenberg-Marquardt, restricted to stationary / invertible polynomials.
+// Also ACF / PACF and the Ljung-Box residual test.
+
+export const ARIMA_CRITERIA = { aic: "AIC", bic: "BIC" };
+
+// auto: pick p ≤ maxP, q ≤ maxQ by `criterion`; otherwise fit p, d, q as given
+export const DEFAULT_ARIMA_SETTINGS = { auto: true, p: 1, d: 1, q: 1, maxP: 3, maxQ: 3, criterion: "aic" };
+
+export const CORRELOGRAM_LAGS = 20;
+export const FORECAST_Z = 1.96; // 95% interval
+
+const MAX_ITER = 200;
+const MAX_ORDER = 5;
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+export function difference(x, d = 1) {
+  let w = x;
+  for (let k = 0; k < d; k++) w = w.slice(1).map((v, i) => v - w[i]);
+  return w;
+}
+
+/** Sample autocorrelations at lags 1..maxLag. */
+export function acf(x, maxLag = CORRELOGRAM_LAGS) {
+  const n = x.length;
+  const m = mean(x);
+  const c0 = x.reduce((s, v) => s + (v - m) ** 2, 0);
+  return Array.from({ length: Math.min(maxLag, n - 1) }, (_, i) => {
+    const k = i + 1;
+    let s = 0;
+    for (let t = k; t < n; t++) s += (x[t] - m) * (x[t - k] - m);
+    return c0 ? s / c0 : 0;
+  });
+}
+
+/** Partial autocorrelations at lags 1..maxLag (Durbin-Levinson). */
+export function pacf(x, maxLag = CORRELOGRAM_LAGS) {
+  const r = acf(x, maxLag);
+  const out = [];
+  let phi = [];
+  for (let k = 1; k <= r.length; k++) {
+    let num = r[k - 1];
+    let den = 1;
+    for (let j = 1; j < k; j++) {
+      num -= phi[j - 1] * r[k - 1 - j];
+      den -= phi[j - 1] * r[j - 1];
+    }
+    const kk = den ? num / den : 0;
+    phi = [...phi.map((v, j) => v - kk * phi[k - 2 - j]), kk];
+    out.push(kk);
+  }
+  return out;
+}
+
+// ln Γ(x), Lanczos approximation
+function lnGamma(x) {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const c of g) ser += c / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Regularized upper incomplete gamma Q(a, x) (series / continued fraction)
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const lead = Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let del = sum;
+    for (let n = 1; n < 500 && Math.abs(del) > Math.abs(sum) * 1e-14; n++) {
+      del *= x / (a + n);
+      sum += del;
+    }
+    return 1 - sum * lead;
+  }
+  let b = x + 1 - a;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return lead * h;
+}
+
+/**
+ * Ljung-Box test that residual autocorrelations up to `lags` are jointly zero.
+ * `fitDf` (p + q of the fitted model) is subtracted from the degrees of freedom.
+ * -> { q, df, pValue, lags }
+ */
+export function ljungBox(residuals, lags = CORRELOGRAM_LAGS, fitDf = 0) {
+  const n = residuals.length;
+  const r = acf(residuals, lags);
+  const q = n * (n + 2) * r.reduce((s, rk, i) => s + (rk * rk) / (n - i - 1), 0);
+  const df = Math.max(1, r.length - fitDf);
+  return { q, df, pValue: gammaQ(df / 2, q / 2), lags: r.length };
+}
+
+// Stationarity of x_t = Σ aᵢ·x_{t−i}: all partial autocorrelations from the
+// step-down (inverse Durbin-Levinson) recursion strictly inside (−1, 1)
+function isStationary(a) {
+  let cur = [...a];
+  for (let k = cur.length; k >= 1; k--) {
+    const kk = cur[k - 1];
+    if (!(Math.abs(kk) < 1)) return false;
+    const den = 1 - kk * kk;
+    cur = cur.slice(0, k - 1).map((v, j) => (v + kk * cur[k - 2 - j]) / den);
+  }
+  return true;
+}
+
+// θ(z) = 1 + Σθⱼzʲ is invertible when −θ is a stationary AR polynomial
+const isInvertible = (theta) => isStationary(theta.map((t) => -t));
+
+// Gaussian elimination with partial pivoting for small dense systems
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let k = 0; k < n; k++) {
+    let piv = k;
+    for (let i = k + 1; i < n; i++) if (Math.abs(M[i][k]) > Math.abs(M[piv][k])) piv = i;
+    if (!M[piv][k]) return null;
+    [M[k], M[piv]] = [M[piv], M[k]];
+    for (let i = k + 1; i < n; i++) {
+      const f = M[i][k] / M[k][k];
+      for (let j = k; j <= n; j++) M[i][j] -= f * M[k][j];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = M[i][n];
+    for (let j = i + 1; j < n; j++) s -= M[i][j] * x[j];
+    x[i] = s / M[i][i];
+  }
+  return x;
+}
+
+// CSS residuals of the differenced series from `start`
+function cssResiduals(w, { c, phi, theta }, start) {
+  const e = new Float64Array(w.length);
+  let sse = 0;
+  for (let t = start; t < w.length; t++) {
+    let pred = c;
+    for (let i = 0; i < phi.length; i++) pred += phi[i] * w[t - 1 - i];
+    for (let j = 0; j < theta.length; j++) if (t - 1 - j >= start) pred += theta[j] * e[t - 1 - j];
+    e[t] = w[t] - pred;
+    sse += e[t] * e[t];
+  }
+  return { e, sse };
+}
+
+// Recursive forecasts of the differenced series `steps` ahead from the end of `w`
+function forecastDiffs(w, e, { c, phi, theta }, steps) {
+  const ws = [...w];
+  const es = [...e];
+  for (let h = 0; h < steps; h++) {
+    const t = ws.length;
+    let pred = c;
+    for (let i = 0; i < phi.length; i++) pred += phi[i] * ws[t - 1 - i];
+    for (let j = 0; j < theta.length; j++) pred += theta[j] * (es[t - 1 - j] ?? 0);
+    ws.push(pred);
+    es.push(0);
+  }
+  return ws.slice(w.length);
+}
+
+// Undoes d differences: forecasts of the d-th difference -> forecasts of x
+function integrate(x, d, diffs) {
+  const levels = [x];
+  for (let k = 1; k < d; k++) levels.push(difference(levels[k - 1]));
+  let out = diffs;
+  for (let k = d - 1; k >= 0; k--) {
+    let last = levels[k][levels[k].length - 1];
+    out = out.map((v) => (last += v));
+  }
+  return out;
+}
+
+// ψ weights of the integrated model (MA(∞) form) for forecast variances
+function psiWeights(phi, theta, d, steps) {
+  let poly = [1, ...phi.map((v) => -v)];
+  for (let k = 0; k < d; k++) poly = [...poly, 0].map((v, i) => v - (i ? poly[i - 1] : 0));
+  const a = poly.slice(1).map((v) => -v);
+  const psi = [1];
+  for (let j = 1; j < steps; j++) {
+    let s = j <= theta.length ? theta[j - 1] : 0;
+    for (let i = 1; i <= Math.min(j, a.length); i++) s += a[i - 1] * psi[j - i];
+    psi.push(s);
+  }
+  return psi;
+}
+
+const unpack = (par, p, q, constant) => ({
+  c: constant ? par[0] : 0,
+  phi: par.slice(+constant, +constant + p),
+  theta: par.slice(+constant + p, +constant + p + q),
+});
+
+/**
+ * CSS fit of ARIMA(p, d, q) to `x` (log prices). `start` conditions the
+ * residual sum on the same bars when comparing orders (default p).
+ * A constant is included for d ≤ 1.
+ * -> { p, d, q, c, phi, theta, sigma2, loglik, aic, bic, nEff, coefficients: [{ name, value, se, t }],
+ *      residuals, iterations, converged, forecast(steps, history = x) }
+ * Throws TOO_FEW_POINTS or ORDER_TOO_HIGH.
+ */
+export function fitArima(x, { p = 0, d = 1, q = 0, start } = {}) {
+  if (p > MAX_ORDER || q > MAX_ORDER || d > 2) throw new Error("ORDER_TOO_HIGH");
+  const w = difference(x, d);
+  const s = Math.max(p, start ?? p);
+  const constant = d <= 1;
+  const k = p + q + (constant ? 1 : 0);
+  if (w.length - s < k + 10) throw new Error("TOO_FEW_POINTS");
+
+  // start: AR part by OLS on lags, MA part at zero
+  let phi0 = new Array(p).fill(0);
+  if (p) {
+    const rows = [];
+    const ys = [];
+    for (let t = s; t < w.length; t++) {
+      rows.push([...(constant ? [1] : []), ...Array.from({ length: p }, (_, i) => w[t - 1 - i])]);
+      ys.push(w[t]);
+    }
+    const XtX = rows[0].map((_, i) => rows[0].map((__, j) => rows.reduce((acc, r) => acc + r[i] * r[j], 0)));
+    const Xty = rows[0].map((_, i) => rows.reduce((acc, r, t) => acc + r[i] * ys[t], 0));
+    const b = solveLinear(XtX, Xty);
+    if (b) phi0 = b.slice(constant ? 1 : 0);
+    while (!isStationary(phi0)) phi0 = phi0.map((v) => v * 0.5);
+  }
+  const wMean = mean(w.slice(s));
+  let par = [...(constant ? [wMean * (1 - phi0.reduce((a, v) => a + v, 0))] : []), ...phi0, ...new Array(q).fill(0)];
+
+  const admissible = (v) => {
+    const u = unpack(v, p, q, constant);
+    return isStationary(u.phi) && isInvertible(u.theta);
+  };
+  const resid = (v) => cssResiduals(w, unpack(v, p, q, constant), s);
+  const jacobian = (v, base) => {
+    const n = w.length - s;
+    const J = Array.from({ length: n }, () => new Float64Array(k));
+    for (let j = 0; j < k; j++) {
+      const h = 1e-6 * Math.max(1, Math.abs(v[j]));
+      const bumped = [...v];
+      bumped[j] += h;
+      const { e } = resid(bumped);
+      for (let t = 0; t < n; t++) J[t][j] = (e[s + t] - base[s + t]) / h;
+    }
+    return J;
+  };
+
+  let { e, sse } = resid(par);
+  let lambda = 1e-3;
+  let iterations = 0;
+  let converged = k === 0;
+  let JtJ = null;
+  for (; iterations < MAX_ITER && k; iterations++) {
+    const J = jacobian(par, e);
+    JtJ = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (__, j) => J.reduce((acc, r) => acc + r[i] * r[j], 0)));
+    const g = Array.from({ length: k }, (_, i) => J.reduce((acc, r, t) => acc + r[i] * e[s + t], 0));
+    let improved = false;
+    while (lambda < 1e10) {
+      const A = JtJ.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) + 1e-12 : v)));
+      const step = solveLinear(A, g.map((v) => -v));
+      const next = step && par.map((v, i) => v + step[i]);
+      if (next && admissible(next)) {
+        const r = resid(next);
+        if (r.sse < sse) {
+          const rel = (sse - r.sse) / sse;
+          par = next;
+          ({ e, sse } = r);
+          lambda = Math.max(1e-12, lambda / 10);
+          improved = true;
+          if (rel < 1e-10) converged = true;
+          break;
+        }
+      }
+      lambda *= 10;
+    }
+    if (!improved) {
+      converged = true; // no step lowers the SSE: at a (constrained) minimum
+      break;
+    }
+    if (converged) break;
+  }
+
+  const nEff = w.length - s;
+  const sigma2 = sse / nEff;
+  const loglik = (-nEff / 2) * (Math.log(2 * Math.PI * sigma2) + 1);
+  const nParams = k + 1; // + σ²
+  const u = unpack(par, p, q, constant);
+
+  // standard errors from the Gauss-Newton approximation σ²·(JᵀJ)⁻¹ at the optimum
+  if (k) {
+    const J = jacobian(par, e);
+    JtJ = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (__, j) => J.reduce((acc, r) => acc + r[i] * r[j], 0)));
+  }
+  const names = [...(constant ? ["constant"] : []), ...u.phi.map((_, i) => `ar${i + 1}`), ...u.theta.map((_, j) => `ma${j + 1}`)];
+  const coefficients = names.map((name, i) => {
+    const col = JtJ && solveLinear(JtJ, JtJ.map((_, r) => (r === i ? 1 : 0)));
+    const se = col && col[i] > 0 ? Math.sqrt(sigma2 * col[i]) : null;
+    return { name, value: par[i], se, t: se ? par[i] / se : null };
+  });
+
+  const forecast = (steps, history = x) => {
+    const hw = difference(history, d);
+    const { e: he } = cssResiduals(hw, u, Math.min(s, hw.length));
+    const means = integrate(history, d, forecastDiffs(hw, he, u, steps));
+    const psi = psiWeights(u.phi, u.theta, d, steps);
+    let acc = 0;
+    return means.map((m, h) => {
+      acc += psi[h] * psi[h];
+      const sd = Math.sqrt(sigma2 * acc);
+      return { step: h + 1, mean: m, lower: m - FORECAST_Z * sd, upper: m + FORECAST_Z * sd };
+    });
+  };
+
+  return {
+    p,
+    d,
+    q,
+    ...u,
+    sigma2,
+    loglik,
+    aic: -2 * loglik + 2 * nParams,
+    bic: -2 * loglik + nParams * Math.log(nEff),
+    nEff,
+    coefficients,
+    residuals: Array.from(e.subarray(s)),
+    iterations,
+    converged,
+    forecast,
+  };
+}
+
+/**
+ * Fits every p ≤ maxP, q ≤ maxQ (same d, same conditioning start so the
+ * criteria are comparable) and keeps the lowest `criterion`.
+ * -> { best, candidates: [{ p, q, aic, bic, error }] }
+ */
+export function selectArima(x, { d = 1, maxP = 3, maxQ = 3, criterion = "aic" } = {}) {
+  const candidates = [];
+  let best = null;
+  for (let p = 0; p <= maxP; p++) {
+    for (let q = 0; q <= maxQ; q++) {
+      try {
+        const fit = fitArima(x, { p, d, q, start: maxP });
+        candidates.push({ p, q, aic: fit.aic, bic: fit.bic, error: null });
+        if (!best || fit[criterion] < best[criterion]) best = fit;
+      } catch (e) {
+        candidates.push({ p, q, aic: NaN, bic: NaN, error: e.message });
+      }
+    }
+  }
+  if (!best) throw new Error(candidates[0]?.error || "TOO_FEW_POINTS");
+  return { best, candidates };
+}
+
+/**
+ * The Models-tab analysis on closing prices: order selection (or the given
+ * order), correlograms of log returns and residuals, Ljung-Box, and a price
+ * forecast. Forecast prices are exp of the log forecasts (medians, not means).
+ * -> { model, candidates, returns: { acf, pacf }, residuals: { acf, pacf }, ljungBox, forecast: [{ step, price, lower, upper }] }
+ */
+export function analyzeArima(closes, settings = DEFAULT_ARIMA_SETTINGS, steps = 30) {
+  if (closes.some((v) => !(v > 0))) throw new Error("NON_POSITIVE_PRICES");
+  const x = closes.map(Math.log);
+  const { auto, p, d, q, maxP, maxQ, criterion } = { ...DEFAULT_ARIMA_SETTINGS, ...settings };
+  const { best: model, candidates } = auto ? selectArima(x, { d, maxP, maxQ, criterion }) : { best: fitArima(x, { p, d, q }), candidates: [] };
+  const returns = difference(x, 1);
+  return {
+    model,
+    candidates,
+    returns: { acf: acf(returns), pacf: pacf(returns) },
+    residuals: { acf: acf(model.residuals), pacf: pacf(model.residuals) },
+    ljungBox: ljungBox(model.residuals, CORRELOGRAM_LAGS, model.p + model.q),
+    forecast: model.forecast(steps).map((f) => ({ step: f.step, price: Math.exp(f.mean), lower: Math.exp(f.lower), upper: Math.exp(f.upper) })),
+  };
+}
+
+/**
+ * ARIMA of a fixed order in the form lib/evaluation expects: refitted on each
+ * training window of prices, forecasting from each origin with the bars known then.
+ */
+export function arimaModel({ p, d, q }) {
+  return (x, ys) => {
+    const fit = fitArima(ys.map(Math.log), { p, d, q });
+    return (target, origin, y) => {
+      const history = y.slice(x[0], origin).map(Math.log);
+      return Math.exp(fit.forecast(target - origin + 1, history).at(-1).mean);
+    };
+  };
+}
+
+export const arimaLabel = ({ p, d, q }) => `ARIMA(${p},${d},${q})`;
+
+// Readable messages for the error codes above
+export function describeArimaError(code = "") {
+  if (code === "TOO_FEW_POINTS") return "Not enough bars to fit this order.";
+  if (code === "ORDER_TOO_HIGH") return `Orders are limited to p, q ≤ ${MAX_ORDER} and d ≤ 2.`;
+  if (code === "NON_POSITIVE_PRICES") return "Prices must be positive to model log returns.";
+  return code;
+}
@@ -0,0 +1,80 @@
+// src/lib/barCache.js
+// IndexedDB-backed cache of bars, one record per (symbol, provider, interval).
+// Every call degrades to a no-op when IndexedDB is unavailable (SSR, private mode).
+
+const DB_NAME = "stock-analysis";
+const DB_VERSION = 1;
+const STORE = "bars";
+// Bump when the cached row shape changes; older records are ignored
+const SCHEMA = 2;
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "key" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+const cacheKey = (symbol, provider, interval) => `${provider}:${symbol.toUpperCase()}:${interval}`;
+
+function tx(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+// -> { symbol, provider, interval, rows, updatedAt } or null
+export async function readBars(symbol, provider, interval = "daily") {
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    const rec = await tx(db, "readonly", (s) => s.get(cacheKey(symbol, provider, interval)));
+    return rec?.schema === SCHEMA ? rec : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeBars(symbol, provider, rows, interval = "daily") {
+  const db = await openDb();
+  if (!db) return;
+  const record = {
+    key: cacheKey(symbol, provider, interval),
+    symbol: symbol.toUpperCase(),
+    provider,
+    interval,
+    schema: SCHEMA,
+    rows,
+    updatedAt: new Date().toISOString(),
+  };
+  await tx(db, "readwrite", (s) => s.put(record));
+}
+
+export async function clearBars(symbol, provider, interval = "daily") {
+  const db = await openDb();
+  if (!db) return;
+  await tx(db, "readwrite", (s) => s.delete(cacheKey(symbol, provider, interval)));
+}
+
+// Merge two ascending row arrays, de-duplicating by date (incoming rows win)
+export function mergeBars(existing, incoming) {
+  const byDate = new Map();
+  for (const r of existing) byDate.set(r.date, r);
+  for (const r of incoming) byDate.set(r.date, r);
+  return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
@@ -0,0 +1,27 @@
+// src/lib/baselines.js
+// Naive forecasting baselines in the model form lib/evaluation expects:
+// fit(x, y) -> predict(target, origin, series). They only look at bars before
+// `origin`, so any model worth using has to beat them out of sample.
+
+export const BASELINES = { randomWalk: "Random walk", drift: "Drift", seasonalNaive: "Seasonal naive" };
+
+// season: bars per seasonal cycle (5 = one trading week of daily bars);
+// reference: the baseline Diebold-Mariano tests against; rankBy: a RANK_METRICS key
+export const DEFAULT_BASELINE_SETTINGS = { season: 5, reference: "randomWalk", rankBy: "rmse" };
+
+export function baselineModels({ season } = DEFAULT_BASELINE_SETTINGS) {
+  const m = Math.max(1, Math.round(season));
+  return {
+    // last known value
+    randomWalk: () => (target, origin, y) => y[origin - 1],
+    // last value plus the average change since the start of the training window
+    drift: (x) => (target, origin, y) => {
+      const first = x[0];
+      const last = origin - 1;
+      const slope = last > first ? (y[last] - y[first]) / (last - first) : 0;
+      return y[last] + slope * (target - last);
+    },
+    // value one (or more) full seasons before the target, within the known bars
+    seasonalNaive: () => (target, origin, y) => y[target - Math.ceil((target - origin + 1) / m) * m],
+  };
+}
@@ -0,0 +1,125 @@
+// src/lib/calendar.js
+// NYSE/Nasdaq trading calendar: full-day holidays, 1 p.m. early closes and
+// one-off closures. Dates are "YYYY-MM-DD" strings in exchange local time.
+
+const pad = (n) => String(n).padStart(2, "0");
+const ymd = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+const weekday = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+
+// Unscheduled market-wide closures (national days of mourning, weather)
+const SPECIAL_CLOSURES = {
+  "2001-09-11": "September 11 attacks",
+  "2001-09-12": "September 11 attacks",
+  "2001-09-13": "September 11 attacks",
+  "2001-09-14": "September 11 attacks",
+  "2004-06-11": "Reagan day of mourning",
+  "2007-01-02": "Ford day of mourning",
+  "2012-10-29": "Hurricane Sandy",
+  "2012-10-30": "Hurricane Sandy",
+  "2018-12-05": "G. H. W. Bush day of mourning",
+  "2025-01-09": "Carter day of mourning",
+};
+
+// nth weekday (0 = Sunday) of a month; n = -1 for the last one
+function nthWeekday(y, m, dow, n) {
+  if (n > 0) {
+    const first = weekday(y, m, 1);
+    return 1 + ((dow - first + 7) % 7) + (n - 1) * 7;
+  }
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return lastDay - ((weekday(y, m, lastDay) - dow + 7) % 7);
+}
+
+// Anonymous Gregorian algorithm
+function easter(y) {
+  const a = y % 19;
+  const b = Math.floor(y / 100);
+  const c = y % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return [month, day];
+}
+
+// Fixed-date holidays move to Friday when on Saturday and Monday when on Sunday
+function observed(y, m, d) {
+  const dow = weekday(y, m, d);
+  const shift = dow === 6 ? -1 : dow === 0 ? 1 : 0;
+  const dt = new Date(Date.UTC(y, m - 1, d + shift));
+  return dt.toISOString().slice(0, 10);
+}
+
+const yearCache = new Map();
+
+// -> { holidays: { date: name }, earlyCloses: { date: name } }
+function calendarFor(y) {
+  if (yearCache.has(y)) return yearCache.get(y);
+  const holidays = {};
+  const earlyCloses = {};
+
+  // NYSE does not move New Year's Day back into the previous year
+  if (weekday(y, 1, 1) !== 6) holidays[observed(y, 1, 1)] = "New Year's Day";
+  if (y >= 1998) holidays[ymd(y, 1, nthWeekday(y, 1, 1, 3))] = "Martin Luther King Jr. Day";
+  holidays[ymd(y, 2, nthWeekday(y, 2, 1, 3))] = "Washington's Birthday";
+  const [em, ed] = easter(y);
+  holidays[new Date(Date.UTC(y, em - 1, ed - 2)).toISOString().slice(0, 10)] = "Good Friday";
+  holidays[ymd(y, 5, nthWeekday(y, 5, 1, -1))] = "Memorial Day";
+  if (y >= 2022) holidays[observed(y, 6, 19)] = "Juneteenth";
+  holidays[observed(y, 7, 4)] = "Independence Day";
+  holidays[ymd(y, 9, nthWeekday(y, 9, 1, 1))] = "Labor Day";
+  const thanksgiving = nthWeekday(y, 11, 4, 4);
+  holidays[ymd(y, 11, thanksgiving)] = "Thanksgiving Day";
+  holidays[observed(y, 12, 25)] = "Christmas Day";
+
+  // 1 p.m. closes: eve of Independence Day, Black Friday, Christmas Eve
+  const jul3 = weekday(y, 7, 3);
+  if (jul3 >= 1 && jul3 <= 4) earlyCloses[ymd(y, 7, 3)] = "Independence Day eve";
+  earlyCloses[ymd(y, 11, thanksgiving + 1)] = "Day after Thanksgiving";
+  const dec24 = weekday(y, 12, 24);
+  if (dec24 >= 1 && dec24 <= 4) earlyCloses[ymd(y, 12, 24)] = "Christmas Eve";
+
+  const cal = { holidays, earlyCloses };
+  yearCache.set(y, cal);
+  return cal;
+}
+
+export const isWeekend = (date) => {
+  const dow = new Date(`${date.slice(0, 10)}T00:00:00Z`).getUTCDay();
+  return dow === 0 || dow === 6;
+};
+
+// Holiday or one-off closure name, or null
+export function holidayName(date) {
+  const day = date.slice(0, 10);
+  return SPECIAL_CLOSURES[day] || calendarFor(+day.slice(0, 4)).holidays[day] || null;
+}
+
+export const earlyCloseName = (date) => calendarFor(+date.slice(0, 4)).earlyCloses[date.slice(0, 10)] || null;
+
+export const isTradingDay = (date) => !isWeekend(date) && !holidayName(date);
+
+// Session hours in minutes after midnight (ET), or null when the market is closed
+export function sessionFor(date) {
+  if (!isTradingDay(date)) return null;
+  return { open: 9 * 60 + 30, close: earlyCloseName(date) ? 13 * 60 : 16 * 60 };
+}
+
+// Every trading day in [from, to], inclusive
+export function tradingDays(from, to) {
+  const out = [];
+  const d = new Date(`${from.slice(0, 10)}T00:00:00Z`);
+  const end = to.slice(0, 10);
+  for (let day = d.toISOString().slice(0, 10); day <= end; day = d.toISOString().slice(0, 10)) {
+    if (isTradingDay(day)) out.push(day);
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
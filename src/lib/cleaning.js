@@ -0,0 +1,240 @@
+// src/lib/cleaning.js
+// Data-cleaning pipeline shared by the synthetic and real-data dashboards:
+// de-duplicate by date, impute missing values, then detect and fix outliers.
+// Imputation and outlier detection are pluggable strategies (see the tables below).
+// Every change is recorded in an audit log so reviewers can see which rows moved.
+
+// null, undefined and NaN all count as missing (fetchers emit NaN for blank CSV cells)
+const isMissing = (v) => v == null || Number.isNaN(v);
+
+export const IMPUTATION_METHODS = {
+  ffill: "Forward fill",
+  linear: "Linear interpolation",
+  drop: "Drop row",
+};
+
+// Each detector has its own threshold scale, so defaults live per method.
+// `window` is in bars; global MAD ignores it.
+export const OUTLIER_METHODS = {
+  none: { label: "None" },
+  globalMad: { label: "Global MAD", threshold: 3.5, note: "|x − median| / MAD over the whole history" },
+  rollingMad: { label: "Rolling MAD", threshold: 3.5, window: 21, note: "|x − median| / MAD over the trailing window (no look-ahead)" },
+  hampel: { label: "Hampel filter", threshold: 3, window: 7, note: "centered window, scaled MAD (σ ≈ 1.4826·MAD)" },
+  returnZ: { label: "Return z-score", threshold: 4, window: 63, note: "log-return spikes that reverse on the next bar" },
+};
+
+export const CLEANING_FIELDS = ["close", "volume"];
+
+// Global MAD flags genuine trend moves on long histories (a stock that rose 80×
+// sits far from its overall median for years), so the default is the local
+// Hampel filter, which also never touches the latest bars (its window is centred).
+export const DEFAULT_CLEANING = {
+  imputation: "ffill",
+  outlier: "hampel",
+  fields: CLEANING_FIELDS,
+  params: Object.fromEntries(
+    Object.entries(OUTLIER_METHODS)
+      .filter(([, m]) => m.threshold !== undefined)
+      .map(([id, m]) => [id, { threshold: m.threshold, ...(m.window ? { window: m.window } : {}) }])
+  ),
+};
+
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+};
+
+const mad = (xs, med) => median(xs.map((v) => Math.abs(v - med)));
+
+// Median of the 5 bars centred on i (the replacement used by global MAD and return z)
+const localMedian = (vals, i) => median(vals.slice(Math.max(0, i - 2), Math.min(vals.length, i + 3)));
+
+// ---------- imputation ----------
+// Both fill `field` in place; `drop` is handled on whole rows instead.
+
+function forwardFill(rows, field) {
+  for (let i = 1; i < rows.length; i++) {
+    if (isMissing(rows[i][field])) rows[i][field] = rows[i - 1][field];
+  }
+}
+
+// Straight line between the nearest valid neighbours; edges take the nearest value
+function interpolate(rows, field) {
+  let prev = -1;
+  for (let i = 0; i <= rows.length; i++) {
+    if (i < rows.length && isMissing(rows[i][field])) continue;
+    const gap = i - prev - 1;
+    if (gap > 0 && (prev >= 0 || i < rows.length)) {
+      const a = prev >= 0 ? rows[prev][field] : rows[i][field];
+      const b = i < rows.length ? rows[i][field] : a;
+      for (let k = 1; k <= gap; k++) {
+        const v = a + ((b - a) * k) / (gap + 1);
+        rows[prev + k][field] = field === "volume" ? Math.round(v) : v;
+      }
+    }
+    prev = i;
+  }
+}
+
+// ---------- outlier detectors ----------
+// Each takes the value series and returns [{ index, score, replacement }].
+
+function detectGlobalMad(vals, { threshold }) {
+  const med = median(vals);
+  const m = mad(vals, med) || 1;
+  const out = [];
+  vals.forEach((v, i) => {
+    const score = Math.abs(v - med) / m;
+    if (score > threshold) out.push({ index: i, score, replacement: localMedian(vals, i) });
+  });
+  return out;
+}
+
+function detectRollingMad(vals, { threshold, window }) {
+  const out = [];
+  for (let i = window; i < vals.length; i++) {
+    const win = vals.slice(i - window, i);
+    const med = median(win);
+    const m = mad(win, med);
+    if (!m) continue;
+    const score = Math.abs(vals[i] - med) / m;
+    if (score > threshold) out.push({ index: i, score, replacement: med });
+  }
+  return out;
+}
+
+function detectHampel(vals, { threshold, window }) {
+  const half = Math.max(1, Math.floor(window / 2));
+  const out = [];
+  for (let i = half; i < vals.length - half; i++) {
+    const win = vals.slice(i - half, i + half + 1);
+    const med = median(win);
+    const sigma = 1.4826 * mad(win, med);
+    if (!sigma) continue;
+    const score = Math.abs(vals[i] - med) / sigma;
+    if (score > threshold) out.push({ index: i, score, replacement: med });
+  }
+  return out;
+}
+
+// A bad print shows up as an extreme return into the bar followed by an extreme
+// return of the opposite sign out of it; a genuine gap only has the first.
+function detectReturnZ(vals, { threshold, window }) {
+  const rets = vals.map((v, i) => (i && v > 0 && vals[i - 1] > 0 ? Math.log(v / vals[i - 1]) : 0));
+  const z = rets.map((r, i) => {
+    if (i < window) return 0;
+    const win = rets.slice(i - window, i);
+    const mu = win.reduce((s, x) => s + x, 0) / window;
+    const sd = Math.sqrt(win.reduce((s, x) => s + (x - mu) ** 2, 0) / window);
+    return sd ? (r - mu) / sd : 0;
+  });
+  const out = [];
+  for (let i = window; i < vals.length - 1; i++) {
+    const spike = Math.abs(z[i]) > threshold && Math.abs(z[i + 1]) > threshold && Math.sign(z[i]) !== Math.sign(z[i + 1]);
+    if (spike) out.push({ index: i, score: Math.abs(z[i]), replacement: localMedian(vals, i) });
+  }
+  return out;
+}
+
+const DETECTORS = {
+  globalMad: detectGlobalMad,
+  rollingMad: detectRollingMad,
+  hampel: detectHampel,
+  returnZ: detectReturnZ,
+};
+
+// Display labels for the `rule` ids written to the audit log
+export const AUDIT_RULES = {
+  duplicate: "Duplicate removed",
+  ...IMPUTATION_METHODS,
+  drop: "Row dropped (missing value)",
+  ...Object.fromEntries(Object.entries(OUTLIER_METHODS).map(([id, m]) => [id, m.label])),
+};
+
+// JSON has no NaN; missing originals are logged as null
+const loggable = (v) => (isMissing(v) ? null : v);
+
+/**
+ * Never mutates `rawData`; returns fresh row objects.
+ * `options` overrides DEFAULT_CLEANING: { imputation, outlier, fields, params: { [method]: { threshold, window } } }.
+ * -> {
+ *   cleaned,
+ *   issues: { nulls, duplicates, outliers, byField: { [field]: { nulls, outliers } } },
+ *   audit: [{ date, field, original, value, rule, score }]   // field "row" for removed rows
+ * }
+ */
+export function cleanData(rawData, options = {}) {
+  const opts = { ...DEFAULT_CLEANING, ...options };
+  const params = { ...DEFAULT_CLEANING.params[opts.outlier], ...opts.params?.[opts.outlier] };
+  const issues = { nulls: 0, duplicates: 0, outliers: 0, byField: {} };
+  const audit = [];
+  const log = (date, field, original, value, rule, score = null) =>
+    audit.push({ date, field, original: loggable(original), value: loggable(value), rule, score });
+  opts.fields.forEach((f) => (issues.byField[f] = { nulls: 0, outliers: 0 }));
+
+  // remove duplicates by date
+  const seen = new Set();
+  let cleaned = rawData
+    .filter((row) => {
+      if (seen.has(row.date)) {
+        issues.duplicates++;
+        log(row.date, "row", row.close, null, "duplicate");
+        return false;
+      }
+      seen.add(row.date);
+      return true;
+    })
+    .map((row) => ({ ...row }));
+
+  // missing values
+  const gaps = {};
+  for (const f of opts.fields) {
+    gaps[f] = cleaned.filter((r) => isMissing(r[f]));
+    issues.byField[f].nulls = gaps[f].length;
+    issues.nulls += gaps[f].length;
+  }
+  if (opts.imputation === "drop") {
+    cleaned = cleaned.filter((r) => {
+      const keep = opts.fields.every((f) => !isMissing(r[f]));
+      if (!keep) log(r.date, "row", r.close, null, "drop");
+      return keep;
+    });
+  } else {
+    const fill = opts.imputation === "linear" ? interpolate : forwardFill;
+    opts.fields.forEach((f) => {
+      fill(cleaned, f);
+      // gaps[f] holds the same row objects, now filled (or still missing at the edges)
+      gaps[f].forEach((r) => !isMissing(r[f]) && log(r.date, f, null, r[f], opts.imputation));
+    });
+  }
+
+  // outliers, per field, on values that are now present
+  const detect = DETECTORS[opts.outlier];
+  if (detect) {
+    for (const f of opts.fields) {
+      const idx = [];
+      cleaned.forEach((r, i) => !isMissing(r[f]) && idx.push(i));
+      const vals = idx.map((i) => cleaned[i][f]);
+      for (const hit of detect(vals, params)) {
+        const row = cleaned[idx[hit.index]];
+        const value = f === "volume" ? Math.round(hit.replacement) : hit.replacement;
+        log(row.date, f, row[f], value, opts.outlier, hit.score);
+        row[f] = value;
+        issues.byField[f].outliers++;
+        issues.outliers++;
+      }
+    }
+  }
+
+  audit.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return { cleaned, issues, audit };
+}
+
+// Short description of a configuration, e.g. "Forward fill + Hampel filter (t=3, w=7)"
+export function describeCleaning(options = {}) {
+  const opts = { ...DEFAULT_CLEANING, ...options };
+  const m = OUTLIER_METHODS[opts.outlier];
+  const p = { ...DEFAULT_CLEANING.params[opts.outlier], ...opts.params?.[opts.outlier] };
+  const args = p.threshold === undefined ? "" : ` (t=${p.threshold}${p.window ? `, w=${p.window}` : ""})`;
+  return `${IMPUTATION_METHODS[opts.imputation]} + ${m.label}${args}`;
+}
@@ -0,0 +1,62 @@
+// src/lib/corporateActions.js
+// Applies splits and dividends to raw OHLCV bars. Rows may carry `splitCoef`
+// (e.g. 20 for a 20:1 split, effective on that date) and `dividend` (cash amount,
+// ex-date on that row). Bars from providers that do not report actions pass through.
+
+export const ADJUSTMENT_MODES = {
+  raw: "Raw",
+  split: "Split-only",
+  total: "Total return",
+};
+
+// Walks newest -> oldest so every bar picks up the actions dated after it.
+// -> { rows, actions: [{ date, type: "split" | "dividend", value, factor, applied }] }
+export function adjustBars(bars, mode = "total") {
+  const actions = [];
+  for (let i = 0; i < bars.length; i++) {
+    const b = bars[i];
+    if (b.splitCoef && b.splitCoef !== 1) {
+      actions.push({ date: b.date, type: "split", value: b.splitCoef, factor: 1 / b.splitCoef, applied: mode !== "raw" });
+    }
+    if (b.dividend > 0 && i > 0) {
+      // dividend is quoted post-split if both land on the same day
+      const prevClose = bars[i - 1].close / (b.splitCoef || 1);
+      actions.push({
+        date: b.date,
+        type: "dividend",
+        value: b.dividend,
+        factor: 1 - b.dividend / prevClose,
+        applied: mode === "total",
+      });
+    }
+  }
+  if (mode === "raw" || !actions.length) return { rows: bars.map(stripActions), actions };
+
+  const out = new Array(bars.length);
+  let splitFactor = 1; // multiply prices by 1/splitFactor, volume by splitFactor
+  let divFactor = 1;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    const b = bars[i];
+    const price = (v) => (v * divFactor) / splitFactor;
+    out[i] = {
+      date: b.date,
+      open: price(b.open),
+      high: price(b.high),
+      low: price(b.low),
+      close: price(b.close),
+      volume: b.volume * splitFactor,
+    };
+    if (b.splitCoef && b.splitCoef !== 1) splitFactor *= b.splitCoef;
+    if (mode === "total" && b.dividend > 0 && i > 0) {
+      divFactor *= 1 - b.dividend / (bars[i - 1].close / (b.splitCoef || 1));
+    }
+  }
+  return { rows: out, actions };
+}
+
+const stripActions = ({ date, open, high, low, close, volume }) => ({ date, open, high, low, close, volume });
+
+export const describeAction = (a) =>
+  a.type === "split"
+    ? `Split ${a.value >= 1 ? `${+a.value.toFixed(4)}:1` : `1:${+(1 / a.value).toFixed(4)}`}`
+    : `Div $${a.value.toFixed(2)}`;
@@ -1,52 +1,288 @@
 // src/lib/dataSources.js
-export async function fetchAlphaVantageDaily(symbol) {
-  const key = import.meta.env.VITE_ALPHA_VANTAGE_KEY;
-  if (!key) throw new Error("NO_ALPHA_KEY");
-  const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${encodeURIComponent(
-    symbol
-  )}&outputsize=full&datatype=json&apikey=${key}`;
+import { readBars, writeBars, mergeBars } from "./barCache";
+import { toProviderTicker, fromAlphaTicker, parseSymbol, searchLocalSymbols } from "./symbols";
+import { INTERVALS } from "./resample";
+
+const DAY_MS = 86_400_000;
+const ymd = (d) => d.toISOString().slice(0, 10);
+
+// ---------- request scheduler ----------
+// Every provider call goes through one shared queue per provider. It enforces the
+// provider's quota (calls/minute, calls/day), retries HTTP 429/5xx and throttle
+// notes with exponential backoff, and drops queued or in-flight work whose
+// AbortSignal fires (e.g. when the symbol changes).
+const RETRYABLE = /^(HTTP_(429|5\d\d)|THROTTLED)$/;
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30_000;
+
+const abortError = () => {
+  const e = new Error("ABORTED");
+  e.name = "AbortError";
+  return e;
+};
+
+// Daily counters survive reloads so the free-tier quota isn't overrun
+function dayCounter(id) {
+  const key = `rateLimit:${id}`;
+  const today = ymd(new Date());
+  let rec = { day: today, count: 0 };
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    if (saved?.day === today) rec = saved;
+  } catch {
+    // no storage: count in memory only
+  }
+  return {
+    get: () => rec.count,
+    bump: () => {
+      rec = { day: ymd(new Date()), count: rec.day === ymd(new Date()) ? rec.count + 1 : 1 };
+      try {
+        localStorage.setItem(key, JSON.stringify(rec));
+      } catch {
+        // ignore
+      }
+    },
+  };
+}
+
+function createScheduler(quotaFor) {
+  const lanes = new Map();
+  const listeners = new Set();
+
+  const lane = (id) => {
+    if (!lanes.has(id)) {
+      lanes.set(id, { jobs: [], inFlight: 0, calls: [], timer: null, waitUntil: 0, day: dayCounter(id), lastError: null });
+    }
+    return lanes.get(id);
+  };
+
+  const getState = () => {
+    const now = Date.now();
+    return [...lanes.entries()].map(([id, l]) => {
+      const q = quotaFor(id);
+      return {
+        provider: id,
+        queued: l.jobs.length,
+        inFlight: l.inFlight,
+        retrying: l.jobs.filter((j) => j.attempt > 0).length,
+        callsLastMinute: l.calls.filter((t) => now - t < 60_000).length,
+        perMinute: q.perMinute,
+        callsToday: l.day.get(),
+        perDay: q.perDay,
+        waitMs: Math.max(0, l.waitUntil - now),
+        lastError: l.lastError,
+      };
+    });
+  };
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach((fn) => fn(state));
+  };
+
+  function pump(id) {
+    const l = lane(id);
+    clearTimeout(l.timer);
+    l.timer = null;
+    const now = Date.now();
+    const q = quotaFor(id);
+    l.calls = l.calls.filter((t) => now - t < 60_000);
+    let wait = 0;
+    while (l.jobs.length) {
+      const job = l.jobs[0];
+      if (l.day.get() >= q.perDay) {
+        l.jobs.splice(0).forEach((j) => j.reject(new Error("DAILY_QUOTA_EXHAUSTED")));
+        break;
+      }
+      if (job.notBefore > now) {
+        wait = job.notBefore - now;
+        break;
+      }
+      if (l.calls.length >= q.perMinute) {
+        wait = l.calls.length ? 60_000 - (now - l.calls[0]) : 60_000;
+        break;
+      }
+      l.jobs.shift();
+      run(id, job);
+    }
+    l.waitUntil = wait ? now + wait : 0;
+    if (wait) l.timer = setTimeout(() => pump(id), wait);
+    notify();
+  }
+
+  async function run(id, job) {
+    const l = lane(id);
+    l.calls.push(Date.now());
+    l.day.bump();
+    l.inFlight++;
+    try {
+      job.resolve(await job.task(job.signal));
+      l.lastError = null;
+    } catch (e) {
+      const code = e.name === "AbortError" ? "ABORTED" : e.message;
+      l.lastError = code;
+      if (!job.signal?.aborted && RETRYABLE.test(code) && job.attempt < MAX_RETRIES) {
+        const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** job.attempt) * (0.75 + Math.random() * 0.5);
+        job.attempt++;
+        job.notBefore = Date.now() + delay;
+        l.jobs.unshift(job);
+      } else {
+        job.reject(e);
+      }
+    } finally {
+      l.inFlight--;
+      pump(id);
+    }
+  }
 
-  const r = await fetch(url);
+  // task(signal) performs one request; it is re-run on retryable failures
+  function schedule(id, task, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(abortError());
+      const onAbort = () => {
+        const l = lane(id);
+        const i = l.jobs.indexOf(job);
+        if (i < 0) return; // in flight: the fetch itself sees the abort
+        l.jobs.splice(i, 1);
+        job.reject(abortError());
+        pump(id);
+      };
+      // settling detaches the listener so a long-lived signal doesn't keep finished jobs alive
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+      const job = { task, signal, resolve: settle(resolve), reject: settle(reject), attempt: 0, notBefore: 0 };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      lane(id).jobs.push(job);
+      pump(id);
+    });
+  }
+
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    fn(getState());
+    return () => listeners.delete(fn);
+  };
+
+  return { schedule, subscribe, getState };
+}
+
+export const scheduler = createScheduler((id) => ({
+  perMinute: Infinity,
+  perDay: Infinity,
+  ...providers.get(id)?.quota,
+}));
+
+// Alpha Vantage reports throttling and errors inside a 200 JSON body
+async function fetchAlphaJson(url, signal) {
+  const r = await fetch(url, { signal });
   if (!r.ok) throw new Error(`HTTP_${r.status}`);
   const j = await r.json();
-
-  // Alpha Vantage returns errors in JSON fields
-  if (j["Error Message"] || j["Note"]) {
-    throw new Error(j["Error Message"] || j["Note"] || "ALPHA_ERROR");
+  if (j["Error Message"]) throw new Error(j["Error Message"]);
+  const note = j["Note"] || j["Information"];
+  if (note) {
+    if (/per day|daily/i.test(note)) throw new Error("DAILY_QUOTA_EXHAUSTED");
+    if (j["Note"] || /rate limit|per minute|frequency/i.test(note)) throw new Error("THROTTLED");
+    throw new Error(note);
   }
+  return j;
+}
+
+// "compact" returns the latest 100 bars; only use it when that covers the gap
+// (100 clock-minutes of bars is a lower bound on what 100 trading bars span)
+const alphaOutputSize = (since, interval = "daily") => {
+  if (!since) return "full";
+  const age = Date.now() - +new Date(since.replace(" ", "T"));
+  const covered = interval === "daily" ? 120 * DAY_MS : 100 * INTERVALS[interval].minutes * 60_000;
+  return age < covered ? "compact" : "full";
+};
+
+const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+
+// `since` (YYYY-MM-DD) limits the result to bars on/after that date
+export async function fetchAlphaVantageDaily(symbol, { since, signal } = {}) {
+  const key = import.meta.env.VITE_ALPHA_VANTAGE_KEY;
+  if (!key) throw new Error("NO_ALPHA_KEY");
+  const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY_ADJUSTED&symbol=${encodeURIComponent(
+    toProviderTicker(symbol, "alphavantage")
+  )}&outputsize=${alphaOutputSize(since)}&datatype=json&apikey=${key}`;
+
+  const j = await scheduler.schedule("alphavantage", (sig) => fetchAlphaJson(url, sig), { signal });
 
   const ts = j["Time Series (Daily)"];
   if (!ts) throw new Error("ALPHA_SHAPE");
 
-  // Most recent first, so convert to array & sort by date asc
+  // Most recent first, so convert to array & sort by date asc.
+  // Bars stay raw; corporateActions.adjustBars applies splits/dividends.
   const rows = Object.entries(ts)
     .map(([date, o]) => ({
       date,
       open: +o["1. open"],
       high: +o["2. high"],
       low: +o["3. low"],
-      close: +o["5. adjusted close"], // adjusted
+      close: +o["4. close"],
       volume: +o["6. volume"],
+      dividend: +o["7. dividend amount"] || 0,
+      splitCoef: +o["8. split coefficient"] || 1,
     }))
-    .sort((a, b) => +new Date(a.date) - +new Date(b.date));
+    .filter((d) => !since || d.date >= since)
+    .sort(byDate);
 
   return rows;
 }
 
-// Stooq CSV: e.g., GOOG on US market is goog.us (or googl.us for Alphabet A)
-// We'll default to goog.us (GOOG) if user passes GOOGL
-const stooqTicker = (symbol) =>
-  symbol.toLowerCase() === "googl" ? "googl.us" : symbol.toLowerCase() + ".us";
+// Intraday bars (1min/5min/15min/60min); Alpha Vantage serves these split/dividend-adjusted.
+// Timestamps become "YYYY-MM-DD HH:MM".
+export async function fetchAlphaVantageIntraday(symbol, interval, { since, signal } = {}) {
+  const key = import.meta.env.VITE_ALPHA_VANTAGE_KEY;
+  if (!key) throw new Error("NO_ALPHA_KEY");
+  const url = `https://www.alphavantage.co/query?function=TIME_SERIES_INTRADAY&symbol=${encodeURIComponent(
+    toProviderTicker(symbol, "alphavantage")
+  )}&interval=${interval}&outputsize=${alphaOutputSize(since, interval)}&datatype=json&apikey=${key}`;
 
+  const j = await scheduler.schedule("alphavantage", (sig) => fetchAlphaJson(url, sig), { signal });
+
+  const ts = j[`Time Series (${interval})`];
+  if (!ts) throw new Error("ALPHA_SHAPE");
+
+  return Object.entries(ts)
+    .map(([stamp, o]) => ({
+      date: stamp.slice(0, 16),
+      open: +o["1. open"],
+      high: +o["2. high"],
+      low: +o["3. low"],
+      close: +o["4. close"],
+      volume: +o["5. volume"],
+    }))
+    .filter((d) => !since || d.date >= since)
+    .sort(byDate);
+}
+
+// Stooq CSV: tickers carry a market suffix, e.g. googl.us, brk-b.us, vod.uk, sap.de
 // Example CSV URL: https://stooq.com/q/d/l/?s=goog.us&i=d
-export async function fetchStooqDaily(symbol) {
-  const sym = stooqTicker(symbol);
-  const url = `https://stooq.com/q/d/l/?s=${encodeURIComponent(sym)}&i=d`;
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`HTTP_${r.status}`);
-  const text = await r.text();
+// Date filter: &d1=YYYYMMDD&d2=YYYYMMDD
+export async function fetchStooqDaily(symbol, { since, signal } = {}) {
+  const sym = toProviderTicker(symbol, "stooq");
+  const range = since
+    ? `&d1=${since.replace(/-/g, "")}&d2=${ymd(new Date()).replace(/-/g, "")}`
+    : "";
+  const url = `https://stooq.com/q/d/l/?s=${encodeURIComponent(sym)}&i=d${range}`;
+  const text = await scheduler.schedule(
+    "stooq",
+    async (sig) => {
+      const r = await fetch(url, { signal: sig });
+      if (!r.ok) throw new Error(`HTTP_${r.status}`);
+      const t = await r.text();
+      if (/exceeded the daily hits limit/i.test(t)) throw new Error("DAILY_QUOTA_EXHAUSTED");
+      return t;
+    },
+    { signal }
+  );
 
   // CSV header: Date,Open,High,Low,Close,Volume
+  // Stooq serves bars already split- and dividend-adjusted and reports no actions
   const lines = text.trim().split("\n");
   const header = lines.shift();
   if (!/date,open,high,low,close,volume/i.test(header))
@@ -65,16 +301,228 @@ export async function fetchStooqDaily(symbol) {
       };
     })
     .filter((d) => !Number.isNaN(d.close))
-    .sort((a, b) => +new Date(a.date) - +new Date(b.date));
+    .sort(byDate);
 
   return rows;
 }
 
-export async function fetchRealData(symbol = "GOOGL") {
+// ---------- provider registry ----------
+// Each provider registers a fetcher plus capability metadata. fetchRealData
+// walks the fallback chain in order and reports which provider answered.
+// capabilities.adjustment: "actions" (raw bars + split/dividend fields),
+// "pre-adjusted" (provider already adjusted) or "none". Providers listing intraday
+// intervals in capabilities.intervals must also supply fetchIntraday.
+const providers = new Map();
+
+export function registerProvider(id, { label = id, fetchDaily, fetchIntraday, capabilities = {}, quota = {} }) {
+  if (typeof fetchDaily !== "function") throw new Error(`PROVIDER_FETCHER_MISSING:${id}`);
+  providers.set(id, {
+    id,
+    label,
+    fetchDaily,
+    fetchIntraday,
+    quota,
+    capabilities: { requiresKey: false, adjustment: "none", intervals: ["daily"], ...capabilities },
+  });
+}
+
+export const getProvider = (id) => providers.get(id);
+export const listProviders = () => [...providers.values()];
+
+registerProvider("alphavantage", {
+  label: "Alpha Vantage",
+  fetchDaily: fetchAlphaVantageDaily,
+  fetchIntraday: fetchAlphaVantageIntraday,
+  capabilities: {
+    requiresKey: true,
+    adjustment: "actions",
+    format: "json",
+    intervals: ["1min", "5min", "15min", "60min", "daily"],
+  },
+  // free tier
+  quota: { perMinute: 5, perDay: 25 },
+});
+
+registerProvider("stooq", {
+  label: "Stooq",
+  fetchDaily: fetchStooqDaily,
+  capabilities: { requiresKey: false, adjustment: "pre-adjusted", format: "csv" },
+  quota: { perMinute: 30 },
+});
+
+// Default order can be overridden with VITE_PROVIDER_ORDER="stooq,alphavantage"
+let fallbackChain = (import.meta.env.VITE_PROVIDER_ORDER || "alphavantage,stooq")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+export const getFallbackChain = () => [...fallbackChain];
+
+export function setFallbackChain(ids) {
+  const unknown = ids.filter((id) => !providers.has(id));
+  if (unknown.length) throw new Error(`UNKNOWN_PROVIDER:${unknown.join(",")}`);
+  fallbackChain = [...ids];
+}
+
+// Adjusted series get rewritten after splits/dividends. If the overlapping bar no
+// longer matches the cached one, the cached history is stale and must be refetched.
+const overlapMatches = (prior, fresh) => {
+  const last = prior[prior.length - 1];
+  const same = fresh.find((r) => r.date === last.date);
+  return !same || Math.abs(same.close - last.close) <= 1e-6 * Math.max(1, Math.abs(last.close));
+};
+
+const fetcherFor = (p, symbol, interval) => (opts) =>
+  interval === "daily" ? p.fetchDaily(symbol, opts) : p.fetchIntraday(symbol, interval, opts);
+
+async function fetchIncremental(fetchBars, prior, signal) {
+  if (!prior.length) return { rows: await fetchBars({ signal }), newBars: null };
+  const since = prior[prior.length - 1].date;
+  const fresh = await fetchBars({ since, signal });
+  if (!overlapMatches(prior, fresh)) return { rows: await fetchBars({ signal }), newBars: null };
+  const rows = mergeBars(prior, fresh);
+  return { rows, newBars: rows.length - prior.length };
+}
+
+// Returns { rows, provenance } where provenance lists the provider that answered,
+// every provider that failed before it (with the reason) and the fetch time.
+// If the whole chain fails, the thrown error carries the same `provenance`.
+//
+// With `useCache`, bars are kept in IndexedDB per symbol and provider: cached rows
+// are handed to `onCached` straight away, only bars after the last cached date are
+// downloaded, and when every provider is unreachable the cached rows are returned
+// with `provenance.offline` set. Aborting `signal` rejects with an AbortError.
+//
+// `interval` is "daily" or an intraday interval; providers that don't list it in
+// capabilities.intervals are skipped (weekly/monthly are resampled from daily).
+export async function fetchRealData(
+  symbol = "GOOGL",
+  { chain = fallbackChain, interval = "daily", useCache = true, onCached, signal } = {}
+) {
+  const failures = [];
+  const cached = {};
+  if (useCache) {
+    for (const id of chain) cached[id] = await readBars(symbol, id, interval);
+  }
+  const cachedId = chain.find((id) => cached[id]?.rows?.length);
+  const fromCache = (extra) => ({
+    rows: cached[cachedId].rows,
+    provenance: {
+      provider: cachedId,
+      label: providers.get(cachedId)?.label || cachedId,
+      capabilities: providers.get(cachedId)?.capabilities,
+      failures,
+      fetchedAt: cached[cachedId].updatedAt,
+      fromCache: true,
+      ...extra,
+    },
+  });
+  if (cachedId && onCached) onCached(fromCache());
+
+  for (const id of chain) {
+    const p = providers.get(id);
+    if (!p) {
+      failures.push({ provider: id, label: id, error: "UNKNOWN_PROVIDER" });
+      continue;
+    }
+    if (!p.capabilities.intervals.includes(interval)) {
+      failures.push({ provider: p.id, label: p.label, error: "UNSUPPORTED_INTERVAL" });
+      continue;
+    }
+    try {
+      const fetchBars = fetcherFor(p, symbol, interval);
+      const { rows, newBars } = await fetchIncremental(fetchBars, cached[id]?.rows || [], signal);
+      if (!rows.length) throw new Error("EMPTY_RESULT");
+      if (useCache) await writeBars(symbol, id, rows, interval).catch(() => {});
+      return {
+        rows,
+        provenance: {
+          provider: p.id,
+          label: p.label,
+          capabilities: p.capabilities,
+          failures,
+          fetchedAt: new Date().toISOString(),
+          fromCache: false,
+          newBars,
+        },
+      };
+    } catch (e) {
+      if (e.name === "AbortError" || signal?.aborted) throw e.name === "AbortError" ? e : abortError();
+      failures.push({ provider: p.id, label: p.label, error: e.message || String(e) });
+    }
+  }
+  if (cachedId) return fromCache({ offline: true });
+  const err = new Error("ALL_PROVIDERS_FAILED");
+  err.provenance = { provider: null, label: null, failures, fetchedAt: new Date().toISOString() };
+  throw err;
+}
+
+// Human-readable reasons for the error codes thrown by the fetchers above
+export function describeProviderError(code = "") {
+  if (code === "NO_ALPHA_KEY") return "no Alpha Vantage key configured";
+  if (code === "ALPHA_SHAPE" || code === "STOOQ_SHAPE") return "unexpected response format";
+  if (code === "EMPTY_RESULT") return "no rows returned";
+  if (code === "UNKNOWN_PROVIDER") return "provider not registered";
+  if (code === "UNSUPPORTED_SYMBOL") return "symbol's exchange not covered by this provider";
+  if (code === "UNSUPPORTED_INTERVAL") return "interval not offered by this provider";
+  if (code === "THROTTLED") return "rate limited, retries exhausted";
+  if (code === "DAILY_QUOTA_EXHAUSTED") return "daily request quota used up";
+  if (/^HTTP_\d+$/.test(code)) return `HTTP ${code.slice(5)}`;
+  return code;
+}
+
+// ---------- symbol search ----------
+// Remote lookups share the Alpha Vantage quota with bar downloads, so they need a
+// longer prefix, are skipped when a bundled symbol matches exactly, and are cached
+// per normalized query for the session.
+const REMOTE_SEARCH_MIN = 3;
+const SEARCH_CACHE_MAX = 200;
+const searchCache = new Map();
+
+// -> [{ symbol, name, exchange, source }]; uses Alpha Vantage SYMBOL_SEARCH (through
+// the scheduler, so it counts toward the quota) when a key is present, else the
+// bundled list in symbols.js.
+export async function searchSymbols(query, { signal } = {}) {
+  const key = import.meta.env.VITE_ALPHA_VANTAGE_KEY;
+  const q = query.trim().replace(/\s+/g, " ").toUpperCase();
+  const local = searchLocalSymbols(q).map((s) => ({ ...s, source: "local" }));
+  if (!key || q.length < REMOTE_SEARCH_MIN) return local;
+  if (local.some((s) => s.symbol.toUpperCase() === q || s.name.toUpperCase() === q)) return local;
+  if (searchCache.has(q)) return searchCache.get(q);
+
   try {
-    return await fetchAlphaVantageDaily(symbol);
+    const url = `https://www.alphavantage.co/query?function=SYMBOL_SEARCH&keywords=${encodeURIComponent(q)}&apikey=${key}`;
+    const j = await scheduler.schedule("alphavantage", (sig) => fetchAlphaJson(url, sig), { signal });
+    if (!Array.isArray(j.bestMatches)) throw new Error("ALPHA_SHAPE");
+    const remote = j.bestMatches
+      .map((m) => ({ symbol: fromAlphaTicker(m["1. symbol"]), name: m["2. name"], region: m["4. region"] }))
+      .filter((m) => m.symbol)
+      .map((m) => ({ ...m, exchange: parseSymbol(m.symbol).exchange, source: "alphavantage" }));
+    const results = remote.length ? remote : local;
+    // failures are not cached: a throttled lookup is worth retrying later
+    if (searchCache.size >= SEARCH_CACHE_MAX) searchCache.delete(searchCache.keys().next().value);
+    searchCache.set(q, results);
+    return results;
   } catch (e) {
-    // Fallback: Stooq CSV (no key)
-    return await fetchStooqDaily(symbol);
+    if (e.name === "AbortError") throw e;
+    return local;
   }
 }
+
+// ---------- multi-provider fetch ----------
+// Fetches the same symbol from every provider in `chain` (each through the cache and
+// scheduler) for cross-checking. Never throws for a single provider's failure:
+// -> [{ provider, label, rows, provenance } | { provider, label, error }]
+export async function fetchEachProvider(symbol, { chain = fallbackChain, interval = "daily", signal } = {}) {
+  const results = await Promise.allSettled(
+    chain.map((id) => fetchRealData(symbol, { chain: [id], interval, signal }))
+  );
+  if (signal?.aborted) throw abortError();
+  return results.map((res, i) => {
+    const id = chain[i];
+    const label = providers.get(id)?.label || id;
+    if (res.status === "fulfilled") return { provider: id, label, ...res.value };
+    const failure = res.reason?.provenance?.failures?.[0];
+    return { provider: id, label, error: failure?.error || res.reason?.message || "FAILED" };
+  });
+}
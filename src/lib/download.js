@@ -0,0 +1,21 @@
+// src/lib/download.js
+// Client-side file downloads for the export buttons.
+
+// Quotes cells containing separators, quotes or newlines
+const csvCell = (v) => {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsv = (headers, rows) => [headers, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+
+export function downloadFile(name, text, type = "text/csv") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
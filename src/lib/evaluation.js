@@ -0,0 +1,252 @@
+// src/lib/evaluation.js
+// Out-of-sample model evaluation. Walk-forward (rolling-origin) evaluation
+// refits each model every `retrainEvery` bars on an expanding or sliding window
+// and scores its h-bar-ahead forecasts, so every prediction only uses bars that
+// were known at its origin. Skill metrics compare models with a naive baseline
+// (lib/baselines) on the same forecasts.
+
+export const WINDOW_MODES = { expanding: "Expanding", sliding: "Sliding" };
+
+// trainSize: initial (expanding) or fixed (sliding) training length in bars
+export const DEFAULT_WALK_FORWARD = { window: "expanding", trainSize: 250, retrainEvery: 20, horizon: 1 };
+
+export const RANK_METRICS = {
+  rmse: "RMSE",
+  mae: "MAE",
+  mase: "MASE",
+  theilU: "Theil's U",
+  r2: "R²",
+  directional: "Directional accuracy",
+};
+
+// Newey-West rule-of-thumb lag count for autocorrelated loss differentials
+export const neweyWestLags = (n) => Math.floor(4 * (n / 100) ** (2 / 9));
+
+// Refits are capped so long histories stay responsive; retraining is spaced out beyond this
+export const MAX_FOLDS = 400;
+
+/** RMSE / MAE / R² (against the mean of `actual`) over pairs where both are finite. */
+export function errorMetrics(actual, pred) {
+  const pairs = actual.map((a, i) => [a, pred[i]]).filter(([a, p]) => Number.isFinite(a) && Number.isFinite(p));
+  const n = pairs.length;
+  if (!n) return { n: 0, rmse: NaN, mae: NaN, r2: NaN };
+  const mean = pairs.reduce((s, [a]) => s + a, 0) / n;
+  const sse = pairs.reduce((s, [a, p]) => s + (a - p) ** 2, 0);
+  const sst = pairs.reduce((s, [a]) => s + (a - mean) ** 2, 0);
+  return {
+    n,
+    rmse: Math.sqrt(sse / n),
+    mae: pairs.reduce((s, [a, p]) => s + Math.abs(a - p), 0) / n,
+    r2: sst ? 1 - sse / sst : NaN,
+  };
+}
+
+/**
+ * Walk-forward evaluation of `models` on the series `y` (x is the bar index).
+ * Each model is `fit(x, y) -> predict(target, origin, series)`: trained on the
+ * fold's window, it forecasts bar `target` from origin `origin` (bars before
+ * `origin` are known; target = origin + horizon − 1).
+ *
+ * Origins run from `trainSize` to the last bar that still has a target; a fold
+ * is the block of `retrainEvery` origins sharing one fit (widened if that would
+ * exceed MAX_FOLDS; `retrainEvery` in the result is the value used).
+ * -> { folds: [{ fold, trainStart, trainEnd, from, to, metrics: { [model]: {...} }, errors }],
+ *      series: [{ index, origin, actual, [model]: prediction }], aggregate: { [model]: metrics }, retrainEvery }
+ */
+export function walkForward(y, models, opts) {
+  const steps = walkForwardSteps(y, models, opts);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+/**
+ * walkForward() in time slices of about `sliceMs`, yielding to the event loop
+ * between them so refitting slow models (ARIMA on long histories) keeps the page
+ * responsive. `onProgress({ done, total })` reports folds after each slice.
+ * Aborting `signal` rejects with an AbortError.
+ */
+export async function walkForwardAsync(y, models, opts, { signal, onProgress, sliceMs = 30 } = {}) {
+  const steps = walkForwardSteps(y, models, opts);
+  for (;;) {
+    if (signal?.aborted) throw abortError();
+    const until = Date.now() + sliceMs;
+    let step = steps.next();
+    while (!step.done && Date.now() < until) step = steps.next();
+    if (step.done) return step.value;
+    onProgress?.(step.value);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+const abortError = () => {
+  const e = new Error("ABORTED");
+  e.name = "AbortError";
+  return e;
+};
+
+// One fold per step: yields { done, total } folds and returns walkForward's result
+function* walkForwardSteps(y, models, { window = "expanding", trainSize, retrainEvery, horizon } = DEFAULT_WALK_FORWARD) {
+  const names = Object.keys(models);
+  const n = y.length;
+  const h = Math.max(1, Math.round(horizon));
+  const size = Math.max(2, Math.round(trainSize));
+  const step = Math.max(1, Math.round(retrainEvery), Math.ceil((n - size - h + 1) / MAX_FOLDS));
+  const total = Math.max(0, Math.ceil((n - h + 1 - size) / step));
+  const folds = [];
+  const series = [];
+
+  for (let start = size; start + h - 1 < n; start += step) {
+    const trainStart = window === "sliding" ? start - size : 0;
+    const x = Array.from({ length: start - trainStart }, (_, i) => trainStart + i);
+    const ys = y.slice(trainStart, start);
+    const errors = {};
+    const predictors = {};
+    for (const name of names) {
+      try {
+        predictors[name] = models[name](x, ys);
+      } catch (e) {
+        errors[name] = e.message;
+      }
+    }
+
+    const points = [];
+    for (let origin = start; origin < Math.min(start + step, n - h + 1); origin++) {
+      const target = origin + h - 1;
+      const point = { index: target, origin, actual: y[target] };
+      for (const name of names) point[name] = predictors[name] ? predictors[name](target, origin, y) : NaN;
+      points.push(point);
+    }
+    series.push(...points);
+    folds.push({
+      fold: folds.length + 1,
+      trainStart,
+      trainEnd: start - 1,
+      from: points[0].index,
+      to: points[points.length - 1].index,
+      metrics: Object.fromEntries(names.map((m) => [m, errorMetrics(points.map((p) => p.actual), points.map((p) => p[m]))])),
+      errors,
+    });
+    yield { done: folds.length, total };
+  }
+
+  const actual = series.map((p) => p.actual);
+  const aggregate = Object.fromEntries(names.map((m) => [m, errorMetrics(actual, series.map((p) => p[m]))]));
+  return { folds, series, aggregate, retrainEvery: step };
+}
+
+/**
+ * Single train/test split: every model is fitted on the bars before `split` and
+ * forecasts each later bar from that one origin.
+ * -> { series: [{ index, origin, actual, [model]: prediction }], errors: { [model]: code } }
+ */
+export function evaluateSplit(y, models, split) {
+  const x = Array.from({ length: split }, (_, i) => i);
+  const ys = y.slice(0, split);
+  const errors = {};
+  const predictors = {};
+  for (const [name, fit] of Object.entries(models)) {
+    try {
+      predictors[name] = fit(x, ys);
+    } catch (e) {
+      errors[name] = e.message;
+    }
+  }
+  const series = y.slice(split).map((actual, i) => {
+    const point = { index: split + i, origin: split, actual };
+    for (const name of Object.keys(models)) point[name] = predictors[name] ? predictors[name](split + i, split, y) : NaN;
+    return point;
+  });
+  return { series, errors };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(z) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Diebold-Mariano test on a loss differential d (model loss − baseline loss),
+ * with a Bartlett-weighted long-run variance over `lags` autocovariances.
+ * Negative statistics favour the model. p-value is two-sided, normal approximation.
+ */
+export function dieboldMariano(d, lags = 0) {
+  const n = d.length;
+  if (n < 3) return { stat: NaN, pValue: NaN };
+  const mean = d.reduce((a, b) => a + b, 0) / n;
+  const gamma = (k) => {
+    let s = 0;
+    for (let t = k; t < n; t++) s += (d[t] - mean) * (d[t - k] - mean);
+    return s / n;
+  };
+  let lrv = gamma(0);
+  for (let k = 1; k <= Math.min(lags, n - 1); k++) lrv += 2 * (1 - k / (lags + 1)) * gamma(k);
+  if (!(lrv > 0)) return { stat: NaN, pValue: NaN };
+  const stat = mean / Math.sqrt(lrv / n);
+  return { stat, pValue: 2 * (1 - normalCdf(Math.abs(stat))) };
+}
+
+// In-sample mean absolute one-step naive change over y[0..end), the MASE scale
+export function naiveScale(y, end) {
+  let s = 0;
+  for (let t = 1; t < end; t++) s += Math.abs(y[t] - y[t - 1]);
+  return end > 1 ? s / (end - 1) : NaN;
+}
+
+/**
+ * Error and skill metrics for every model over the same forecast points
+ * (from walkForward or evaluateSplit), ranked by `rankBy`.
+ * - MASE: MAE / `scale` (naiveScale of the training bars)
+ * - Theil's U: RMS relative error / RMS relative change, both from the origin's
+ *   last known value (a random walk scores exactly 1)
+ * - directional accuracy: share of forecasts on the right side of the last known
+ *   value, over forecasts that predict a move and actual moves (null if none)
+ * - Diebold-Mariano on squared errors against the `reference` model, with
+ *   `lags` autocovariances (horizon − 1 for overlapping h-step forecasts)
+ * -> [{ model, n, rmse, mae, r2, mase, theilU, directional, dm: { stat, pValue } | null }]
+ */
+export function compareModels(series, models, { reference, scale, lags = 0, y, rankBy = "rmse" }) {
+  const rows = models.map((model) => {
+    const pts = series.filter((p) => Number.isFinite(p.actual) && Number.isFinite(p[model]));
+    const base = errorMetrics(
+      pts.map((p) => p.actual),
+      pts.map((p) => p[model])
+    );
+    let num = 0;
+    let den = 0;
+    let hits = 0;
+    let calls = 0;
+    for (const p of pts) {
+      const last = y[p.origin - 1];
+      num += ((p[model] - p.actual) / last) ** 2;
+      den += ((p.actual - last) / last) ** 2;
+      const predicted = Math.sign(p[model] - last);
+      const actual = Math.sign(p.actual - last);
+      if (predicted && actual) {
+        calls++;
+        if (predicted === actual) hits++;
+      }
+    }
+    let dm = null;
+    if (model !== reference) {
+      const paired = pts.filter((p) => Number.isFinite(p[reference]));
+      dm = dieboldMariano(
+        paired.map((p) => (p[model] - p.actual) ** 2 - (p[reference] - p.actual) ** 2),
+        lags
+      );
+    }
+    return {
+      model,
+      ...base,
+      mase: base.mae / scale,
+      theilU: den ? Math.sqrt(num / den) : NaN,
+      directional: calls ? hits / calls : null,
+      dm,
+    };
+  });
+  const key = (r) => (rankBy === "directional" ? -(r.directional ?? -1) : rankBy === "r2" ? -r.r2 : r[rankBy]);
+  return rows.sort((a, b) => (Number.isFinite(key(a)) ? key(a) : Infinity) - (Number.isFinite(key(b)) ? key(b) : Infinity));
+}
@@ -0,0 +1,192 @@
+// src/lib/fileImport.js
+// Parses local CSV / JSON exports into the same {date, open, high, low, close, volume}
+// rows the network fetchers produce. Bad records are skipped and reported per line.
+
+export const FIELDS = ["date", "open", "high", "low", "close", "volume"];
+
+export const DATE_FORMATS = ["YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY", "DD.MM.YYYY", "YYYYMMDD", "unix", "unix_ms"];
+
+export const DELIMITERS = { auto: "Auto", ",": "Comma", ";": "Semicolon", "\t": "Tab", "|": "Pipe" };
+
+// Header names we recognise when no explicit mapping is given
+const ALIASES = {
+  date: ["date", "timestamp", "time", "day"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "adj close", "adj_close", "adjusted close", "c", "price", "last"],
+  volume: ["volume", "vol", "v"],
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function isValidYmd(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+// -> "YYYY-MM-DD" or null
+export function parseDate(value, format = "YYYY-MM-DD") {
+  const v = String(value ?? "").trim();
+  if (!v) return null;
+  if (format === "unix" || format === "unix_ms") {
+    const n = Number(v);
+    if (!Number.isFinite(n)) return null;
+    const date = new Date(format === "unix" ? n * 1000 : n);
+    // outside the Date range or past year 9999 (e.g. ms read as seconds) is a bad row, not an exception
+    if (!Number.isFinite(date.getTime())) return null;
+    const iso = date.toISOString();
+    return /^\d{4}-/.test(iso) ? iso.slice(0, 10) : null;
+  }
+  let y, m, d;
+  let match;
+  if (format === "YYYY-MM-DD" && (match = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) [, y, m, d] = match;
+  else if (format === "MM/DD/YYYY" && (match = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [, m, d, y] = match;
+  else if (format === "DD/MM/YYYY" && (match = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [, d, m, y] = match;
+  else if (format === "DD.MM.YYYY" && (match = v.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) [, d, m, y] = match;
+  else if (format === "YYYYMMDD" && (match = v.match(/^(\d{4})(\d{2})(\d{2})$/))) [, y, m, d] = match;
+  else return null;
+  [y, m, d] = [+y, +m, +d];
+  return isValidYmd(y, m, d) ? `${y}-${pad(m)}-${pad(d)}` : null;
+}
+
+// Split one CSV line, honouring double-quoted fields ("a,b" and "" escapes)
+export function splitCsvLine(line, delimiter) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      out.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  out.push(cur);
+  return out.map((s) => s.trim());
+}
+
+export function detectDelimiter(line) {
+  const counts = [",", ";", "\t", "|"].map((d) => [d, splitCsvLine(line, d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Build {field: columnIndex} from a header row; explicit `mapping` entries
+// (header name or 0-based index) take precedence over the alias guesses.
+export function resolveColumns(header, mapping = {}) {
+  const lower = header.map((h) => h.toLowerCase());
+  const cols = {};
+  for (const f of FIELDS) {
+    const want = mapping[f];
+    if (want === "" || want === null) continue; // explicitly unmapped
+    if (typeof want === "number") cols[f] = want;
+    else if (want) {
+      const idx = lower.indexOf(String(want).toLowerCase());
+      if (idx >= 0) cols[f] = idx;
+    } else {
+      const idx = lower.findIndex((h) => ALIASES[f].includes(h));
+      if (idx >= 0) cols[f] = idx;
+    }
+  }
+  return cols;
+}
+
+const toNumber = (v) => {
+  if (v === undefined || v === null || v === "") return NaN;
+  return typeof v === "number" ? v : Number(String(v).replace(/[$\s]/g, "").replace(/,(?=\d{3}\b)/g, ""));
+};
+
+// Turn one record (field -> raw value) into a row, or return an error message
+function buildRow(get, dateFormat) {
+  const date = parseDate(get("date"), dateFormat);
+  if (!date) return { error: `invalid date "${get("date") ?? ""}" (expected ${dateFormat})` };
+  const close = toNumber(get("close"));
+  if (!Number.isFinite(close)) return { error: `invalid close "${get("close") ?? ""}"` };
+  const row = { date, close };
+  for (const f of ["open", "high", "low"]) {
+    const raw = get(f);
+    const v = raw === undefined ? close : toNumber(raw);
+    if (!Number.isFinite(v)) return { error: `invalid ${f} "${raw}"` };
+    row[f] = v;
+  }
+  const rawVol = get("volume");
+  const volume = rawVol === undefined ? 0 : toNumber(rawVol);
+  if (!Number.isFinite(volume)) return { error: `invalid volume "${rawVol}"` };
+  row.volume = volume;
+  return { row: { date, open: row.open, high: row.high, low: row.low, close, volume } };
+}
+
+const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+
+// -> { rows, errors: [{ line, message }], columns }
+export function parseCsv(text, { delimiter = "auto", mapping = {}, dateFormat = "YYYY-MM-DD", hasHeader = true } = {}) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const firstIdx = lines.findIndex((l) => l.trim());
+  if (firstIdx < 0) return { rows: [], errors: [{ line: 1, message: "file is empty" }], columns: {} };
+
+  const delim = delimiter === "auto" ? detectDelimiter(lines[firstIdx]) : delimiter;
+  const header = hasHeader
+    ? splitCsvLine(lines[firstIdx], delim)
+    : splitCsvLine(lines[firstIdx], delim).map((_, i) => String(i));
+  const columns = hasHeader
+    ? resolveColumns(header, mapping)
+    : resolveColumns(header, { ...Object.fromEntries(FIELDS.map((f, i) => [f, i])), ...mapping });
+
+  const errors = [];
+  if (columns.date === undefined) errors.push({ line: firstIdx + 1, message: "no date column found" });
+  if (columns.close === undefined) errors.push({ line: firstIdx + 1, message: "no close column found" });
+  if (errors.length) return { rows: [], errors, columns };
+
+  const rows = [];
+  for (let i = hasHeader ? firstIdx + 1 : firstIdx; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cells = splitCsvLine(lines[i], delim);
+    const res = buildRow((f) => (columns[f] === undefined ? undefined : cells[columns[f]]), dateFormat);
+    if (res.error) errors.push({ line: i + 1, message: res.error });
+    else rows.push(res.row);
+  }
+  return { rows: rows.sort(byDate), errors, columns };
+}
+
+// JSON: an array of objects (keys resolved like CSV headers), or an object wrapping
+// such an array under `data` / `rows`. `line` in errors is the 1-based array position.
+export function parseJson(text, { mapping = {}, dateFormat = "YYYY-MM-DD" } = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { rows: [], errors: [{ line: 1, message: `invalid JSON: ${e.message}` }], columns: {} };
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.data || parsed?.rows;
+  if (!Array.isArray(items)) {
+    return { rows: [], errors: [{ line: 1, message: "expected an array of records" }], columns: {} };
+  }
+
+  const rows = [];
+  const errors = [];
+  let columns = {};
+  items.forEach((item, i) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      errors.push({ line: i + 1, message: "record is not an object" });
+      return;
+    }
+    const keys = Object.keys(item);
+    columns = resolveColumns(keys, mapping);
+    const res = buildRow((f) => (columns[f] === undefined ? undefined : item[keys[columns[f]]]), dateFormat);
+    if (res.error) errors.push({ line: i + 1, message: res.error });
+    else rows.push(res.row);
+  });
+  return { rows: rows.sort(byDate), errors, columns };
+}
+
+export function parseImportFile(name, text, options = {}) {
+  const isJson = /\.json$/i.test(name) || /^\s*[[{]/.test(text);
+  return isJson ? parseJson(text, options) : parseCsv(text, options);
+}
@@ -0,0 +1,388 @@
+// src/lib/formula.js
+// Small expression language for user-defined series over the enriched rows, e.g.
+//   (close - sma50) / volatility        ema(close, 12) - ema(close, 26)
+// Text is tokenized and parsed into an AST (never eval'd), checked against the
+// known columns, then evaluated column-wise in O(n) per node. NaN marks bars
+// where a value is undefined and propagates through every operator.
+
+import { rollingWindow, rollingMax, rollingMin, smoother } from "./indicators";
+
+const formulaError = (message, pos) => {
+  const e = new Error(message);
+  e.pos = pos;
+  return e;
+};
+
+// ---------- tokenizer ----------
+const OPERATORS = ["<=", ">=", "==", "!=", "&&", "||", "+", "-", "*", "/", "%", "^", "<", ">", "!", "(", ")", ","];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const num = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(text.slice(i));
+    if (num) {
+      tokens.push({ type: "num", value: +num[0], pos: i });
+      i += num[0].length;
+      continue;
+    }
+    const id = /^[A-Za-z_]\w*/.exec(text.slice(i));
+    if (id) {
+      tokens.push({ type: "id", value: id[0], pos: i });
+      i += id[0].length;
+      continue;
+    }
+    const op = OPERATORS.find((o) => text.startsWith(o, i));
+    if (!op) throw formulaError(`Unexpected character "${ch}"`, i);
+    tokens.push({ type: "op", value: op, pos: i });
+    i += op.length;
+  }
+  tokens.push({ type: "end", pos: text.length });
+  return tokens;
+}
+
+// ---------- parser (precedence climbing) ----------
+// Lowest to highest; comparisons do not chain, ^ is right-associative and binds
+// tighter than unary minus (-2^2 = -4).
+const BINARY = [["||"], ["&&"], ["<", "<=", ">", ">=", "==", "!="], ["+", "-"], ["*", "/", "%"]];
+
+export function parseFormula(text) {
+  const tokens = tokenize(String(text));
+  let at = 0;
+  const peek = () => tokens[at];
+  const isOp = (...ops) => peek().type === "op" && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) throw formulaError(`Expected "${op}"`, peek().pos);
+    return tokens[at++];
+  };
+
+  const binary = (level) => {
+    if (level === BINARY.length) return unary();
+    let left = binary(level + 1);
+    while (isOp(...BINARY[level])) {
+      const { value: op, pos } = tokens[at++];
+      const right = binary(level + 1);
+      left = { type: "bin", op, left, right, pos };
+      if (level === 2 && isOp(...BINARY[2])) throw formulaError("Comparisons cannot be chained", peek().pos);
+    }
+    return left;
+  };
+
+  const unary = () => {
+    if (isOp("-", "+", "!")) {
+      const { value: op, pos } = tokens[at++];
+      return { type: "unary", op, arg: unary(), pos };
+    }
+    return power();
+  };
+
+  const power = () => {
+    const base = primary();
+    if (!isOp("^")) return base;
+    const { pos } = tokens[at++];
+    return { type: "bin", op: "^", left: base, right: unary(), pos };
+  };
+
+  const primary = () => {
+    const t = peek();
+    if (t.type === "num") {
+      at++;
+      return { type: "num", value: t.value, pos: t.pos };
+    }
+    if (t.type === "id") {
+      at++;
+      if (!isOp("(")) return { type: "col", name: t.value, pos: t.pos };
+      at++;
+      const args = [];
+      if (!isOp(")")) {
+        args.push(binary(0));
+        while (isOp(",")) {
+          at++;
+          args.push(binary(0));
+        }
+      }
+      expect(")");
+      return { type: "call", name: t.value, args, pos: t.pos };
+    }
+    if (isOp("(")) {
+      at++;
+      const inner = binary(0);
+      expect(")");
+      return inner;
+    }
+    throw formulaError(t.type === "end" ? "Unexpected end of formula" : `Unexpected "${t.value}"`, t.pos);
+  };
+
+  if (peek().type === "end") throw formulaError("Formula is empty", 0);
+  const ast = binary(0);
+  if (peek().type !== "end") throw formulaError(`Unexpected "${peek().value}"`, peek().pos);
+  return ast;
+}
+
+// ---------- functions ----------
+// `series` leading arguments may be any expression; the `params` after them are
+// whole-number literals (windows >= 1, shifts >= 0), omitted when `optional`.
+const rolling = (make, read) => (x, n) => {
+  const w = make(n);
+  return x.map((v) => {
+    w.push(v);
+    return read(w, v, n);
+  });
+};
+
+const shift = (f) => (x, k = 1) => x.map((v, i) => (i >= k ? f(v, x[i - k]) : NaN));
+
+const FUNCTIONS = {
+  sma: {
+    signature: "sma(x, n)",
+    help: "Simple moving average over n bars",
+    series: 1,
+    params: 1,
+    run: rolling(rollingWindow, (w) => (w.valid() ? w.mean() : NaN)),
+  },
+  ema: {
+    signature: "ema(x, n)",
+    help: "Exponential moving average, seeded with the first n-bar mean",
+    series: 1,
+    params: 1,
+    run: (x, n) => {
+      const avg = smoother(n);
+      // the smoother skips missing inputs; here they stay NaN like every other function
+      return x.map((v) => (Number.isFinite(v) ? avg(v) : NaN));
+    },
+  },
+  sum: {
+    signature: "sum(x, n)",
+    help: "Rolling sum over n bars",
+    series: 1,
+    params: 1,
+    run: rolling(rollingWindow, (w, v, n) => (w.valid() ? w.mean() * n : NaN)),
+  },
+  std: {
+    signature: "std(x, n)",
+    help: "Rolling population standard deviation",
+    series: 1,
+    params: 1,
+    run: rolling(rollingWindow, (w) => (w.valid() ? Math.sqrt(w.variance()) : NaN)),
+  },
+  zscore: {
+    signature: "zscore(x, n)",
+    help: "(x − rolling mean) / rolling std",
+    series: 1,
+    params: 1,
+    run: rolling(rollingWindow, (w, v) => {
+      const sd = w.valid() ? Math.sqrt(w.variance()) : 0;
+      return sd > 0 ? (v - w.mean()) / sd : NaN;
+    }),
+  },
+  highest: {
+    signature: "highest(x, n)",
+    help: "Highest value of the last n bars",
+    series: 1,
+    params: 1,
+    run: rolling(rollingMax, (w) => (w.ready() ? w.value() : NaN)),
+  },
+  lowest: {
+    signature: "lowest(x, n)",
+    help: "Lowest value of the last n bars",
+    series: 1,
+    params: 1,
+    run: rolling(rollingMin, (w) => (w.ready() ? w.value() : NaN)),
+  },
+  lag: {
+    signature: "lag(x, k = 1)",
+    help: "Value k bars earlier",
+    series: 1,
+    params: 1,
+    optional: true,
+    run: shift((v, prev) => prev),
+  },
+  lead: {
+    signature: "lead(x, k = 1)",
+    help: "Value k bars later (look-ahead: not for live signals)",
+    series: 1,
+    params: 1,
+    optional: true,
+    run: (x, k = 1) => x.map((_, i) => (i + k < x.length ? x[i + k] : NaN)),
+  },
+  diff: {
+    signature: "diff(x, k = 1)",
+    help: "x − lag(x, k)",
+    series: 1,
+    params: 1,
+    optional: true,
+    run: shift((v, prev) => v - prev),
+  },
+  pct: {
+    signature: "pct(x, k = 1)",
+    help: "Fractional change x / lag(x, k) − 1",
+    series: 1,
+    params: 1,
+    optional: true,
+    run: shift((v, prev) => v / prev - 1),
+  },
+  abs: { signature: "abs(x)", help: "Absolute value", series: 1, run: (x) => x.map(Math.abs) },
+  sqrt: { signature: "sqrt(x)", help: "Square root", series: 1, run: (x) => x.map(Math.sqrt) },
+  log: { signature: "log(x)", help: "Natural logarithm", series: 1, run: (x) => x.map(Math.log) },
+  exp: { signature: "exp(x)", help: "e to the power x", series: 1, run: (x) => x.map(Math.exp) },
+  min: { signature: "min(a, b)", help: "Smaller of two values, bar by bar", series: 2, run: (a, b) => a.map((v, i) => Math.min(v, b[i])) },
+  max: { signature: "max(a, b)", help: "Larger of two values, bar by bar", series: 2, run: (a, b) => a.map((v, i) => Math.max(v, b[i])) },
+  if: {
+    signature: "if(cond, a, b)",
+    help: "a where cond is non-zero, b where it is zero",
+    series: 3,
+    run: (c, a, b) => c.map((v, i) => (Number.isNaN(v) ? NaN : v !== 0 ? a[i] : b[i])),
+  },
+};
+
+const SHIFTS = ["lag", "lead", "diff", "pct"];
+const isParam = (f, k) => k >= f.series;
+
+// Signature and description per function, for the editor's reference list
+export const FORMULA_FUNCTIONS = Object.fromEntries(
+  Object.entries(FUNCTIONS).map(([name, f]) => [name, { signature: f.signature, help: f.help }])
+);
+
+export const FORMULA_OPERATORS = "+ − * / % ^ · < <= > >= == != (1 or 0) · && || ! · parentheses";
+
+/**
+ * Parses and checks a formula against the available column names.
+ * -> { ast, columns: [names used] }; throws Error with `pos` on failure.
+ */
+export function compileFormula(text, columns) {
+  const ast = parseFormula(text);
+  const known = new Set(columns);
+  const used = new Set();
+  const check = (node) => {
+    if (node.type === "col") {
+      if (!known.has(node.name)) {
+        const hint = FUNCTIONS[node.name] ? ` (did you mean ${FUNCTIONS[node.name].signature}?)` : "";
+        throw formulaError(`Unknown column "${node.name}"${hint}`, node.pos);
+      }
+      used.add(node.name);
+    } else if (node.type === "call") {
+      const f = FUNCTIONS[node.name];
+      if (!f) throw formulaError(`Unknown function "${node.name}"`, node.pos);
+      const max = f.series + (f.params || 0);
+      const min = f.optional ? f.series : max;
+      if (node.args.length < min || node.args.length > max) {
+        throw formulaError(`${f.signature} takes ${min === max ? min : `${min}–${max}`} argument(s)`, node.pos);
+      }
+      node.args.forEach((arg, k) => {
+        if (isParam(f, k)) {
+          const lowest = SHIFTS.includes(node.name) ? 0 : 1;
+          if (arg.type !== "num" || !Number.isInteger(arg.value) || arg.value < lowest) {
+            throw formulaError(`${f.signature}: window/shift must be a whole number ≥ ${lowest}`, arg.pos);
+          }
+        } else check(arg);
+      });
+    } else if (node.type === "bin") {
+      check(node.left);
+      check(node.right);
+    } else if (node.type === "unary") check(node.arg);
+  };
+  check(ast);
+  return { ast, columns: [...used] };
+}
+
+const BIN_OPS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+  "^": (a, b) => a ** b,
+  "<": (a, b) => +(a < b),
+  "<=": (a, b) => +(a <= b),
+  ">": (a, b) => +(a > b),
+  ">=": (a, b) => +(a >= b),
+  "==": (a, b) => +(a === b),
+  "!=": (a, b) => +(a !== b),
+  "&&": (a, b) => +(a !== 0 && b !== 0),
+  "||": (a, b) => +(a !== 0 || b !== 0),
+};
+
+const UNARY_OPS = { "-": (a) => -a, "+": (a) => a, "!": (a) => +(a === 0) };
+
+/**
+ * Evaluates a compiled AST over the rows -> Float64Array (NaN = undefined).
+ * Missing or non-numeric cells read as NaN; NaN in, NaN out for every operator.
+ * `extra` holds already-computed series by name (earlier formulas).
+ */
+export function evaluateFormula(ast, rows, extra = {}) {
+  const n = rows.length;
+  const cache = new Map(Object.entries(extra));
+  const column = (name) => {
+    if (!cache.has(name)) {
+      cache.set(name, Float64Array.from(rows, (r) => (typeof r[name] === "number" ? r[name] : NaN)));
+    }
+    return cache.get(name);
+  };
+  const nanSafe = (f) => (...xs) => (xs.some(Number.isNaN) ? NaN : f(...xs));
+
+  const ev = (node) => {
+    switch (node.type) {
+      case "num":
+        return new Float64Array(n).fill(node.value);
+      case "col":
+        return column(node.name);
+      case "unary": {
+        const f = nanSafe(UNARY_OPS[node.op]);
+        return ev(node.arg).map((v) => f(v));
+      }
+      case "bin": {
+        const f = nanSafe(BIN_OPS[node.op]);
+        const a = ev(node.left);
+        const b = ev(node.right);
+        return a.map((v, i) => f(v, b[i]));
+      }
+      default: {
+        const f = FUNCTIONS[node.name];
+        const args = node.args.map((arg, k) => (isParam(f, k) ? arg.value : ev(arg)));
+        return f.run(...args);
+      }
+    }
+  };
+  return ev(ast).map((v) => (Number.isFinite(v) ? v : NaN));
+}
+
+// Letters, digits and _; not a function name
+export const isFormulaName = (name) => /^[A-Za-z_]\w*$/.test(name) && !FUNCTIONS[name];
+
+/**
+ * Evaluates user formulas in order and adds each as a column named after the
+ * formula. A formula may use the row columns and any earlier formula.
+ * -> { rows, errors: { [id]: { message, pos } }, names: [evaluated formula names] }
+ */
+export function applyFormulas(rows, formulas, columns) {
+  const known = [...columns];
+  const errors = {};
+  const computed = {};
+  for (const f of formulas) {
+    try {
+      if (!isFormulaName(f.name)) throw formulaError("Name must be letters, digits or _ and not a function name", -1);
+      if (known.includes(f.name)) throw formulaError(`"${f.name}" is already a column`, -1);
+      const { ast } = compileFormula(f.expr, known);
+      computed[f.name] = evaluateFormula(ast, rows, computed);
+      known.push(f.name);
+    } catch (e) {
+      errors[f.id] = { message: e.message, pos: e.pos ?? -1 };
+    }
+  }
+  const names = Object.keys(computed);
+  if (!names.length) return { rows, errors, names };
+  const out = rows.map((r, i) => {
+    const row = { ...r };
+    for (const name of names) {
+      const v = computed[name][i];
+      if (!Number.isNaN(v)) row[name] = v;
+    }
+    return row;
+  });
+  return { rows: out, errors, names };
+}
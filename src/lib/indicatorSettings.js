@@ -0,0 +1,177 @@
+// src/lib/indicatorSettings.js
+// User indicator settings: core indicator instances, custom formulas, the columns
+// and levels the signal reads, extended-library periods, RSI/Bollinger definitions
+// and support/resistance detection.
+// Persisted in localStorage so they survive reloads.
+
+import {
+  INSTANCE_TYPES, INDICATOR_SETTINGS, INDICATOR_DEFINITIONS, DEFAULT_INDICATOR_PARAMS, DEFAULT_DEFINITIONS,
+  instanceKey, instanceLabel, instanceColumn,
+} from "./indicators";
+import { DEFAULT_LEVEL_SETTINGS, PIVOT_METHODS, PIVOT_PERIODS } from "./levels";
+
+const STORAGE_KEY = "indicatorSettings";
+
+export const DEFAULT_INSTANCES = [
+  { id: "sma10", type: "sma", period: 10 },
+  { id: "sma20", type: "sma", period: 20 },
+  { id: "sma50", type: "sma", period: 50 },
+  { id: "rsi", type: "rsi", period: 14 },
+  { id: "bb", type: "bollinger", period: 20, k: 2 },
+];
+
+// fast/slow/rsi/bands are instance ids, buyRule/sellRule formula ids, `patterns`
+// lets candlestick patterns on the last bar vote, `stops` is a STOP_SOURCES key;
+// the rest are RSI levels
+export const DEFAULT_SIGNAL_RULES = {
+  fast: "sma20",
+  slow: "sma50",
+  rsi: "rsi",
+  bands: "bb",
+  buyRule: "",
+  sellRule: "",
+  patterns: true,
+  stops: "zones",
+  buyBelow: 35,
+  sellAbove: 65,
+  oversold: 30,
+  overbought: 70,
+};
+
+// Which instance type each signal input accepts
+export const SIGNAL_INPUTS = {
+  fast: { label: "Fast MA", type: "sma" },
+  slow: { label: "Slow MA", type: "sma" },
+  rsi: { label: "RSI", type: "rsi" },
+  bands: { label: "Volatility (bands)", type: "bollinger" },
+};
+
+// Formulas that vote BUY / SELL when their latest value is non-zero
+export const SIGNAL_RULES = {
+  buyRule: "Custom buy rule",
+  sellRule: "Custom sell rule",
+};
+
+// Where stops and targets come from; levels fall back to the flat % when none is near
+export const STOP_SOURCES = {
+  percent: "Flat % of price",
+  zones: "Nearest S/R zone",
+  ...Object.fromEntries(Object.entries(PIVOT_METHODS).map(([id, label]) => [id, `${label} pivots`])),
+};
+
+export const SIGNAL_LEVELS = {
+  buyBelow: "Buy when RSI below",
+  sellAbove: "Sell when RSI above",
+  oversold: "Oversold level",
+  overbought: "Overbought level",
+};
+
+// { id, name, expr }; see lib/formula for the language
+export const DEFAULT_FORMULAS = [];
+
+// Level detection plus what the price chart draws: zones, and one pivot set ("" = none)
+export const DEFAULT_LEVELS = { ...DEFAULT_LEVEL_SETTINGS, chartZones: true, chartPivots: "classic" };
+
+export const DEFAULT_INDICATOR_SETTINGS = {
+  instances: DEFAULT_INSTANCES,
+  formulas: DEFAULT_FORMULAS,
+  signal: DEFAULT_SIGNAL_RULES,
+  params: DEFAULT_INDICATOR_PARAMS,
+  definitions: DEFAULT_DEFINITIONS,
+  levels: DEFAULT_LEVELS,
+};
+
+const clampLevel = (v, fallback) => (Number.isFinite(v) ? Math.min(100, Math.max(0, v)) : fallback);
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// New instance of a type with its default parameters
+export const createInstance = (type) => ({ id: newId(type), type, ...INSTANCE_TYPES[type].defaults });
+
+export const createFormula = (name, expr) => ({ id: newId("fx"), name, expr });
+
+// Whole-number period >= the type's minimum; k > 0
+export function normalizeInstance(inst) {
+  const t = INSTANCE_TYPES[inst.type];
+  const period = Math.max(t.min, Math.round(+inst.period || t.defaults.period));
+  const out = { id: String(inst.id), type: inst.type, period };
+  if (inst.type === "bollinger") out.k = +inst.k > 0 ? +inst.k : t.defaults.k;
+  return out;
+}
+
+// Fills gaps from the defaults and drops anything stale or malformed
+export function normalizeSettings(saved = {}) {
+  const instances = Array.isArray(saved.instances)
+    ? saved.instances.filter((x) => x && INSTANCE_TYPES[x.type] && x.id != null).map(normalizeInstance)
+    : DEFAULT_INSTANCES;
+  const formulas = Array.isArray(saved.formulas)
+    ? saved.formulas
+        .filter((f) => f && f.id != null && typeof f.name === "string" && typeof f.expr === "string")
+        .map(({ id, name, expr }) => ({ id: String(id), name, expr }))
+    : DEFAULT_FORMULAS;
+  const signal = { ...DEFAULT_SIGNAL_RULES, ...saved.signal };
+  for (const key of Object.keys(SIGNAL_LEVELS)) signal[key] = clampLevel(+signal[key], DEFAULT_SIGNAL_RULES[key]);
+  signal.patterns = signal.patterns !== false;
+  if (!STOP_SOURCES[signal.stops]) signal.stops = DEFAULT_SIGNAL_RULES.stops;
+  const params = Object.fromEntries(
+    Object.entries(INDICATOR_SETTINGS).map(([id, s]) => [id, { ...s.defaults, ...saved.params?.[id] }])
+  );
+  const definitions = Object.fromEntries(
+    Object.entries(INDICATOR_DEFINITIONS).map(([key, def]) => [
+      key,
+      def.options[saved.definitions?.[key]] ? saved.definitions[key] : DEFAULT_DEFINITIONS[key],
+    ])
+  );
+  const levels = { ...DEFAULT_LEVELS, ...saved.levels };
+  for (const key of ["strength", "tolerancePct", "minTouches", "lookback"]) {
+    if (!(+levels[key] > 0)) levels[key] = DEFAULT_LEVELS[key];
+  }
+  if (!PIVOT_PERIODS[levels.pivotPeriod]) levels.pivotPeriod = DEFAULT_LEVELS.pivotPeriod;
+  if (levels.chartPivots && !PIVOT_METHODS[levels.chartPivots]) levels.chartPivots = DEFAULT_LEVELS.chartPivots;
+  levels.chartZones = levels.chartZones !== false;
+  return { instances, formulas, signal, params, definitions, levels };
+}
+
+export function loadIndicatorSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved) return normalizeSettings(saved);
+  } catch {
+    // no storage or unreadable entry: defaults
+  }
+  return DEFAULT_INDICATOR_SETTINGS;
+}
+
+export function saveIndicatorSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Resolves the signal inputs to columns: { fast, slow, rsi, volatility, buyRule,
+ * sellRule }, each { key, label } or null when the referenced instance or formula
+ * was removed (or, for formulas, failed to evaluate: `failed` holds those ids).
+ */
+export function signalColumns({ instances, formulas = [], signal }, failed = {}) {
+  const find = (input) => instances.find((x) => x.id === signal[input] && x.type === SIGNAL_INPUTS[input].type);
+  const pick = (input) => {
+    const inst = find(input);
+    return inst ? { key: instanceKey(inst), label: instanceLabel(inst) } : null;
+  };
+  const rule = (key) => {
+    const f = formulas.find((x) => x.id === signal[key] && !failed[x.id]);
+    return f ? { key: f.name, label: f.name } : null;
+  };
+  const bands = find("bands");
+  return {
+    buyRule: rule("buyRule"),
+    sellRule: rule("sellRule"),
+    fast: pick("fast"),
+    slow: pick("slow"),
+    rsi: pick("rsi"),
+    volatility: bands ? { key: instanceColumn(bands, "volatility"), label: `${instanceLabel(bands)} σ` } : null,
+  };
+}
@@ -0,0 +1,622 @@
+// src/lib/indicators.js
+// Streaming indicator engine: every indicator keeps O(1) state per bar (running
+// sums over ring buffers), so a full history is O(n) and a new bar is O(1).
+// Output is typed column arrays with NaN where an indicator is not yet defined.
+// The window helpers are also used by the formula evaluator (lib/formula).
+
+// Fixed-size window with running sums. Non-finite values are counted rather than
+// summed, so one missing close only poisons the windows that contain it.
+// Sums are taken around a recent value and rebuilt from the buffer once per
+// window length (amortised O(1)), which stops drift and keeps flat windows at 0 variance.
+export function rollingWindow(n) {
+  const buf = new Float64Array(n);
+  let count = 0;
+  let head = 0;
+  let sum = 0;
+  let sumSq = 0;
+  let bad = 0;
+  let shift = NaN;
+  let sinceRebuild = 0;
+  const rebuild = (anchor) => {
+    shift = anchor;
+    sum = 0;
+    sumSq = 0;
+    for (let k = 0; k < count; k++) {
+      if (Number.isFinite(buf[k])) {
+        sum += buf[k] - shift;
+        sumSq += (buf[k] - shift) ** 2;
+      }
+    }
+    sinceRebuild = 0;
+  };
+  return {
+    push(x) {
+      // null would be stored as 0 in the typed buffer and never leave the bad count
+      const v = typeof x === "number" ? x : NaN;
+      if (Number.isNaN(shift) && Number.isFinite(v)) shift = v;
+      if (count === n) {
+        const old = buf[head];
+        if (Number.isFinite(old)) {
+          sum -= old - shift;
+          sumSq -= (old - shift) ** 2;
+        } else bad--;
+      } else count++;
+      buf[head] = v;
+      head = (head + 1) % n;
+      if (Number.isFinite(v)) {
+        sum += v - shift;
+        sumSq += (v - shift) ** 2;
+      } else bad++;
+      if (++sinceRebuild >= n && Number.isFinite(v)) rebuild(v);
+    },
+    valid: () => count === n && bad === 0,
+    mean: () => shift + sum / n,
+    // population variance (divide by n), or sample variance (n - 1)
+    variance: (sample = false) => Math.max(0, (sumSq - (sum * sum) / n) / (sample ? n - 1 : n)),
+  };
+}
+
+// Rolling max/min over the last n bars with a monotonic deque (amortised O(1)).
+// `keeps(a, b)` is true when a newer value a makes an older b irrelevant.
+function rollingExtreme(n, keeps) {
+  const idx = [];
+  const val = [];
+  let head = 0;
+  let i = -1;
+  return {
+    push(v) {
+      i++;
+      if (Number.isFinite(v)) {
+        while (idx.length > head && keeps(v, val[val.length - 1])) {
+          idx.pop();
+          val.pop();
+        }
+        idx.push(i);
+        val.push(v);
+      }
+      while (head < idx.length && idx[head] <= i - n) head++;
+      if (head > 1024) {
+        idx.splice(0, head);
+        val.splice(0, head);
+        head = 0;
+      }
+    },
+    ready: () => i >= n - 1 && head < idx.length,
+    value: () => val[head],
+  };
+}
+
+export const rollingMax = (n) => rollingExtreme(n, (a, b) => a >= b);
+export const rollingMin = (n) => rollingExtreme(n, (a, b) => a <= b);
+
+// Exponential average seeded with the simple mean of the first n values; missing
+// inputs are skipped. `alpha` defaults to 2/(n+1); Wilder smoothing uses 1/n.
+export function smoother(n, alpha = 2 / (n + 1)) {
+  let value = NaN;
+  let seedSum = 0;
+  let seen = 0;
+  return (v) => {
+    if (!Number.isFinite(v)) return value;
+    if (seen < n) {
+      seedSum += v;
+      if (++seen === n) value = seedSum / n;
+      return value;
+    }
+    value += alpha * (v - value);
+    return value;
+  };
+}
+
+const wilder = (n) => smoother(n, 1 / n);
+
+const trueRange = (bar, prevClose) =>
+  Number.isFinite(prevClose)
+    ? Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose))
+    : bar.high - bar.low;
+
+// ---------- indicator definitions ----------
+// `create()` returns a step(bar, i, out, write) closure holding that indicator's
+// state; `write(column, index, value)` back-fills an earlier bar (Ichimoku's chikou).
+
+export const sma = (n, column = `sma${n}`) => ({
+  columns: [column],
+  create() {
+    const w = rollingWindow(n);
+    return (bar, i, out) => {
+      w.push(bar.close);
+      if (w.valid()) out[column] = w.mean();
+    };
+  },
+});
+
+// Selectable definitions; the first entry of each is the charting-platform standard
+export const INDICATOR_DEFINITIONS = {
+  rsi: {
+    label: "RSI smoothing",
+    options: {
+      wilder: "Wilder (RMA)",
+      cutler: "Cutler (SMA)",
+      legacy: "Legacy (13 changes / 14)",
+    },
+  },
+  bollingerStd: {
+    label: "Bollinger deviation",
+    options: {
+      population: "Population (÷ N)",
+      sample: "Sample (÷ N−1)",
+    },
+  },
+};
+
+export const DEFAULT_DEFINITIONS = { rsi: "wilder", bollingerStd: "population" };
+
+// 100 − 100 / (1 + avgGain / avgLoss); 100 when there are no losses, 50 when flat
+const rsiFrom = (avgGain, avgLoss) => {
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+};
+
+/**
+ * RSI over n close-to-close changes.
+ * - wilder: averages seeded with the simple mean of the first n changes, then RMA (α = 1/n)
+ * - cutler: simple mean of the last n gains / losses
+ * - legacy: the original dashboard formula (last 13 changes divided by 14, rs pinned to 100
+ *   when there are no losses), kept for comparison
+ */
+export const rsi = (n = 14, column = "rsi", method = "wilder") => ({
+  columns: [column],
+  create() {
+    const win = method === "legacy" ? n - 1 : n;
+    const gains = rollingWindow(win);
+    const losses = rollingWindow(win);
+    const lossCount = rollingWindow(win);
+    const gainCount = rollingWindow(win);
+    const avgGain = wilder(n);
+    const avgLoss = wilder(n);
+    let prev = NaN;
+    return (bar, i, out) => {
+      const change = bar.close - prev;
+      prev = bar.close;
+      if (i === 0) return;
+      // a change involving a missing close counts as neither gain nor loss
+      const gain = change > 0 ? change : 0;
+      const loss = change < 0 ? -change : 0;
+      if (method === "wilder") {
+        const g = avgGain(gain);
+        const l = avgLoss(loss);
+        if (i >= n) out[column] = rsiFrom(g, l);
+        return;
+      }
+      gains.push(gain);
+      losses.push(loss);
+      lossCount.push(change < 0 ? 1 : 0);
+      gainCount.push(change > 0 ? 1 : 0);
+      if (i < n) return;
+      // counts, not sums, decide "no losses" so float residue cannot fake a loss
+      const g = gainCount.mean() === 0 ? 0 : gains.mean();
+      const l = lossCount.mean() === 0 ? 0 : losses.mean();
+      if (method === "cutler") out[column] = rsiFrom(g, l);
+      else {
+        const rs = l === 0 ? 100 : g / l;
+        out[column] = 100 - 100 / (1 + rs);
+      }
+    };
+  },
+});
+
+// Band column under a prefix: bandColumn("bb20_2p5", "upperBand") -> "bb20_2p5UpperBand"
+export const bandColumn = (prefix, name) => (prefix ? `${prefix}${name[0].toUpperCase()}${name.slice(1)}` : name);
+
+// Standard deviation around the SMA (population or sample), ± k·σ bands.
+// With a prefix the columns become e.g. bb20_2p5UpperBand. `middle` adds the middle
+// band; it defaults on with a prefix (the unprefixed core set omits it).
+export const bollinger = (n = 20, k = 2, { std = "population", prefix = "", middle = !!prefix } = {}) => {
+  const col = (name) => bandColumn(prefix, name);
+  return {
+    columns: [col("upperBand"), col("lowerBand"), col("volatility"), ...(middle ? [col("middleBand")] : [])],
+    create() {
+      const w = rollingWindow(n);
+      return (bar, i, out) => {
+        w.push(bar.close);
+        if (!w.valid()) return;
+        const mu = w.mean();
+        const sd = Math.sqrt(w.variance(std === "sample"));
+        out[col("upperBand")] = mu + k * sd;
+        out[col("lowerBand")] = mu - k * sd;
+        out[col("volatility")] = sd;
+        if (middle) out[col("middleBand")] = mu;
+      };
+    },
+  };
+};
+
+export const ema = (n, column = `ema${n}`) => ({
+  columns: [column],
+  create() {
+    const avg = smoother(n);
+    return (bar, i, out) => {
+      const v = avg(bar.close);
+      if (Number.isFinite(v)) out[column] = v;
+    };
+  },
+});
+
+export const macd = ({ fast = 12, slow = 26, signal = 9 } = {}) => ({
+  columns: ["macd", "macdSignal", "macdHist"],
+  create() {
+    const f = smoother(fast);
+    const sl = smoother(slow);
+    const sig = smoother(signal);
+    return (bar, i, out) => {
+      const line = f(bar.close) - sl(bar.close);
+      if (!Number.isFinite(line)) return;
+      out.macd = line;
+      const s = sig(line);
+      if (!Number.isFinite(s)) return;
+      out.macdSignal = s;
+      out.macdHist = line - s;
+    };
+  },
+});
+
+// Average true range, Wilder-smoothed
+export const atr = (n = 14) => ({
+  columns: ["atr"],
+  create() {
+    const avg = wilder(n);
+    let prev = NaN;
+    return (bar, i, out) => {
+      const v = avg(trueRange(bar, prev));
+      prev = bar.close;
+      if (Number.isFinite(v)) out.atr = v;
+    };
+  },
+});
+
+// %K over the k-bar high/low range, %D = d-bar SMA of %K
+export const stochastic = ({ k = 14, d = 3 } = {}) => ({
+  columns: ["stochK", "stochD"],
+  create() {
+    const hh = rollingMax(k);
+    const ll = rollingMin(k);
+    const avgK = rollingWindow(d);
+    return (bar, i, out) => {
+      hh.push(bar.high);
+      ll.push(bar.low);
+      if (!hh.ready() || !ll.ready()) return;
+      const range = hh.value() - ll.value();
+      const pctK = range ? (100 * (bar.close - ll.value())) / range : 50;
+      out.stochK = pctK;
+      avgK.push(pctK);
+      if (avgK.valid()) out.stochD = avgK.mean();
+    };
+  },
+});
+
+// Wilder's directional movement: +DI, -DI and ADX
+export const adx = (n = 14) => ({
+  columns: ["plusDI", "minusDI", "adx"],
+  create() {
+    const tr = wilder(n);
+    const plus = wilder(n);
+    const minus = wilder(n);
+    const avgDx = wilder(n);
+    let prev = null;
+    return (bar, i, out) => {
+      if (!prev) {
+        prev = bar;
+        return;
+      }
+      const up = bar.high - prev.high;
+      const down = prev.low - bar.low;
+      const atrV = tr(trueRange(bar, prev.close));
+      const pdm = plus(up > down && up > 0 ? up : 0);
+      const mdm = minus(down > up && down > 0 ? down : 0);
+      prev = bar;
+      if (!Number.isFinite(atrV) || !atrV) return;
+      const pdi = (100 * pdm) / atrV;
+      const mdi = (100 * mdm) / atrV;
+      out.plusDI = pdi;
+      out.minusDI = mdi;
+      const v = avgDx(pdi + mdi ? (100 * Math.abs(pdi - mdi)) / (pdi + mdi) : 0);
+      if (Number.isFinite(v)) out.adx = v;
+    };
+  },
+});
+
+// On-balance volume
+export const obv = () => ({
+  columns: ["obv"],
+  create() {
+    let total = 0;
+    let prev = NaN;
+    return (bar, i, out) => {
+      if (Number.isFinite(prev) && Number.isFinite(bar.volume)) total += Math.sign(bar.close - prev) * bar.volume;
+      if (Number.isFinite(bar.close)) prev = bar.close;
+      out.obv = total;
+    };
+  },
+});
+
+// Volume-weighted typical price. "session" resets at each new trading day
+// (intraday bars); "rolling" uses the last `period` bars (daily and above).
+export const vwap = ({ period = 20, anchor = "rolling" } = {}) => ({
+  columns: ["vwap"],
+  create() {
+    const pv = rollingWindow(period);
+    const vol = rollingWindow(period);
+    let day = null;
+    let sumPv = 0;
+    let sumV = 0;
+    return (bar, i, out) => {
+      const tp = (bar.high + bar.low + bar.close) / 3;
+      if (anchor === "session") {
+        if (bar.date.slice(0, 10) !== day) {
+          day = bar.date.slice(0, 10);
+          sumPv = 0;
+          sumV = 0;
+        }
+        if (Number.isFinite(tp * bar.volume)) {
+          sumPv += tp * bar.volume;
+          sumV += bar.volume;
+        }
+        if (sumV) out.vwap = sumPv / sumV;
+        return;
+      }
+      pv.push(tp * bar.volume);
+      vol.push(bar.volume);
+      if (pv.valid() && vol.valid() && vol.mean()) out.vwap = pv.mean() / vol.mean();
+    };
+  },
+});
+
+export const williamsR = (n = 14) => ({
+  columns: ["williamsR"],
+  create() {
+    const hh = rollingMax(n);
+    const ll = rollingMin(n);
+    return (bar, i, out) => {
+      hh.push(bar.high);
+      ll.push(bar.low);
+      if (!hh.ready() || !ll.ready()) return;
+      const range = hh.value() - ll.value();
+      out.williamsR = range ? (-100 * (hh.value() - bar.close)) / range : -50;
+    };
+  },
+});
+
+// Tenkan/kijun midpoints, the cloud (senkou A/B) shifted forward by `kijun`
+// bars, and chikou (close plotted `kijun` bars back)
+export const ichimoku = ({ tenkan = 9, kijun = 26, senkouB = 52 } = {}) => ({
+  columns: ["tenkan", "kijun", "senkouA", "senkouB", "chikou"],
+  create() {
+    const mid = (n) => ({ hh: rollingMax(n), ll: rollingMin(n) });
+    const lines = [mid(tenkan), mid(kijun), mid(senkouB)];
+    const pending = []; // [spanA, spanB] per bar, emitted `kijun` bars later
+    return (bar, i, out, write) => {
+      const [t, k, b] = lines.map((m) => {
+        m.hh.push(bar.high);
+        m.ll.push(bar.low);
+        return m.hh.ready() && m.ll.ready() ? (m.hh.value() + m.ll.value()) / 2 : NaN;
+      });
+      if (Number.isFinite(t)) out.tenkan = t;
+      if (Number.isFinite(k)) out.kijun = k;
+      pending.push([(t + k) / 2, b]);
+      if (pending.length > kijun) {
+        const [a, sb] = pending.shift();
+        if (Number.isFinite(a)) out.senkouA = a;
+        if (Number.isFinite(sb)) out.senkouB = sb;
+      }
+      if (i >= kijun) write("chikou", i - kijun, bar.close);
+    };
+  },
+});
+
+// SMA 10/20/50, RSI 14 and Bollinger (20, 2) under the chosen definitions
+export const coreIndicators = (definitions = DEFAULT_DEFINITIONS) => {
+  const d = { ...DEFAULT_DEFINITIONS, ...definitions };
+  return [sma(10), sma(20), sma(50), rsi(14, "rsi", d.rsi), bollinger(20, 2, { std: d.bollingerStd })];
+};
+
+export const DEFAULT_INDICATORS = coreIndicators();
+
+// Every RSI / Bollinger definition side by side, for the reference-comparison panel
+export const referenceIndicators = () => [
+  ...Object.keys(INDICATOR_DEFINITIONS.rsi.options).map((m) => rsi(14, `rsi_${m}`, m)),
+  ...Object.keys(INDICATOR_DEFINITIONS.bollingerStd.options).map((m) => bollinger(20, 2, { std: m, prefix: `bb_${m}` })),
+];
+
+// User-configurable instances of the core indicators, e.g. SMA(200) or BB(20, 2.5).
+// `min` is the smallest period the definition supports.
+export const INSTANCE_TYPES = {
+  sma: { label: "SMA", defaults: { period: 20 }, min: 1 },
+  rsi: { label: "RSI", defaults: { period: 14 }, min: 2 },
+  bollinger: { label: "Bollinger", defaults: { period: 20, k: 2 }, min: 2 },
+};
+
+// RSI(14) and BB(20, 2) keep the baseline column names (rsi, upperBand, volatility, ...)
+// so exports and formulas written against them still read the same columns
+const isBaseline = ({ type, period, k }) =>
+  (type === "rsi" && period === 14) || (type === "bollinger" && period === 20 && k === 2);
+
+// Column key from the parameters: sma200, rsi21, bb20_2p5 (no dots, recharts reads them as paths).
+// For Bollinger this is the column prefix, "" for the baseline bands; see instanceColumn().
+export const instanceKey = (inst) => {
+  const { type, period, k } = inst;
+  if (type === "sma") return `sma${period}`;
+  if (type === "rsi") return isBaseline(inst) ? "rsi" : `rsi${period}`;
+  return isBaseline(inst) ? "" : `bb${period}_${String(k).replace(".", "p")}`;
+};
+
+// One Bollinger output of an instance: instanceColumn(bb, "volatility") -> "volatility" or "bb20_2p5Volatility"
+export const instanceColumn = (inst, name) => bandColumn(instanceKey(inst), name);
+
+export const instanceLabel = ({ type, period, k }) =>
+  type === "bollinger" ? `BB(${period}, ${k})` : `${INSTANCE_TYPES[type].label}(${period})`;
+
+// Column -> display/export label for one instance; baseline columns keep their
+// baseline labels (SMA10, RSI, Volatility, ...)
+export function instanceColumns(inst) {
+  const label = instanceLabel(inst);
+  const cols =
+    inst.type === "bollinger"
+      ? {
+          [instanceColumn(inst, "upperBand")]: `${label} Upper`,
+          [instanceColumn(inst, "middleBand")]: `${label} Middle`,
+          [instanceColumn(inst, "lowerBand")]: `${label} Lower`,
+          [instanceColumn(inst, "volatility")]: `${label} σ`,
+        }
+      : { [instanceKey(inst)]: label };
+  return Object.fromEntries(Object.entries(cols).map(([key, l]) => [key, INDICATOR_COLUMNS[key] ?? l]));
+}
+
+// Specs for a list of instances; instances with identical parameters share one column set
+export function instanceIndicators(instances, definitions = DEFAULT_DEFINITIONS) {
+  const d = { ...DEFAULT_DEFINITIONS, ...definitions };
+  const seen = new Set();
+  return instances.flatMap((inst) => {
+    const key = instanceKey(inst);
+    if (seen.has(key)) return [];
+    seen.add(key);
+    if (inst.type === "sma") return [sma(inst.period, key)];
+    if (inst.type === "rsi") return [rsi(inst.period, key, d.rsi)];
+    return [bollinger(inst.period, inst.k, { std: d.bollingerStd, prefix: key, middle: true })];
+  });
+}
+
+// Period settings for the extended indicators, edited in the Technical tab
+export const INDICATOR_SETTINGS = {
+  ema: { label: "EMA", defaults: { period: 21 } },
+  macd: { label: "MACD", defaults: { fast: 12, slow: 26, signal: 9 } },
+  atr: { label: "ATR", defaults: { period: 14 } },
+  stochastic: { label: "Stochastic", defaults: { k: 14, d: 3 } },
+  adx: { label: "ADX / DMI", defaults: { period: 14 } },
+  obv: { label: "OBV", defaults: {} },
+  vwap: { label: "VWAP", defaults: { period: 20 } },
+  williamsR: { label: "Williams %R", defaults: { period: 14 } },
+  ichimoku: { label: "Ichimoku", defaults: { tenkan: 9, kijun: 26, senkouB: 52 } },
+};
+
+export const DEFAULT_INDICATOR_PARAMS = Object.fromEntries(
+  Object.entries(INDICATOR_SETTINGS).map(([id, s]) => [id, s.defaults])
+);
+
+// Column -> display/export label for the extended library
+export const LIBRARY_COLUMNS = {
+  ema: "EMA",
+  macd: "MACD",
+  macdSignal: "MACD Signal",
+  macdHist: "MACD Hist",
+  atr: "ATR",
+  stochK: "Stoch %K",
+  stochD: "Stoch %D",
+  plusDI: "+DI",
+  minusDI: "-DI",
+  adx: "ADX",
+  obv: "OBV",
+  vwap: "VWAP",
+  williamsR: "Williams %R",
+  tenkan: "Tenkan",
+  kijun: "Kijun",
+  senkouA: "Senkou A",
+  senkouB: "Senkou B",
+  chikou: "Chikou",
+};
+
+// Column -> display/export label for the core set plus the library
+export const INDICATOR_COLUMNS = {
+  sma10: "SMA10",
+  sma20: "SMA20",
+  sma50: "SMA50",
+  rsi: "RSI",
+  upperBand: "BB Upper",
+  middleBand: "BB Middle",
+  lowerBand: "BB Lower",
+  volatility: "Volatility",
+  ...LIBRARY_COLUMNS,
+};
+
+// Core set (or the configured `instances` in its place) plus the extended library
+// with the given periods and definitions. VWAP is session-anchored on intraday
+// bars and rolling otherwise.
+export function buildIndicators(params = DEFAULT_INDICATOR_PARAMS, { intraday = false, definitions, instances } = {}) {
+  const p = Object.fromEntries(
+    Object.entries(INDICATOR_SETTINGS).map(([id, s]) => [id, { ...s.defaults, ...params[id] }])
+  );
+  return [
+    ...(instances ? instanceIndicators(instances, definitions) : coreIndicators(definitions)),
+    ema(p.ema.period, "ema"),
+    macd(p.macd),
+    atr(p.atr.period),
+    stochastic(p.stochastic),
+    adx(p.adx.period),
+    obv(),
+    vwap({ period: p.vwap.period, anchor: intraday ? "session" : "rolling" }),
+    williamsR(p.williamsR.period),
+    ichimoku(p.ichimoku),
+  ];
+}
+
+/**
+ * const engine = createIndicatorEngine();
+ * engine.append(rows);     // or engine.push(bar) per new bar
+ * engine.columns();        // -> { sma10: Float64Array, ..., rsi, upperBand, lowerBand, volatility }
+ */
+export function createIndicatorEngine(specs = DEFAULT_INDICATORS, initialCapacity = 256) {
+  const names = specs.flatMap((s) => s.columns);
+  const steps = specs.map((s) => s.create());
+  let capacity = initialCapacity;
+  let length = 0;
+  let store = Object.fromEntries(names.map((c) => [c, new Float64Array(capacity)]));
+
+  const grow = () => {
+    capacity *= 2;
+    store = Object.fromEntries(
+      names.map((c) => {
+        const next = new Float64Array(capacity);
+        next.set(store[c]);
+        return [c, next];
+      })
+    );
+  };
+
+  const write = (c, index, value) => {
+    if (index >= 0 && index < length) store[c][index] = value;
+  };
+
+  const push = (bar) => {
+    if (length === capacity) grow();
+    const out = {};
+    for (const step of steps) step(bar, length, out, write);
+    for (const c of names) store[c][length] = c in out ? out[c] : NaN;
+    length++;
+  };
+
+  return {
+    push,
+    append(bars) {
+      bars.forEach(push);
+    },
+    get length() {
+      return length;
+    },
+    // views trimmed to the bars pushed so far (invalidated by the next growth)
+    columns: () => Object.fromEntries(names.map((c) => [c, store[c].subarray(0, length)])),
+  };
+}
+
+// Rows with the indicator columns merged in; NaN becomes undefined so existing
+// `row.sma20 && ...` style checks keep working.
+export function withIndicators(rows, specs = DEFAULT_INDICATORS) {
+  const engine = createIndicatorEngine(specs, Math.max(1, rows.length));
+  engine.append(rows);
+  const cols = engine.columns();
+  return rows.map((row, i) => {
+    const out = { ...row };
+    for (const c in cols) {
+      const v = cols[c][i];
+      if (!Number.isNaN(v)) out[c] = v;
+    }
+    return out;
+  });
+}
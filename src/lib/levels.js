@@ -0,0 +1,193 @@
+// src/lib/levels.js
+// Support/resistance and pivot points. Swing highs/lows are clustered into price
+// zones, and classic / Fibonacci / Camarilla pivots come from the last complete
+// period. Used for chart reference lines and for signal stops and targets.
+
+export const PIVOT_METHODS = { classic: "Classic", fibonacci: "Fibonacci", camarilla: "Camarilla" };
+
+export const PIVOT_PERIODS = { bar: "Last bar", week: "Last complete week", month: "Last complete month" };
+
+// strength: bars on each side a swing must exceed; tolerancePct: max gap between
+// swings in one zone; lookback: bars searched for swings
+export const DEFAULT_LEVEL_SETTINGS = {
+  strength: 3,
+  tolerancePct: 1,
+  minTouches: 2,
+  lookback: 250,
+  pivotPeriod: "bar",
+};
+
+const finite = (...xs) => xs.every(Number.isFinite);
+
+/**
+ * Swing highs / lows: a high above the `strength` bars on each side (or a low
+ * below them). Only confirmed swings are returned, so the last `strength` bars
+ * never carry one. -> [{ index, date, price, kind: "high" | "low" }]
+ */
+export function findSwings(rows, strength = DEFAULT_LEVEL_SETTINGS.strength, from = 0) {
+  const swings = [];
+  for (let i = Math.max(from, strength); i < rows.length - strength; i++) {
+    const { high, low } = rows[i];
+    let isHigh = Number.isFinite(high);
+    let isLow = Number.isFinite(low);
+    for (let k = 1; k <= strength && (isHigh || isLow); k++) {
+      const a = rows[i - k];
+      const b = rows[i + k];
+      if (isHigh && !(high > a.high && high >= b.high)) isHigh = false;
+      if (isLow && !(low < a.low && low <= b.low)) isLow = false;
+    }
+    if (isHigh) swings.push({ index: i, date: rows[i].date, price: high, kind: "high" });
+    if (isLow) swings.push({ index: i, date: rows[i].date, price: low, kind: "low" });
+  }
+  return swings;
+}
+
+/**
+ * Clusters swing prices into zones: sorted prices join a zone while within
+ * `tolerancePct` of its running mean. Zones with fewer than `minTouches` swings
+ * are dropped. Zones below `lastClose` are support, above are resistance.
+ * -> [{ low, high, price, touches, last, kind }] sorted by price
+ */
+export function clusterZones(swings, lastClose, { tolerancePct, minTouches } = DEFAULT_LEVEL_SETTINGS) {
+  const sorted = [...swings].sort((a, b) => a.price - b.price);
+  const zones = [];
+  let cur = null;
+  for (const s of sorted) {
+    if (cur && Math.abs(s.price - cur.sum / cur.members.length) <= (cur.sum / cur.members.length) * (tolerancePct / 100)) {
+      cur.members.push(s);
+      cur.sum += s.price;
+    } else {
+      cur = { members: [s], sum: s.price };
+      zones.push(cur);
+    }
+  }
+  return zones
+    .filter((z) => z.members.length >= minTouches)
+    .map((z) => {
+      const price = z.sum / z.members.length;
+      return {
+        low: Math.min(...z.members.map((m) => m.price)),
+        high: Math.max(...z.members.map((m) => m.price)),
+        price,
+        touches: z.members.length,
+        last: z.members.reduce((a, m) => (m.date > a ? m.date : a), ""),
+        kind: price < lastClose ? "support" : "resistance",
+      };
+    });
+}
+
+// Period key for a bar date ("YYYY-MM-DD" or "YYYY-MM-DD HH:MM")
+function periodKey(date, period) {
+  const day = date.slice(0, 10);
+  if (period === "month") return day.slice(0, 7);
+  // week: the Monday of the bar's week
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * High / low / close of the last complete period: the last bar, or the week /
+ * month before the one the last bar falls in. -> { high, low, close, from, to } | null
+ */
+export function pivotBasis(rows, period = "bar") {
+  const valid = rows.filter((r) => finite(r.high, r.low, r.close));
+  if (!valid.length) return null;
+  if (period === "bar") {
+    const r = valid[valid.length - 1];
+    return { high: r.high, low: r.low, close: r.close, from: r.date, to: r.date };
+  }
+  const current = periodKey(valid[valid.length - 1].date, period);
+  let end = valid.length - 1;
+  while (end >= 0 && periodKey(valid[end].date, period) === current) end--;
+  if (end < 0) return null;
+  const key = periodKey(valid[end].date, period);
+  let start = end;
+  while (start > 0 && periodKey(valid[start - 1].date, period) === key) start--;
+  const bars = valid.slice(start, end + 1);
+  return {
+    high: Math.max(...bars.map((b) => b.high)),
+    low: Math.min(...bars.map((b) => b.low)),
+    close: bars[bars.length - 1].close,
+    from: bars[0].date,
+    to: bars[bars.length - 1].date,
+  };
+}
+
+/**
+ * Pivot levels from a period's high / low / close.
+ * -> [{ name, price }] from lowest support to highest resistance
+ */
+export function pivotPoints({ high, low, close }, method = "classic") {
+  const p = (high + low + close) / 3;
+  const r = high - low;
+  let levels;
+  if (method === "fibonacci") {
+    levels = { S3: p - r, S2: p - 0.618 * r, S1: p - 0.382 * r, P: p, R1: p + 0.382 * r, R2: p + 0.618 * r, R3: p + r };
+  } else if (method === "camarilla") {
+    const c = close;
+    levels = {
+      S4: c - (r * 1.1) / 2,
+      S3: c - (r * 1.1) / 4,
+      S2: c - (r * 1.1) / 6,
+      S1: c - (r * 1.1) / 12,
+      P: p,
+      R1: c + (r * 1.1) / 12,
+      R2: c + (r * 1.1) / 6,
+      R3: c + (r * 1.1) / 4,
+      R4: c + (r * 1.1) / 2,
+    };
+  } else {
+    levels = {
+      S3: low - 2 * (high - p),
+      S2: p - r,
+      S1: 2 * p - high,
+      P: p,
+      R1: 2 * p - low,
+      R2: p + r,
+      R3: high + 2 * (p - low),
+    };
+  }
+  return Object.entries(levels)
+    .map(([name, price]) => ({ name, price }))
+    .sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Zones and all pivot sets for the latest bars.
+ * -> { zones, swings, basis, pivots: { classic, fibonacci, camarilla } }
+ */
+export function analyzeLevels(rows, settings = DEFAULT_LEVEL_SETTINGS) {
+  const s = { ...DEFAULT_LEVEL_SETTINGS, ...settings };
+  const lastClose = rows[rows.length - 1]?.close;
+  const swings = findSwings(rows, s.strength, Math.max(0, rows.length - s.lookback));
+  const zones = Number.isFinite(lastClose) ? clusterZones(swings, lastClose, s) : [];
+  const basis = pivotBasis(rows, s.pivotPeriod);
+  const pivots = Object.fromEntries(
+    Object.keys(PIVOT_METHODS).map((m) => [m, basis ? pivotPoints(basis, m) : []])
+  );
+  return { zones, swings, basis, pivots };
+}
+
+// Candidate levels for stops/targets from one source: "zones" or a pivot method
+export function levelsFrom(analysis, source) {
+  if (!analysis) return [];
+  if (source === "zones") {
+    return analysis.zones.map((z) => ({ price: z.price, low: z.low, high: z.high, label: `${z.kind} zone` }));
+  }
+  return (analysis.pivots[source] || []).map((l) => ({ price: l.price, low: l.price, high: l.price, label: `${PIVOT_METHODS[source]} ${l.name}` }));
+}
+
+/**
+ * Closest level entirely below and entirely above the price.
+ * -> { below, above }, each a level or null
+ */
+export function nearestLevels(price, levels) {
+  let below = null;
+  let above = null;
+  for (const l of levels) {
+    if (l.high < price && (!below || l.high > below.high)) below = l;
+    if (l.low > price && (!above || l.low < above.low)) above = l;
+  }
+  return { below, above };
+}
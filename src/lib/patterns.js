@@ -0,0 +1,141 @@
+// src/lib/patterns.js
+// Candlestick pattern recognition on OHLC rows, plus historical forward returns
+// per pattern. Sizes are judged against the average body of the previous bars,
+// so the rules are scale free and work for any price level or bar interval.
+
+// `short` is the chart marker text
+export const PATTERNS = {
+  doji: { label: "Doji", short: "D", bias: "neutral" },
+  hammer: { label: "Hammer", short: "H", bias: "bullish" },
+  bullishEngulfing: { label: "Bullish engulfing", short: "E+", bias: "bullish" },
+  bearishEngulfing: { label: "Bearish engulfing", short: "E−", bias: "bearish" },
+  morningStar: { label: "Morning star", short: "MS", bias: "bullish" },
+  eveningStar: { label: "Evening star", short: "ES", bias: "bearish" },
+  insideBar: { label: "Inside bar", short: "IB", bias: "neutral" },
+};
+
+export const FORWARD_HORIZONS = [1, 5, 10];
+
+const BODY_LOOKBACK = 10; // bars in the average-body reference
+const TREND_LOOKBACK = 5; // bars for the "prior downtrend" check on hammers
+
+const isBar = (r) => r && [r.open, r.high, r.low, r.close].every(Number.isFinite) && r.high >= r.low;
+
+const shape = (r) => {
+  const body = Math.abs(r.close - r.open);
+  const range = r.high - r.low;
+  return {
+    body,
+    range,
+    upper: r.high - Math.max(r.open, r.close),
+    lower: Math.min(r.open, r.close) - r.low,
+    bull: r.close > r.open,
+    bear: r.close < r.open,
+    mid: (r.open + r.close) / 2,
+  };
+};
+
+/**
+ * Scans rows for the PATTERNS above. A multi-bar pattern is reported on its
+ * last bar, i.e. the bar where it becomes known.
+ * -> [{ index, date, type }] in row order (a bar can carry several patterns)
+ */
+export function detectPatterns(rows) {
+  const hits = [];
+  const bodies = [];
+  let bodySum = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    if (!isBar(r)) {
+      bodies.length = 0;
+      bodySum = 0;
+      continue;
+    }
+    const c = shape(r);
+    const avgBody = bodies.length ? bodySum / bodies.length : NaN;
+    const hit = (type) => hits.push({ index: i, date: r.date, type });
+
+    if (c.range > 0 && c.body <= 0.1 * c.range) hit("doji");
+
+    const p = isBar(rows[i - 1]) ? rows[i - 1] : null;
+    const back = rows[i - 1 - TREND_LOOKBACK];
+    const downtrend = p && isBar(back) && p.close < back.close;
+    if (downtrend && c.range > 0 && c.body > 0.1 * c.range && c.lower >= 2 * c.body && c.upper <= 0.15 * c.range) {
+      hit("hammer");
+    }
+
+    if (p) {
+      const a = shape(p);
+      const engulfs = Math.max(r.open, r.close) >= Math.max(p.open, p.close) && Math.min(r.open, r.close) <= Math.min(p.open, p.close);
+      if (a.bear && c.bull && engulfs && c.body > a.body) hit("bullishEngulfing");
+      if (a.bull && c.bear && engulfs && c.body > a.body) hit("bearishEngulfing");
+      if (r.high < p.high && r.low > p.low) hit("insideBar");
+
+      // star: long first candle, small middle body beyond the first body's midpoint,
+      // then a candle closing back past that midpoint
+      const q = isBar(rows[i - 2]) ? rows[i - 2] : null;
+      if (q && Number.isFinite(avgBody) && avgBody > 0) {
+        const f = shape(q);
+        const smallMiddle = a.body <= 0.5 * f.body;
+        if (f.bear && f.body >= avgBody && smallMiddle && Math.max(p.open, p.close) < f.mid && c.bull && r.close > f.mid) {
+          hit("morningStar");
+        }
+        if (f.bull && f.body >= avgBody && smallMiddle && Math.min(p.open, p.close) > f.mid && c.bear && r.close < f.mid) {
+          hit("eveningStar");
+        }
+      }
+    }
+
+    bodies.push(c.body);
+    bodySum += c.body;
+    if (bodies.length > BODY_LOOKBACK) bodySum -= bodies.shift();
+  }
+  return hits;
+}
+
+/**
+ * Close-to-close forward returns after each pattern, by type and horizon.
+ * Hit rate is the share of moves in the pattern's direction (up for neutral ones).
+ * -> { [type]: { count, last, horizons: { [h]: { n, mean, hitRate } } } }
+ */
+export function patternStats(rows, hits, horizons = FORWARD_HORIZONS) {
+  const out = {};
+  for (const type of Object.keys(PATTERNS)) {
+    out[type] = { count: 0, last: null, horizons: Object.fromEntries(horizons.map((h) => [h, { n: 0, mean: NaN, hitRate: NaN }])) };
+  }
+  const sums = {};
+  for (const { index, date, type } of hits) {
+    const s = out[type];
+    s.count++;
+    s.last = date;
+    const sign = PATTERNS[type].bias === "bearish" ? -1 : 1;
+    for (const h of horizons) {
+      const from = rows[index]?.close;
+      const to = rows[index + h]?.close;
+      if (!Number.isFinite(from) || !Number.isFinite(to) || from === 0) continue;
+      const ret = to / from - 1;
+      const key = `${type}:${h}`;
+      if (!sums[key]) sums[key] = { n: 0, sum: 0, wins: 0 };
+      const acc = sums[key];
+      acc.n++;
+      acc.sum += ret;
+      if (sign * ret > 0) acc.wins++;
+    }
+  }
+  for (const [key, acc] of Object.entries(sums)) {
+    const [type, h] = key.split(":");
+    out[type].horizons[h] = { n: acc.n, mean: acc.sum / acc.n, hitRate: acc.wins / acc.n };
+  }
+  return out;
+}
+
+// Patterns completed on the last bar -> { bullish: [types], bearish: [types] }
+export function latestPatterns(rows, hits) {
+  const last = rows.length - 1;
+  const types = hits.filter((h) => h.index === last).map((h) => h.type);
+  return {
+    bullish: types.filter((t) => PATTERNS[t].bias === "bullish"),
+    bearish: types.filter((t) => PATTERNS[t].bias === "bearish"),
+  };
+}
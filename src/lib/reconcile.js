@@ -0,0 +1,137 @@
+// src/lib/reconcile.js
+// Row-by-row reconciliation of two providers' bars for the same symbol.
+// Both inputs should be on the same adjustment basis (see corporateActions.adjustBars).
+
+// Ratios this close to an integer (or its inverse) look like a missed split
+const SPLIT_RATIO_TOL = 0.02;
+
+function splitLike(ratio) {
+  const r = ratio >= 1 ? ratio : 1 / ratio;
+  const n = Math.round(r);
+  return n >= 2 && Math.abs(r - n) / n < SPLIT_RATIO_TOL ? n : null;
+}
+
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  return s.length ? s[Math.floor(s.length / 2)] : NaN;
+};
+
+const pct = (from, to) => (from ? ((to - from) / from) * 100 : null);
+
+// Runs of consecutive overlapping bars where b/a sits at a stable level away from 1.
+// A stable non-unit ratio points to an adjustment mismatch rather than bad prints.
+function findOffsets(pairs, closeTolPct, minRun) {
+  const tol = closeTolPct / 100;
+  const offsets = [];
+  let run = [];
+  const flush = () => {
+    if (run.length >= minRun) {
+      const ratio = median(run.map((p) => p.ratio));
+      const split = splitLike(ratio);
+      offsets.push({
+        from: run[0].date,
+        to: run[run.length - 1].date,
+        bars: run.length,
+        ratio,
+        offsetPct: (ratio - 1) * 100,
+        kind: split ? "split" : "adjustment",
+        note: split
+          ? `looks like a ${split}:1 split applied by only one provider`
+          : "stable offset, likely a dividend/adjustment mismatch",
+      });
+    }
+    run = [];
+  };
+  for (const p of pairs) {
+    const off = Math.abs(p.ratio - 1) > tol;
+    const stable = run.length && Math.abs(Math.log(p.ratio / run[run.length - 1].ratio)) < tol;
+    if (off && (!run.length || stable)) run.push(p);
+    else {
+      flush();
+      if (off) run.push(p);
+    }
+  }
+  flush();
+  return offsets;
+}
+
+function average(a, b) {
+  return {
+    date: a.date,
+    open: (a.open + b.open) / 2,
+    high: (a.high + b.high) / 2,
+    low: (a.low + b.low) / 2,
+    close: (a.close + b.close) / 2,
+    volume: Math.round((a.volume + b.volume) / 2),
+  };
+}
+
+/**
+ * Compares `a` (primary) with `b` over their common date range.
+ * -> {
+ *   rows: [{ date, a, b, closeDiffPct, volumeDiffPct, status }],   // status: match | close | volume | close+volume | missingA | missingB
+ *   offsets: [{ from, to, bars, ratio, offsetPct, kind, note }],
+ *   summary: { rangeStart, rangeEnd, overlap, missingInA, missingInB, closeBreaks, volumeBreaks, maxAbsCloseDiffPct, meanAbsCloseDiffPct },
+ *   consensus: rows   // both agree -> average, disagree -> primary, one missing -> the other
+ * }
+ */
+export function reconcile(aRows, bRows, { closeTolPct = 0.5, volumeTolPct = 5, minOffsetRun = 5 } = {}) {
+  const A = new Map(aRows.map((r) => [r.date, r]));
+  const B = new Map(bRows.map((r) => [r.date, r]));
+  const allDates = [...new Set([...A.keys(), ...B.keys()])].sort();
+
+  if (!aRows.length || !bRows.length) {
+    return {
+      rows: [],
+      offsets: [],
+      summary: { overlap: 0, missingInA: 0, missingInB: 0, closeBreaks: 0, volumeBreaks: 0 },
+      consensus: aRows.length ? aRows : bRows,
+    };
+  }
+
+  const rangeStart = aRows[0].date > bRows[0].date ? aRows[0].date : bRows[0].date;
+  const rangeEnd =
+    aRows[aRows.length - 1].date < bRows[bRows.length - 1].date
+      ? aRows[aRows.length - 1].date
+      : bRows[bRows.length - 1].date;
+
+  const rows = [];
+  const pairs = [];
+  const summary = { rangeStart, rangeEnd, overlap: 0, missingInA: 0, missingInB: 0, closeBreaks: 0, volumeBreaks: 0 };
+  let sumAbs = 0;
+  let maxAbs = 0;
+
+  for (const date of allDates) {
+    if (date < rangeStart || date > rangeEnd) continue;
+    const a = A.get(date);
+    const b = B.get(date);
+    if (!a || !b) {
+      rows.push({ date, a, b, closeDiffPct: null, volumeDiffPct: null, status: a ? "missingB" : "missingA" });
+      summary[a ? "missingInB" : "missingInA"]++;
+      continue;
+    }
+    summary.overlap++;
+    const closeDiffPct = pct(a.close, b.close);
+    const volumeDiffPct = pct(a.volume, b.volume);
+    const closeBreak = Math.abs(closeDiffPct) > closeTolPct;
+    const volumeBreak = volumeDiffPct !== null && Math.abs(volumeDiffPct) > volumeTolPct;
+    if (closeBreak) summary.closeBreaks++;
+    if (volumeBreak) summary.volumeBreaks++;
+    sumAbs += Math.abs(closeDiffPct);
+    maxAbs = Math.max(maxAbs, Math.abs(closeDiffPct));
+    const status = closeBreak && volumeBreak ? "close+volume" : closeBreak ? "close" : volumeBreak ? "volume" : "match";
+    rows.push({ date, a, b, closeDiffPct, volumeDiffPct, status });
+    if (a.close > 0 && b.close > 0) pairs.push({ date, ratio: b.close / a.close });
+  }
+  summary.meanAbsCloseDiffPct = summary.overlap ? sumAbs / summary.overlap : 0;
+  summary.maxAbsCloseDiffPct = maxAbs;
+
+  const consensus = allDates.map((date) => {
+    const a = A.get(date);
+    const b = B.get(date);
+    if (!a || !b) return a || b;
+    return Math.abs(pct(a.close, b.close)) <= closeTolPct ? average(a, b) : a;
+  });
+
+  return { rows, offsets: findOffsets(pairs, closeTolPct, minOffsetRun), summary, consensus };
+}
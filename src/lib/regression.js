@@ -0,0 +1,306 @@
+// src/lib/regression.js
+// Least-squares regression: an intercept plus any feature columns, solved by
+// Householder QR (default) or Cholesky on the normal equations, with optional
+// ridge or lasso penalties. Features are centered (and by default scaled to unit
+// variance) before solving; coefficients are reported back on the features'
+// own scale. Penalties use glmnet's scaling on the centered/scaled features:
+//   ridge  (1/2n)·RSS + (λ/2)·Σβ²      lasso  (1/2n)·RSS + λ·Σ|β|
+// The intercept is never penalized.
+
+export const SOLVERS = { qr: "Householder QR", cholesky: "Cholesky (normal equations)" };
+
+export const PENALTIES = { none: "None (OLS)", ridge: "Ridge (L2)", lasso: "Lasso (L1)" };
+
+export const DEFAULT_MODEL_SETTINGS = { degree: 2, solver: "qr", penalty: "none", lambda: 0.01, standardize: true };
+
+export const MAX_DEGREE = 12;
+
+// Models built by trendModels(), with display names
+export const TREND_MODELS = { linear: "Linear", polynomial: "Polynomial", ensemble: "Ensemble" };
+
+const RANK_TOL = 1e-10;
+const LASSO_TOL = 1e-9;
+const LASSO_MAX_ITER = 10000;
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+// Householder QR of the columns (each of length m), applied to `y` as well.
+// -> { R, qty } with R upper triangular (p x p) and qty the first p of Qᵀy
+function householder(cols, y) {
+  const p = cols.length;
+  const m = y.length;
+  const R = Array.from({ length: p }, () => new Float64Array(p));
+  for (let k = 0; k < p; k++) {
+    const a = cols[k];
+    let norm = 0;
+    for (let i = k; i < m; i++) norm += a[i] * a[i];
+    norm = Math.sqrt(norm);
+    const alpha = a[k] > 0 ? -norm : norm;
+    const v = new Float64Array(m);
+    for (let i = k; i < m; i++) v[i] = a[i];
+    v[k] -= alpha;
+    let vv = 0;
+    for (let i = k; i < m; i++) vv += v[i] * v[i];
+    const reflect = (c) => {
+      if (!vv) return;
+      let s = 0;
+      for (let i = k; i < m; i++) s += v[i] * c[i];
+      s = (2 * s) / vv;
+      for (let i = k; i < m; i++) c[i] -= s * v[i];
+    };
+    R[k][k] = alpha;
+    for (let j = k + 1; j < p; j++) {
+      reflect(cols[j]);
+      R[k][j] = cols[j][k];
+    }
+    reflect(y);
+  }
+  return { R, qty: Float64Array.from(y.subarray(0, p)) };
+}
+
+// Upper-triangular U with UᵀU = G (G symmetric positive definite)
+function cholesky(G) {
+  const p = G.length;
+  const U = Array.from({ length: p }, () => new Float64Array(p));
+  for (let j = 0; j < p; j++) {
+    let d = G[j][j];
+    for (let k = 0; k < j; k++) d -= U[k][j] * U[k][j];
+    if (!(d > RANK_TOL * Math.max(1, G[j][j]))) throw new Error("NOT_POSITIVE_DEFINITE");
+    U[j][j] = Math.sqrt(d);
+    for (let i = j + 1; i < p; i++) {
+      let s = G[j][i];
+      for (let k = 0; k < j; k++) s -= U[k][j] * U[k][i];
+      U[j][i] = s / U[j][j];
+    }
+  }
+  return U;
+}
+
+// Solves U x = b (back substitution)
+function solveUpper(U, b) {
+  const p = b.length;
+  const x = new Float64Array(p);
+  for (let i = p - 1; i >= 0; i--) {
+    let s = b[i];
+    for (let j = i + 1; j < p; j++) s -= U[i][j] * x[j];
+    x[i] = s / U[i][i];
+  }
+  return x;
+}
+
+// Solves Uᵀ x = b (forward substitution)
+function solveUpperT(U, b) {
+  const p = b.length;
+  const x = new Float64Array(p);
+  for (let i = 0; i < p; i++) {
+    let s = b[i];
+    for (let j = 0; j < i; j++) s -= U[j][i] * x[j];
+    x[i] = s / U[i][i];
+  }
+  return x;
+}
+
+// (UᵀU)⁻¹ = U⁻¹U⁻ᵀ
+function inverseFromFactor(U) {
+  const p = U.length;
+  const inv = Array.from({ length: p }, (_, j) => solveUpper(U, Float64Array.from({ length: p }, (_, i) => (i === j ? 1 : 0))));
+  // inv[j] is column j of U⁻¹
+  return Array.from({ length: p }, (_, r) =>
+    Float64Array.from({ length: p }, (_, c) => {
+      let s = 0;
+      for (let k = 0; k < p; k++) s += inv[k][r] * inv[k][c];
+      return s;
+    })
+  );
+}
+
+function checkRank(U) {
+  const diag = U.map((row, i) => Math.abs(row[i]));
+  const max = Math.max(...diag);
+  if (!(Math.min(...diag) > RANK_TOL * max)) throw new Error("RANK_DEFICIENT");
+  return max / Math.min(...diag);
+}
+
+// Coordinate descent for the lasso on centered columns -> { beta, iterations, converged }
+function lassoDescent(cols, y, lambda) {
+  const n = y.length;
+  const p = cols.length;
+  const beta = new Float64Array(p);
+  const r = Float64Array.from(y);
+  const sq = cols.map((c) => c.reduce((s, v) => s + v * v, 0) / n);
+  for (let it = 1; it <= LASSO_MAX_ITER; it++) {
+    let maxStep = 0;
+    let maxBeta = 0;
+    for (let j = 0; j < p; j++) {
+      const c = cols[j];
+      let rho = 0;
+      for (let i = 0; i < n; i++) rho += c[i] * r[i];
+      rho = rho / n + sq[j] * beta[j];
+      const next = Math.sign(rho) * Math.max(0, Math.abs(rho) - lambda) / sq[j];
+      const step = next - beta[j];
+      if (step) for (let i = 0; i < n; i++) r[i] -= step * c[i];
+      beta[j] = next;
+      maxStep = Math.max(maxStep, Math.abs(step));
+      maxBeta = Math.max(maxBeta, Math.abs(next));
+    }
+    if (maxStep <= LASSO_TOL * Math.max(1, maxBeta)) return { beta, iterations: it, converged: true };
+  }
+  return { beta, iterations: LASSO_MAX_ITER, converged: false };
+}
+
+/**
+ * Fits y ≈ b0 + Σ bⱼ·xⱼ. `X` is an array of rows (feature arrays), `names` the
+ * feature names. Options: solver "qr" | "cholesky", penalty "none" | "ridge" |
+ * "lasso", lambda, standardize (scale features to unit variance; centering is
+ * always done).
+ * -> { coefficients: [{ name, value, se, t }] (intercept first), predictRow,
+ *      fitted, rss, sigma, r2, adjR2, n, edf, dfResid, condition, iterations, converged }
+ * Standard errors are the usual OLS ones, the sandwich form for ridge (given λ),
+ * and null for the lasso. Throws TOO_FEW_POINTS, RANK_DEFICIENT or
+ * NOT_POSITIVE_DEFINITE.
+ */
+export function fitLeastSquares(X, y, { names, solver = "qr", penalty = "none", lambda = 0, standardize = true } = {}) {
+  const n = y.length;
+  const p = X[0]?.length ?? 0;
+  const labels = names || Array.from({ length: p }, (_, j) => `x${j + 1}`);
+  const lam = penalty === "none" ? 0 : Math.max(0, lambda);
+  if (n < p + 2 || !p) throw new Error("TOO_FEW_POINTS");
+
+  // center / scale the features and center y
+  const means = Array.from({ length: p }, (_, j) => mean(X.map((r) => r[j])));
+  const scales = means.map((m, j) => (standardize ? Math.sqrt(X.reduce((s, r) => s + (r[j] - m) ** 2, 0) / n) : 1));
+  if (scales.some((s) => !(s > 0))) throw new Error("RANK_DEFICIENT");
+  const cols = means.map((m, j) => Float64Array.from(X, (r) => (r[j] - m) / scales[j]));
+  const yMean = mean(y);
+  const yc = Float64Array.from(y, (v) => v - yMean);
+
+  let beta;
+  let U = null;
+  let iterations = null;
+  let converged = true;
+  if (penalty === "lasso") {
+    ({ beta, iterations, converged } = lassoDescent(cols, yc, lam));
+  } else if (solver === "cholesky") {
+    const dot = (a, b) => a.reduce((s, v, k) => s + v * b[k], 0);
+    const G = cols.map((a) => Float64Array.from(cols, (b) => dot(a, b)));
+    for (let j = 0; j < p; j++) G[j][j] += n * lam;
+    U = cholesky(G);
+    beta = solveUpper(U, solveUpperT(U, Float64Array.from(cols, (a) => dot(a, yc))));
+  } else {
+    // ridge as OLS on rows augmented with √(nλ)·I
+    const ridge = Math.sqrt(n * lam);
+    const aug = cols.map((c, j) => {
+      const a = new Float64Array(n + p);
+      a.set(c);
+      a[n + j] = ridge;
+      return a;
+    });
+    const yAug = new Float64Array(n + p);
+    yAug.set(yc);
+    const { R, qty } = householder(aug, yAug);
+    U = R;
+    beta = solveUpper(U, qty);
+  }
+  // rough condition estimate from the triangular factor's diagonal
+  const condition = U ? checkRank(U) : null;
+
+  // back to the features' own scale
+  const weights = Array.from(beta, (b, j) => b / scales[j]);
+  const intercept = yMean - weights.reduce((s, w, j) => s + w * means[j], 0);
+  const predictRow = (row) => weights.reduce((s, w, j) => s + w * row[j], intercept);
+  const fitted = X.map(predictRow);
+  const rss = y.reduce((s, v, i) => s + (v - fitted[i]) ** 2, 0);
+  const tss = yc.reduce((s, v) => s + v * v, 0);
+
+  // covariance of the scaled coefficients
+  let cov = null;
+  let edf;
+  if (U) {
+    const Ginv = inverseFromFactor(U);
+    // ridge: Ginv·AᵀA·Ginv = Ginv − nλ·Ginv², effective df = tr(Ginv·AᵀA)
+    const k = n * lam;
+    cov = Ginv.map((row, i) => row.map((g, j) => g - k * row.reduce((s, v, m) => s + v * Ginv[m][j], 0)));
+    edf = 1 + p - k * Ginv.reduce((s, row, i) => s + row[i], 0);
+  } else {
+    edf = 1 + beta.filter((b) => b !== 0).length;
+  }
+  const dfResid = n - edf;
+  const sigma2 = dfResid > 0 ? rss / dfResid : NaN;
+
+  const seScaled = cov ? cov.map((row, j) => Math.sqrt(sigma2 * row[j])) : null;
+  const se = seScaled ? seScaled.map((s, j) => s / scales[j]) : null;
+  let seIntercept = null;
+  if (cov) {
+    // Var(b0) = σ²/n + cᵀ·Cov(β)·c with c = mean / scale (ȳ is independent of β for centered features)
+    const c = means.map((m, j) => m / scales[j]);
+    const quad = c.reduce((s, ci, i) => s + ci * c.reduce((t, cj, j) => t + cov[i][j] * cj, 0), 0);
+    seIntercept = Math.sqrt(sigma2 / n + sigma2 * quad);
+  }
+  const coef = (name, value, s) => ({ name, value, se: s, t: s ? value / s : null });
+
+  return {
+    coefficients: [coef("intercept", intercept, seIntercept), ...weights.map((w, j) => coef(labels[j], w, se && se[j]))],
+    predictRow,
+    fitted,
+    rss,
+    sigma: Math.sqrt(sigma2),
+    r2: tss ? 1 - rss / tss : NaN,
+    adjR2: tss && dfResid > 0 ? 1 - rss / dfResid / (tss / (n - 1)) : NaN,
+    n,
+    edf,
+    dfResid,
+    condition,
+    solver: penalty === "lasso" ? "coordinate descent" : solver,
+    penalty,
+    lambda: lam,
+    iterations,
+    converged,
+  };
+}
+
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+const power = (k) => (k === 1 ? "z" : `z${String(k).replace(/\d/g, (d) => SUPERSCRIPTS[d])}`);
+
+/**
+ * Polynomial of `degree` in z = (x − center) / scale, fitted with
+ * fitLeastSquares. Centering/scaling x keeps the powers well conditioned even on
+ * raw bar indices in the thousands. Coefficients are for powers of z.
+ * -> fit & { degree, center, scale, predict(x) }
+ */
+export function fitPolynomial(x, y, { degree = 1, ...options } = {}) {
+  const center = mean(x);
+  const scale = Math.sqrt(x.reduce((s, v) => s + (v - center) ** 2, 0) / x.length) || 1;
+  const features = (v) => {
+    const z = (v - center) / scale;
+    return Array.from({ length: degree }, (_, k) => z ** (k + 1));
+  };
+  const names = Array.from({ length: degree }, (_, k) => power(k + 1));
+  const fit = fitLeastSquares(x.map(features), y, { ...options, names });
+  return { ...fit, degree, center, scale, predict: (v) => fit.predictRow(features(v)) };
+}
+
+// Readable messages for the error codes above
+export function describeRegressionError(code = "") {
+  if (code === "TOO_FEW_POINTS") return "Not enough training points for this many coefficients.";
+  if (code === "RANK_DEFICIENT") return "Features are collinear (singular design); lower the degree or add a ridge penalty.";
+  if (code === "NOT_POSITIVE_DEFINITE") return "Normal equations are numerically singular; use QR or add a ridge penalty.";
+  return code;
+}
+
+/**
+ * Trend models for the Models tab in the form lib/evaluation expects:
+ * fit(x, y) -> predict(target). The ensemble averages linear and polynomial.
+ */
+export function trendModels(settings = DEFAULT_MODEL_SETTINGS) {
+  const linear = (x, y) => fitPolynomial(x, y, { ...settings, degree: 1 }).predict;
+  const polynomial = (x, y) => fitPolynomial(x, y, settings).predict;
+  return {
+    linear,
+    polynomial,
+    ensemble: (x, y) => {
+      const l = linear(x, y);
+      const p = polynomial(x, y);
+      return (t) => (l(t) + p(t)) / 2;
+    },
+  };
+}
@@ -0,0 +1,84 @@
+// src/lib/resample.js
+// Bar intervals and the resampling engine that builds higher timeframes.
+// Intraday rows carry `date` as "YYYY-MM-DD HH:MM", daily and above as "YYYY-MM-DD".
+
+export const INTERVALS = {
+  "1min": { label: "1 min", minutes: 1, intraday: true },
+  "5min": { label: "5 min", minutes: 5, intraday: true },
+  "15min": { label: "15 min", minutes: 15, intraday: true },
+  "60min": { label: "60 min", minutes: 60, intraday: true },
+  daily: { label: "Daily" },
+  weekly: { label: "Weekly", source: "daily" },
+  monthly: { label: "Monthly", source: "daily" },
+};
+
+const ORDER = Object.keys(INTERVALS);
+
+export const isIntraday = (interval) => !!INTERVALS[interval]?.intraday;
+
+// Interval to download for a requested interval (weekly/monthly are built from daily)
+export const sourceIntervalFor = (interval) => INTERVALS[interval]?.source || interval;
+
+export function canResample(from, to) {
+  if (from === to) return true;
+  if (ORDER.indexOf(to) < ORDER.indexOf(from)) return false;
+  if (isIntraday(from) && isIntraday(to)) return INTERVALS[to].minutes % INTERVALS[from].minutes === 0;
+  return true;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Monday of the ISO week containing `ymd`
+function weekStart(ymd) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function bucketKey(date, to) {
+  const day = date.slice(0, 10);
+  if (to === "monthly") return day.slice(0, 7);
+  if (to === "weekly") return weekStart(day);
+  if (to === "daily") return day;
+  // intraday: floor minutes since midnight to the bucket size
+  const [h, m] = date.slice(11, 16).split(":").map(Number);
+  const mins = Math.floor((h * 60 + m) / INTERVALS[to].minutes) * INTERVALS[to].minutes;
+  return `${day} ${pad(Math.floor(mins / 60))}:${pad(mins % 60)}`;
+}
+
+// OHLCV aggregation: first open, max high, min low, last close, summed volume.
+// Each bucket is labelled with the date of its last source bar. Dividends are
+// summed and split coefficients multiplied so unadjusted rows stay adjustable.
+export function resample(rows, from, to) {
+  if (from === to) return rows;
+  if (!canResample(from, to)) throw new Error(`CANNOT_RESAMPLE:${from}->${to}`);
+  const out = [];
+  let key = null;
+  let cur = null;
+  for (const r of rows) {
+    const k = bucketKey(r.date, to);
+    if (k !== key) {
+      if (cur) out.push(cur);
+      key = k;
+      cur = { ...r };
+      continue;
+    }
+    cur.date = r.date;
+    cur.high = Math.max(cur.high, r.high);
+    cur.low = Math.min(cur.low, r.low);
+    cur.close = r.close;
+    cur.volume += r.volume;
+    if (r.dividend) cur.dividend = (cur.dividend || 0) + r.dividend;
+    if (r.splitCoef && r.splitCoef !== 1) cur.splitCoef = (cur.splitCoef || 1) * r.splitCoef;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// Short x-axis label for a bar
+export function formatBarLabel(date, interval) {
+  if (isIntraday(interval)) return date.slice(5, 16);
+  if (interval === "monthly") return date.slice(0, 7);
+  if (interval === "weekly") return date.slice(2, 10);
+  return date.slice(5);
+}
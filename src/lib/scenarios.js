@@ -0,0 +1,193 @@
+// src/lib/scenarios.js
+// Seeded synthetic market scenarios for reproducible stress tests of cleaning,
+// indicators and signals. Same config + seed -> identical bars and defects.
+
+import { tradingDays } from "./calendar";
+
+const TRADING_DAYS = 252;
+
+// mulberry32: small, fast, good enough for simulation (not for crypto)
+export function createRng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // standard normal via Box-Muller
+  const normal = () => {
+    const u = next() || Number.MIN_VALUE;
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+  };
+  return { next, normal };
+}
+
+// Annualised parameters; `fields` drive the editor in the UI
+export const SCENARIO_PROCESSES = {
+  gbm: {
+    label: "Geometric Brownian motion",
+    fields: {
+      mu: { label: "Drift μ (annual)", value: 0.08, step: 0.01 },
+      sigma: { label: "Volatility σ (annual)", value: 0.25, step: 0.01 },
+    },
+  },
+  jump: {
+    label: "Jump-diffusion (Merton)",
+    fields: {
+      mu: { label: "Drift μ (annual)", value: 0.08, step: 0.01 },
+      sigma: { label: "Volatility σ (annual)", value: 0.2, step: 0.01 },
+      lambda: { label: "Jumps per year λ", value: 4, step: 1 },
+      jumpMean: { label: "Mean jump (log)", value: -0.03, step: 0.01 },
+      jumpStd: { label: "Jump std (log)", value: 0.06, step: 0.01 },
+    },
+  },
+  regime: {
+    label: "Regime-switching volatility",
+    fields: {
+      mu: { label: "Drift μ (annual)", value: 0.06, step: 0.01 },
+      sigmaLow: { label: "Calm σ (annual)", value: 0.15, step: 0.01 },
+      sigmaHigh: { label: "Stressed σ (annual)", value: 0.5, step: 0.01 },
+      pEnter: { label: "P(calm → stressed) per bar", value: 0.01, step: 0.005 },
+      pExit: { label: "P(stressed → calm) per bar", value: 0.05, step: 0.005 },
+    },
+  },
+  meanRevert: {
+    label: "Mean reversion (OU on log price)",
+    fields: {
+      theta: { label: "Long-run price θ", value: 100, step: 1 },
+      kappa: { label: "Reversion speed κ (annual)", value: 2, step: 0.1 },
+      sigma: { label: "Volatility σ (annual)", value: 0.25, step: 0.01 },
+    },
+  },
+};
+
+// Injected defects, all recorded in the returned `defects` list as ground truth
+export const DEFECT_TYPES = {
+  missingClose: "Missing close",
+  missingVolume: "Missing volume",
+  duplicate: "Duplicate row",
+  priceSpike: "Price spike (×2.8)",
+  volumeSpike: "Volume spike (×12)",
+  ohlcBreak: "High below open/close",
+  weekendRow: "Weekend row",
+};
+
+const defaultParams = (id) =>
+  Object.fromEntries(Object.entries(SCENARIO_PROCESSES[id].fields).map(([k, f]) => [k, f.value]));
+
+export const DEFAULT_SCENARIO = {
+  process: "gbm",
+  seed: 42,
+  start: "2020-01-01",
+  end: "2025-11-11",
+  startPrice: 68,
+  baseVolume: 25_000_000,
+  params: Object.fromEntries(Object.keys(SCENARIO_PROCESSES).map((id) => [id, defaultParams(id)])),
+  defects: { missingClose: 1, missingVolume: 1, duplicate: 1, priceSpike: 1, volumeSpike: 1, ohlcBreak: 0, weekendRow: 0 },
+};
+
+// One log return per bar for the chosen process
+function logReturns(n, process, p, rng, startPrice) {
+  const dt = 1 / TRADING_DAYS;
+  const sq = Math.sqrt(dt);
+  const out = new Array(n);
+  let highVol = false;
+  let logP = Math.log(startPrice);
+  for (let i = 0; i < n; i++) {
+    const z = rng.normal();
+    let r;
+    if (process === "jump") {
+      r = (p.mu - 0.5 * p.sigma ** 2) * dt + p.sigma * sq * z;
+      if (rng.next() < p.lambda * dt) r += p.jumpMean + p.jumpStd * rng.normal();
+    } else if (process === "regime") {
+      if (rng.next() < (highVol ? p.pExit : p.pEnter)) highVol = !highVol;
+      const s = highVol ? p.sigmaHigh : p.sigmaLow;
+      r = (p.mu - 0.5 * s ** 2) * dt + s * sq * z;
+    } else if (process === "meanRevert") {
+      r = p.kappa * (Math.log(p.theta) - logP) * dt + p.sigma * sq * z;
+    } else {
+      r = (p.mu - 0.5 * p.sigma ** 2) * dt + p.sigma * sq * z;
+    }
+    logP += r;
+    out[i] = r;
+  }
+  return out;
+}
+
+const round2 = (v) => +v.toFixed(2);
+
+function nextSaturday(ymd) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + ((6 - d.getUTCDay() + 7) % 7 || 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds daily OHLCV bars on NYSE trading days between `start` and `end`,
+ * then injects the configured defects at seeded positions.
+ * -> { rows, defects: [{ date, type }] }
+ */
+export function generateScenario(config = {}) {
+  const cfg = { ...DEFAULT_SCENARIO, ...config };
+  const p = { ...defaultParams(cfg.process), ...cfg.params?.[cfg.process] };
+  const rng = createRng(cfg.seed);
+  const days = tradingDays(cfg.start, cfg.end);
+  const rets = logReturns(days.length, cfg.process, p, rng, cfg.startPrice);
+
+  let prev = cfg.startPrice;
+  const rows = days.map((date, i) => {
+    const close = prev * Math.exp(rets[i]);
+    const barVol = Math.abs(rets[i]) + 0.005;
+    const open = prev * Math.exp(0.3 * barVol * rng.normal());
+    const high = Math.max(open, close) * (1 + barVol * 0.5 * Math.abs(rng.normal()));
+    const low = Math.min(open, close) * (1 - barVol * 0.5 * Math.abs(rng.normal()));
+    // busier on big moves, lognormal noise otherwise
+    const volume = Math.floor(cfg.baseVolume * Math.exp(0.3 * rng.normal()) * (1 + 20 * Math.abs(rets[i])));
+    prev = close;
+    return { date, open: round2(open), high: round2(high), low: round2(low), close: round2(close), volume };
+  });
+
+  // distinct positions away from the edges so rolling detectors can see them
+  const used = new Set();
+  const pick = () => {
+    for (let tries = 0; tries < 1000; tries++) {
+      const i = 5 + Math.floor(rng.next() * Math.max(1, rows.length - 10));
+      if (!used.has(i)) {
+        used.add(i);
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  const defects = [];
+  const inserts = []; // extra rows, added after all in-place defects so positions stay valid
+  for (const [type, count] of Object.entries(cfg.defects)) {
+    for (let k = 0; k < count && rows.length > 10; k++) {
+      const i = pick();
+      if (i < 0) break;
+      const row = rows[i];
+      if (type === "missingClose") row.close = null;
+      else if (type === "missingVolume") row.volume = null;
+      else if (type === "priceSpike") row.close = round2(row.close * 2.8);
+      else if (type === "volumeSpike") row.volume *= 12;
+      else if (type === "ohlcBreak") row.high = round2(Math.max(row.low, Math.max(row.open, row.close) * 0.99));
+      else if (type === "duplicate") inserts.push({ ...row });
+      else if (type === "weekendRow") inserts.push({ ...row, date: nextSaturday(row.date) });
+      defects.push({ date: type === "weekendRow" ? nextSaturday(row.date) : row.date, type });
+    }
+  }
+  // keep dates sorted: each extra row goes after the last row on or before its date
+  for (const row of inserts) {
+    const at = rows.findIndex((r) => r.date > row.date);
+    rows.splice(at < 0 ? rows.length : at, 0, row);
+  }
+  defects.sort((a, b) => (a.date < b.date ? -1 : 1));
+
+  return { rows, defects };
+}
+
+export const describeScenario = (cfg) =>
+  `${SCENARIO_PROCESSES[cfg.process].label}, seed ${cfg.seed}`;
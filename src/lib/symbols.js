@@ -0,0 +1,113 @@
+// src/lib/symbols.js
+// Per-provider ticker mapping and the bundled symbol list used for offline search
+// (the Alpha Vantage SYMBOL_SEARCH call lives in dataSources.searchSymbols).
+//
+// Canonical symbols use Yahoo-style exchange suffixes: "GOOGL", "BRK.B" (share class),
+// "VOD.L" (London), "SAP.DE" (XETRA), "7203.T" (Tokyo). Each provider gets its own
+// spelling through toProviderTicker().
+
+// suffix -> exchange info; `null` means the provider does not cover that exchange
+export const EXCHANGES = {
+  US: { suffix: "", label: "NYSE/Nasdaq", stooq: "us", alphavantage: "" },
+  LSE: { suffix: "L", label: "London", stooq: "uk", alphavantage: "LON" },
+  XETRA: { suffix: "DE", label: "XETRA", stooq: "de", alphavantage: "DEX" },
+  TSE: { suffix: "T", label: "Tokyo", stooq: "jp", alphavantage: null },
+};
+
+const BY_SUFFIX = Object.fromEntries(
+  Object.entries(EXCHANGES).filter(([, e]) => e.suffix).map(([code, e]) => [e.suffix, code])
+);
+
+// One-off spellings that don't follow the suffix rules
+const TICKER_OVERRIDES = {
+  stooq: {},
+  alphavantage: {},
+};
+
+// "BRK.B" -> { root: "BRK", shareClass: "B", exchange: "US" }
+// "BT.A.L" -> { root: "BT", shareClass: "A", exchange: "LSE" }
+export function parseSymbol(symbol) {
+  const parts = symbol.trim().toUpperCase().split(/[.\-/]/).filter(Boolean);
+  let exchange = "US";
+  if (parts.length > 1 && BY_SUFFIX[parts[parts.length - 1]]) exchange = BY_SUFFIX[parts.pop()];
+  const [root, shareClass = null] = parts;
+  return { root, shareClass, exchange };
+}
+
+export function toProviderTicker(symbol, provider) {
+  const canonical = symbol.trim().toUpperCase();
+  const override = TICKER_OVERRIDES[provider]?.[canonical];
+  if (override) return override;
+
+  const { root, shareClass, exchange } = parseSymbol(canonical);
+  const ex = EXCHANGES[exchange][provider];
+  if (ex === null || ex === undefined) throw new Error("UNSUPPORTED_SYMBOL");
+  const base = shareClass ? `${root}-${shareClass}` : root;
+  if (provider === "stooq") return `${base}.${ex}`.toLowerCase();
+  return ex ? `${base}.${ex}` : base;
+}
+
+// Alpha Vantage search results come back as "VOD.LON" etc.; map them to canonical
+// form, or null for exchanges we don't map
+export function fromAlphaTicker(ticker) {
+  const m = ticker.toUpperCase().match(/^(.+)\.([A-Z]+)$/);
+  if (!m) return ticker.toUpperCase().replace("-", ".");
+  const code = Object.keys(EXCHANGES).find((c) => EXCHANGES[c].alphavantage === m[2]);
+  if (!code) return null;
+  return `${m[1].replace("-", ".")}.${EXCHANGES[code].suffix}`;
+}
+
+// Bundled list used when there is no Alpha Vantage key (or search fails)
+export const LOCAL_SYMBOLS = [
+  { symbol: "GOOGL", name: "Alphabet Inc. Class A", exchange: "US" },
+  { symbol: "GOOG", name: "Alphabet Inc. Class C", exchange: "US" },
+  { symbol: "AAPL", name: "Apple Inc.", exchange: "US" },
+  { symbol: "MSFT", name: "Microsoft Corporation", exchange: "US" },
+  { symbol: "AMZN", name: "Amazon.com Inc.", exchange: "US" },
+  { symbol: "META", name: "Meta Platforms Inc.", exchange: "US" },
+  { symbol: "NVDA", name: "NVIDIA Corporation", exchange: "US" },
+  { symbol: "TSLA", name: "Tesla Inc.", exchange: "US" },
+  { symbol: "NFLX", name: "Netflix Inc.", exchange: "US" },
+  { symbol: "AMD", name: "Advanced Micro Devices Inc.", exchange: "US" },
+  { symbol: "INTC", name: "Intel Corporation", exchange: "US" },
+  { symbol: "IBM", name: "International Business Machines", exchange: "US" },
+  { symbol: "ORCL", name: "Oracle Corporation", exchange: "US" },
+  { symbol: "JPM", name: "JPMorgan Chase & Co.", exchange: "US" },
+  { symbol: "V", name: "Visa Inc.", exchange: "US" },
+  { symbol: "KO", name: "Coca-Cola Company", exchange: "US" },
+  { symbol: "DIS", name: "Walt Disney Company", exchange: "US" },
+  { symbol: "XOM", name: "Exxon Mobil Corporation", exchange: "US" },
+  { symbol: "BRK.A", name: "Berkshire Hathaway Inc. Class A", exchange: "US" },
+  { symbol: "BRK.B", name: "Berkshire Hathaway Inc. Class B", exchange: "US" },
+  { symbol: "SPY", name: "SPDR S&P 500 ETF Trust", exchange: "US" },
+  { symbol: "QQQ", name: "Invesco QQQ Trust", exchange: "US" },
+  { symbol: "VOD.L", name: "Vodafone Group plc", exchange: "LSE" },
+  { symbol: "HSBA.L", name: "HSBC Holdings plc", exchange: "LSE" },
+  { symbol: "BP.L", name: "BP plc", exchange: "LSE" },
+  { symbol: "SHEL.L", name: "Shell plc", exchange: "LSE" },
+  { symbol: "SAP.DE", name: "SAP SE", exchange: "XETRA" },
+  { symbol: "SIE.DE", name: "Siemens AG", exchange: "XETRA" },
+  { symbol: "BMW.DE", name: "Bayerische Motoren Werke AG", exchange: "XETRA" },
+  { symbol: "VOW3.DE", name: "Volkswagen AG Vz. (preferred)", exchange: "XETRA" },
+  { symbol: "7203.T", name: "Toyota Motor Corporation", exchange: "TSE" },
+  { symbol: "6758.T", name: "Sony Group Corporation", exchange: "TSE" },
+  { symbol: "9984.T", name: "SoftBank Group Corp.", exchange: "TSE" },
+];
+
+export function searchLocalSymbols(query, limit = 10) {
+  const q = query.trim().toUpperCase();
+  if (!q) return [];
+  return LOCAL_SYMBOLS.map((s) => {
+    const sym = s.symbol.toUpperCase();
+    const name = s.name.toUpperCase();
+    const score = sym === q ? 3 : sym.startsWith(q) ? 2 : name.includes(q) ? 1 : 0;
+    return { ...s, score };
+  })
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score || a.symbol.localeCompare(b.symbol))
+    .slice(0, limit)
+    .map(({ score, ...s }) => s);
+}
+
+export const lookupCompanyName = (symbol) =>
+  LOCAL_SYMBOLS.find((s) => s.symbol === symbol.trim().toUpperCase())?.name || null;
@@ -0,0 +1,81 @@
+// src/lib/validation.js
+// Bar integrity checks: OHLC consistency, volume sign, date order and, for US
+// listings, trading-calendar gaps and stray weekend/holiday rows.
+
+import { isWeekend, holidayName, earlyCloseName, tradingDays } from "./calendar";
+import { parseSymbol } from "./symbols";
+import { isIntraday } from "./resample";
+
+// Fatal issues make the series unusable for model training; warnings and info are reported only.
+export const VALIDATION_RULES = {
+  unsorted: { severity: "fatal", label: "Dates out of order" },
+  nonPositivePrice: { severity: "fatal", label: "Zero or negative price" },
+  highBelowLow: { severity: "fatal", label: "High below low" },
+  negativeVolume: { severity: "fatal", label: "Negative volume" },
+  highBelowBody: { severity: "warning", label: "High below open/close" },
+  lowAboveBody: { severity: "warning", label: "Low above open/close" },
+  nonFinite: { severity: "warning", label: "Missing OHLCV value" },
+  duplicateDate: { severity: "warning", label: "Duplicate date" },
+  weekendRow: { severity: "warning", label: "Weekend row" },
+  holidayRow: { severity: "warning", label: "Holiday row" },
+  missingSession: { severity: "warning", label: "Missing trading session" },
+  earlyClose: { severity: "info", label: "Early close (1 p.m.)" },
+};
+
+// Relative slack for high/low vs open/close; providers round adjusted prices
+const PRICE_TOL = 1e-4;
+
+const FIELDS = ["open", "high", "low", "close", "volume"];
+
+/**
+ * Validates source bars (before cleaning/resampling).
+ * `interval` is the bar interval of `rows`; `symbol` decides whether the NYSE calendar applies.
+ * -> { issues: [{ date, type, severity, message }], counts: { [type]: n }, fatalCount, fatal, calendarChecked }
+ */
+export function validateBars(rows, { interval = "daily", symbol = "" } = {}) {
+  const issues = [];
+  const add = (date, type, message) => issues.push({ date, type, severity: VALIDATION_RULES[type].severity, message });
+
+  const seen = new Set();
+  rows.forEach((r, i) => {
+    if (i && r.date < rows[i - 1].date) add(r.date, "unsorted", `follows ${rows[i - 1].date}`);
+    if (seen.has(r.date)) add(r.date, "duplicateDate", "date appears more than once");
+    seen.add(r.date);
+
+    const missing = FIELDS.filter((f) => !Number.isFinite(r[f]));
+    if (missing.length) add(r.date, "nonFinite", `no ${missing.join(", ")}`);
+
+    const { open, high, low, close, volume } = r;
+    if ([open, high, low, close].some((v) => Number.isFinite(v) && v <= 0)) add(r.date, "nonPositivePrice", `O ${open} H ${high} L ${low} C ${close}`);
+    if (Number.isFinite(volume) && volume < 0) add(r.date, "negativeVolume", `volume ${volume}`);
+    if (![open, high, low, close].every(Number.isFinite)) return;
+
+    const tol = PRICE_TOL * Math.max(open, close);
+    if (high < low) add(r.date, "highBelowLow", `high ${high} < low ${low}`);
+    else if (high < Math.max(open, close) - tol) add(r.date, "highBelowBody", `high ${high} < max(open, close) ${Math.max(open, close)}`);
+    else if (low > Math.min(open, close) + tol) add(r.date, "lowAboveBody", `low ${low} > min(open, close) ${Math.min(open, close)}`);
+  });
+
+  // exchange calendar: only for US listings at daily or intraday resolution
+  const calendarChecked = parseSymbol(symbol || "X").exchange === "US" && (interval === "daily" || isIntraday(interval));
+  if (calendarChecked && rows.length) {
+    const days = new Set();
+    for (const r of rows) {
+      const day = r.date.slice(0, 10);
+      days.add(day);
+      if (isWeekend(day)) add(r.date, "weekendRow", "market closed on weekends");
+      else if (holidayName(day)) add(r.date, "holidayRow", `market closed: ${holidayName(day)}`);
+    }
+    const sorted = [...days].sort();
+    for (const day of tradingDays(sorted[0], sorted[sorted.length - 1])) {
+      if (!days.has(day)) add(day, "missingSession", "no bar for this trading day");
+      else if (earlyCloseName(day)) add(day, "earlyClose", `${earlyCloseName(day)}: shortened session`);
+    }
+  }
+
+  issues.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const counts = {};
+  issues.forEach((x) => (counts[x.type] = (counts[x.type] || 0) + 1));
+  const fatalCount = issues.filter((x) => x.severity === "fatal").length;
+  return { issues, counts, fatalCount, fatal: fatalCount > 0, calendarChecked };
+}
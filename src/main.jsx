@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter, BarChart, Bar } from 'recharts';
 import { TrendingUp, Database, AlertTriangle, CheckCircle, BarChart3, Brain, Download, RefreshCw, Activity } from 'lucide-react';
+import { cleanData } from './lib/cleaning';
+import { generateScenario, DEFAULT_SCENARIO } from './lib/scenarios';
+import { withIndicators, DEFAULT_INDICATORS } from './lib/indicators';
 
 const GoogleStockAnalysis = () => {
   const [data, setData] = useState([]);
@@ -12,136 +15,11 @@ const GoogleStockAnalysis = () => {
   const [activeTab, setActiveTab] = useState('overview');
   const [isLoading, setIsLoading] = useState(true);
 
-  const generateStockData = () => {
-    const dataArray = [];
-    const startDate = new Date('2020-01-01');
-    const endDate = new Date('2025-11-11');
-    let price = 68;
-    
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      if (d.getDay() !== 0 && d.getDay() !== 6) {
-        const momentum = Math.random() * 0.003 - 0.0005;
-        const meanReversion = (100 - price) * 0.0001;
-        const volatility = (Math.random() * 3 - 1.5);
-        
-        price = price * (1 + momentum + meanReversion) + volatility;
-        price = Math.max(50, Math.min(200, price));
-        
-        const open = price + (Math.random() * 2 - 1);
-        const high = Math.max(open, price) + Math.random() * 2;
-        const low = Math.min(open, price) - Math.random() * 2;
-        const volume = Math.floor(18000000 + Math.random() * 22000000);
-        
-        dataArray.push({
-          date: d.toISOString().split('T')[0],
-          open: parseFloat(open.toFixed(2)),
-          high: parseFloat(high.toFixed(2)),
-          low: parseFloat(low.toFixed(2)),
-          close: parseFloat(price.toFixed(2)),
-          volume: volume
-        });
-      }
-    }
-    
-    const issuesData = [...dataArray];
-    issuesData[100].close = null;
-    issuesData[250].volume = null;
-    issuesData.push(issuesData[500]);
-    issuesData[300].close = issuesData[300].close * 2.8;
-    issuesData[600].volume = issuesData[600].volume * 12;
-    
-    return issuesData;
-  };
-
-  const cleanData = (rawData) => {
-    let cleaned = [...rawData];
-    const issues = { nulls: 0, duplicates: 0, outliers: 0 };
+  // Seeded via lib/scenarios, so every load shows the same series and defects
+  const generateStockData = () => generateScenario(DEFAULT_SCENARIO).rows;
 
-    const uniqueDates = new Set();
-    cleaned = cleaned.filter(row => {
-      if (uniqueDates.has(row.date)) {
-        issues.duplicates++;
-        return false;
-      }
-      uniqueDates.add(row.date);
-      return true;
-    });
-
-    for (let i = 0; i < cleaned.length; i++) {
-      if (cleaned[i].close === null && i > 0) {
-        cleaned[i].close = cleaned[i - 1].close;
-        issues.nulls++;
-      }
-      if (cleaned[i].volume === null && i > 0) {
-        cleaned[i].volume = cleaned[i - 1].volume;
-        issues.nulls++;
-      }
-    }
-
-    const closes = cleaned.map(d => d.close);
-    const sortedCloses = [...closes].sort((a, b) => a - b);
-    const median = sortedCloses[Math.floor(closes.length / 2)];
-    const deviations = closes.map(v => Math.abs(v - median));
-    const mad = [...deviations].sort((a, b) => a - b)[Math.floor(deviations.length / 2)];
-    
-    cleaned = cleaned.map((row, idx) => {
-      const zScore = Math.abs((row.close - median) / (mad || 1));
-      if (zScore > 3.5) {
-        issues.outliers++;
-        const windowStart = Math.max(0, idx - 2);
-        const windowEnd = Math.min(cleaned.length, idx + 3);
-        const window = cleaned.slice(windowStart, windowEnd);
-        const windowValues = window.map(d => d.close).sort((a, b) => a - b);
-        const smoothed = windowValues[Math.floor(windowValues.length / 2)];
-        return { ...row, close: smoothed };
-      }
-      return row;
-    });
-
-    return { cleaned, issues };
-  };
-
-  const calculateTechnicalIndicators = (dataArray) => {
-    return dataArray.map((row, i) => {
-      const indicator = { ...row };
-      
-      if (i >= 9) {
-        const sum = dataArray.slice(i - 9, i + 1).reduce((s, d) => s + d.close, 0);
-        indicator.sma10 = sum / 10;
-      }
-      if (i >= 19) {
-        const sum = dataArray.slice(i - 19, i + 1).reduce((s, d) => s + d.close, 0);
-        indicator.sma20 = sum / 20;
-      }
-      if (i >= 49) {
-        const sum = dataArray.slice(i - 49, i + 1).reduce((s, d) => s + d.close, 0);
-        indicator.sma50 = sum / 50;
-      }
-      
-      if (i >= 14) {
-        const changes = dataArray.slice(i - 13, i + 1).map((d, idx, arr) => 
-          idx > 0 ? d.close - arr[idx - 1].close : 0
-        );
-        const gains = changes.filter(c => c > 0);
-        const losses = changes.filter(c => c < 0).map(c => -c);
-        const avgGain = gains.length ? gains.reduce((a, b) => a + b, 0) / 14 : 0;
-        const avgLoss = losses.length ? losses.reduce((a, b) => a + b, 0) / 14 : 0;
-        const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-        indicator.rsi = 100 - (100 / (1 + rs));
-      }
-      
-      if (i >= 19 && indicator.sma20) {
-        const values = dataArray.slice(i - 19, i + 1).map(d => d.close);
-        const variance = values.reduce((s, val) => s + Math.pow(val - indicator.sma20, 2), 0) / 20;
-        const std = Math.sqrt(variance);
-        indicator.upperBand = indicator.sma20 + (2 * std);
-        indicator.lowerBand = indicator.sma20 - (2 * std);
-        indicator.volatility = std;
-      }
-      
-      return indicator;
-    });
-  };
+  // Shared streaming engine in lib/indicators (Wilder RSI, population-σ Bollinger)
+  const calculateTechnicalIndicators = (dataArray) => withIndicators(dataArray, DEFAULT_INDICATORS);
 
   const trainLinearRegression = (X, y) => {
     const n = X.length;